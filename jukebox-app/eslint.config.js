@@ -9,12 +9,25 @@ export default [
       globals: {
         window: 'readonly',
         document: 'readonly',
+        navigator: 'readonly',
         console: 'readonly',
         Audio: 'readonly',
         CustomEvent: 'readonly',
+        EventTarget: 'readonly',
         Event: 'readonly',
-        MutationObserver: 'readonly',
-        setTimeout: 'readonly'
+        DOMException: 'readonly',
+        fetch: 'readonly',
+        Response: 'readonly',
+        Headers: 'readonly',
+        ReadableStream: 'readonly',
+        setTimeout: 'readonly',
+        clearTimeout: 'readonly',
+        setInterval: 'readonly',
+        clearInterval: 'readonly',
+        requestAnimationFrame: 'readonly',
+        cancelAnimationFrame: 'readonly',
+        Uint8Array: 'readonly',
+        URLSearchParams: 'readonly'
       }
     },
     rules: {
@@ -22,6 +35,29 @@ export default [
       'quotes': ['error', 'single']
     }
   },
+  {
+    files: ['sw.js'],
+    languageOptions: {
+      sourceType: 'script',
+      globals: {
+        importScripts: 'readonly',
+        self: 'readonly',
+        caches: 'readonly',
+        URL: 'readonly'
+      }
+    }
+  },
+  {
+    files: ['tools/**/*.js'],
+    languageOptions: {
+      globals: {
+        process: 'readonly',
+        Buffer: 'readonly',
+        Float32Array: 'readonly',
+        DataView: 'readonly'
+      }
+    }
+  },
   {
     files: ['tests/**/*.js'],
     languageOptions: {
@@ -33,7 +69,8 @@ export default [
         beforeEach: 'readonly',
         vi: 'readonly',
         setTimeout: 'readonly',
-        Promise: 'readonly'
+        Promise: 'readonly',
+        TextEncoder: 'readonly'
       }
     }
   }
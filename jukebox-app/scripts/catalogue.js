@@ -0,0 +1,265 @@
+// Catalogue module
+//
+// The library of albums is loaded from songs.json at startup, so adding a
+// track or an album doesn't mean editing code. The manifest is checked
+// against the schema below, and if it can't be loaded or breaks any rule
+// the built-in library in data.js is used instead.
+import { albums as builtInAlbums } from './data.js';
+import { getMimeType } from './sources.js';
+
+export const CATALOGUE_URL = 'songs.json';
+
+// At most this many field errors are spelled out in #error-msg
+const MAX_LISTED_ERRORS = 3;
+
+const KEY_PATTERN = /^[A-G](?:#|b)?m?$/;
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function checkString(value) {
+  return isNonEmptyString(value) ? null : 'must be a non-empty string';
+}
+
+function checkNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number';
+}
+
+// Each field maps to a check returning an error message, or null when the
+// value is fine. Fields not listed here are rejected, to catch typos.
+const SONG_FIELDS = {
+  title: checkString,
+  artist: checkString,
+  sources: value => (Array.isArray(value) && value.length > 0 ? null : 'must be a non-empty array'),
+  file: checkString,
+  lyrics: checkString,
+  lrc: checkString,
+  bpm: value => (typeof value === 'number' && value > 0 && Number.isFinite(value) ? null : 'must be a positive number'),
+  bpmApproximate: value => (typeof value === 'boolean' ? null : 'must be true or false'),
+  key: value => (typeof value === 'string' && KEY_PATTERN.test(value) ? null : 'must be a key such as "Am" or "F#"'),
+  trackGain: checkNumber,
+  albumGain: checkNumber
+};
+
+const REQUIRED_SONG_FIELDS = ['title', 'artist'];
+
+const ALBUM_FIELDS = {
+  title: checkString,
+  artist: checkString,
+  year: value => (Number.isInteger(value) && value > 0 ? null : 'must be a whole number'),
+  cover: checkString,
+  songs: value => (Array.isArray(value) && value.length > 0 ? null : 'must be a non-empty array')
+};
+
+const REQUIRED_ALBUM_FIELDS = ['title', 'songs'];
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Runs each field of `object` through its check in `fields`
+function checkFields(object, fields, path) {
+  const errors = [];
+  Object.keys(object).forEach((field) => {
+    const check = fields[field];
+    if (!check) {
+      errors.push({ path: `${path}.${field}`, message: 'is not a known field' });
+      return;
+    }
+    const message = check(object[field]);
+    if (message) {
+      errors.push({ path: `${path}.${field}`, message });
+    }
+  });
+  return errors;
+}
+
+function checkRequired(object, required, path) {
+  return required
+    .filter(field => !(field in object))
+    .map(field => ({ path: `${path}.${field}`, message: 'is required' }));
+}
+
+function validateSource(source, path) {
+  if (!isObject(source)) {
+    return [{ path, message: 'must be an object with src and type' }];
+  }
+
+  const errors = [];
+  Object.keys(source).forEach((field) => {
+    if (field !== 'src' && field !== 'type') {
+      errors.push({ path: `${path}.${field}`, message: 'is not a known field' });
+    }
+  });
+
+  const srcError = checkString(source.src);
+  if (srcError) {
+    errors.push({ path: `${path}.src`, message: srcError });
+  }
+
+  if (typeof source.type !== 'string' || !/^audio\/[\w.+-]+$/.test(source.type)) {
+    errors.push({ path: `${path}.type`, message: 'must be an audio MIME type such as "audio/mpeg"' });
+  } else if (!srcError) {
+    // Known extensions must agree with the type, or canPlayType is misled
+    const expected = getMimeType(source.src);
+    if (expected && expected !== source.type) {
+      errors.push({ path: `${path}.type`, message: `must be "${expected}" for ${source.src}` });
+    }
+  }
+
+  return errors;
+}
+
+export function validateSong(song, path = 'song') {
+  if (!isObject(song)) {
+    return [{ path, message: 'must be an object' }];
+  }
+
+  const errors = checkRequired(song, REQUIRED_SONG_FIELDS, path);
+  if (!('sources' in song) && !('file' in song)) {
+    errors.push({ path: `${path}.sources`, message: 'is required' });
+  }
+  errors.push(...checkFields(song, SONG_FIELDS, path));
+
+  if (Array.isArray(song.sources)) {
+    song.sources.forEach((source, index) => {
+      errors.push(...validateSource(source, `${path}.sources[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+// Reports a second use of the same value under `path` in `seen`
+function checkUnique(seen, value, path) {
+  if (seen.has(value)) {
+    return [{ path, message: `duplicates ${seen.get(value)}` }];
+  }
+  seen.set(value, path);
+  return [];
+}
+
+// Checks an album and its songs; song titles must be unique within it
+export function validateAlbum(album, path = 'album') {
+  if (!isObject(album)) {
+    return [{ path, message: 'must be an object' }];
+  }
+
+  const errors = [
+    ...checkRequired(album, REQUIRED_ALBUM_FIELDS, path),
+    ...checkFields(album, ALBUM_FIELDS, path)
+  ];
+
+  if (Array.isArray(album.songs)) {
+    const titles = new Map();
+    album.songs.forEach((song, index) => {
+      const songPath = `${path}.songs[${index}]`;
+      errors.push(...validateSong(song, songPath));
+      if (isObject(song) && isNonEmptyString(song.title)) {
+        errors.push(...checkUnique(titles, song.title, `${songPath}.title`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Returns a list of { path, message } errors, empty when `data` is a valid
+// catalogue: { "albums": [...] } with unique album titles, and audio paths
+// that are unique across the whole library
+export function validateCatalogue(data) {
+  if (!isObject(data)) {
+    return [{ path: 'catalogue', message: 'must be an object with an albums array' }];
+  }
+  if (!Array.isArray(data.albums) || data.albums.length === 0) {
+    return [{ path: 'albums', message: 'must be a non-empty array' }];
+  }
+
+  const errors = [];
+  const albumTitles = new Map();
+  const paths = new Map();
+
+  data.albums.forEach((album, albumIndex) => {
+    const albumPath = `albums[${albumIndex}]`;
+    errors.push(...validateAlbum(album, albumPath));
+    if (!isObject(album)) return;
+
+    if (isNonEmptyString(album.title)) {
+      errors.push(...checkUnique(albumTitles, album.title, `${albumPath}.title`));
+    }
+    if (!Array.isArray(album.songs)) return;
+
+    album.songs.forEach((song, index) => {
+      if (!isObject(song)) return;
+      const path = `${albumPath}.songs[${index}]`;
+      const sources = Array.isArray(song.sources) ? song.sources : [{ src: song.file }];
+      sources.forEach((source, sourceIndex) => {
+        if (!source || !isNonEmptyString(source.src)) return;
+        const sourcePath = Array.isArray(song.sources) ? `${path}.sources[${sourceIndex}].src` : `${path}.file`;
+        errors.push(...checkUnique(paths, source.src, sourcePath));
+      });
+    });
+  });
+
+  return errors;
+}
+
+export function formatCatalogueError({ path, message }) {
+  return `${path} ${message}`;
+}
+
+// One line for #error-msg, naming the first few problems
+export function describeCatalogueErrors(errors, url = CATALOGUE_URL) {
+  // Fetch and parse failures are about the manifest as a whole
+  if (errors.length === 1 && errors[0].path === url) {
+    return `Error: ${formatCatalogueError(errors[0])}, using the built-in songs`;
+  }
+
+  const listed = errors.slice(0, MAX_LISTED_ERRORS).map(formatCatalogueError);
+  const more = errors.length - listed.length;
+  if (more > 0) {
+    listed.push(`and ${more} more`);
+  }
+  return `Error: ${url} is invalid (${listed.join('; ')}), using the built-in songs`;
+}
+
+// A fetch or parse failure, reported as a single error on the manifest itself
+function loadFailure(url, problem, error, fallbackAlbums) {
+  console.error('Failed to load catalogue:', error);
+  return {
+    albums: fallbackAlbums,
+    errors: [{ path: url, message: `${problem} (${error.message})` }],
+    fallback: true
+  };
+}
+
+// Resolves to { albums, errors, fallback }. `fallback` is true when the
+// built-in library is used, either because the manifest couldn't be
+// fetched or parsed or because it broke the schema.
+export async function loadCatalogue({ url = CATALOGUE_URL, fetchCatalogue = fetch, fallbackAlbums = builtInAlbums } = {}) {
+  let response;
+  try {
+    response = await fetchCatalogue(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  } catch (error) {
+    return loadFailure(url, 'could not be loaded', error, fallbackAlbums);
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (error) {
+    return loadFailure(url, 'is not valid JSON', error, fallbackAlbums);
+  }
+
+  const errors = validateCatalogue(data);
+  if (errors.length > 0) {
+    errors.forEach(error => console.error('Invalid catalogue:', formatCatalogueError(error)));
+    return { albums: fallbackAlbums, errors, fallback: true };
+  }
+
+  return { albums: data.albums, errors: [], fallback: false };
+}
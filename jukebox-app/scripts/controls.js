@@ -1,6 +1,8 @@
 // UI controls module
+import { formatSongMeta } from './metadata.js';
+import { formatTime } from './time.js';
 
-export function renderSongList(container, songs) {
+export function renderSongList(container, songs, { offline = false, copyLinks = false } = {}) {
   // Clear any existing content
   container.innerHTML = '';
   
@@ -13,7 +15,18 @@ export function renderSongList(container, songs) {
     
     button.dataset.index = index;
     button.textContent = `▶ ${song.title} — ${song.artist}`;
-    button.setAttribute('aria-label', `Play ${song.title} by ${song.artist}`);
+    
+    // Show tempo and key next to the title when the song has them
+    const meta = formatSongMeta(song);
+    if (meta) {
+      const metaSpan = document.createElement('span');
+      metaSpan.className = 'song-meta';
+      metaSpan.textContent = meta;
+      button.appendChild(metaSpan);
+      button.setAttribute('aria-label', `Play ${song.title} by ${song.artist}, ${meta}`);
+    } else {
+      button.setAttribute('aria-label', `Play ${song.title} by ${song.artist}`);
+    }
     button.className = 'song-button';
     button.setAttribute('role', 'button');
     
@@ -21,10 +34,46 @@ export function renderSongList(container, songs) {
     button.addEventListener('keydown', handleSongButtonKeydown);
     
     listItem.appendChild(button);
+    
+    // Queue actions, handled by the list's click delegation in main.js
+    listItem.appendChild(createQueueActionButton('play-next', index, '⤴', `Play ${song.title} next`));
+    listItem.appendChild(createQueueActionButton('enqueue', index, '＋', `Add ${song.title} to queue`));
+    
+    if (copyLinks) {
+      listItem.appendChild(createQueueActionButton('copy-link', index, '🔗', `Copy link to ${song.title}`));
+    }
+    
+    // Offline pin and badge, kept up to date by offline.js
+    if (offline) {
+      const pinButton = createQueueActionButton('pin', index, '⬇', `Save ${song.title} for offline`);
+      pinButton.className = 'queue-action offline-pin';
+      pinButton.setAttribute('aria-pressed', 'false');
+      listItem.appendChild(pinButton);
+      
+      const badge = document.createElement('span');
+      badge.className = 'offline-badge';
+      badge.dataset.songIndex = index;
+      badge.textContent = 'Offline';
+      badge.title = 'Available offline';
+      badge.hidden = true;
+      listItem.appendChild(badge);
+    }
+    
     container.appendChild(listItem);
   });
 }
 
+function createQueueActionButton(action, index, text, label) {
+  const button = document.createElement('button');
+  button.className = 'queue-action';
+  button.dataset.action = action;
+  button.dataset.songIndex = index;
+  button.textContent = text;
+  button.title = label;
+  button.setAttribute('aria-label', label);
+  return button;
+}
+
 function handleSongButtonKeydown(event) {
   const songButtons = Array.from(document.querySelectorAll('.song-button'));
   const currentIndex = songButtons.indexOf(event.target);
@@ -162,11 +211,282 @@ export function initVolumeControl(player) {
   });
   
   // Update knob when volume changes from other sources
-  document.addEventListener('volumechange', (event) => {
+  player.on('volume', (event) => {
     updateVolumeKnob(event.detail.volume);
   });
 }
 
+export function initSeekBar(player) {
+  const seekBar = document.getElementById('seek-bar');
+  if (!seekBar) return;
+  
+  const seekFill = document.getElementById('seek-fill');
+  const elapsedTime = document.getElementById('elapsed-time');
+  const remainingTime = document.getElementById('remaining-time');
+  
+  // Seconds moved per arrow key press
+  const SEEK_STEP = 5;
+  let isDragging = false;
+  
+  function updateSeekBar(position, duration) {
+    const ratio = duration > 0 ? Math.min(1, position / duration) : 0;
+    
+    if (seekFill) {
+      seekFill.style.width = `${ratio * 100}%`;
+    }
+    if (elapsedTime) {
+      elapsedTime.textContent = formatTime(position);
+    }
+    if (remainingTime) {
+      remainingTime.textContent = `-${formatTime(Math.max(0, duration - position))}`;
+    }
+    
+    seekBar.setAttribute('aria-valuemax', Math.floor(duration));
+    seekBar.setAttribute('aria-valuenow', Math.floor(position));
+    seekBar.setAttribute('aria-valuetext', `${formatTime(position)} of ${formatTime(duration)}`);
+    seekBar.setAttribute('aria-disabled', duration > 0 ? 'false' : 'true');
+  }
+  
+  // Set initial display
+  updateSeekBar(player.getPosition(), player.getDuration());
+  
+  function getPositionFromMouse(clientX) {
+    const rect = seekBar.getBoundingClientRect();
+    const ratio = rect.width > 0 ? (clientX - rect.left) / rect.width : 0;
+    return Math.max(0, Math.min(1, ratio)) * player.getDuration();
+  }
+  
+  function handleMouseMove(event) {
+    if (!isDragging) return;
+    
+    player.seek(getPositionFromMouse(event.clientX));
+  }
+  
+  function handleMouseUp() {
+    isDragging = false;
+    document.removeEventListener('mousemove', handleMouseMove);
+    document.removeEventListener('mouseup', handleMouseUp);
+    seekBar.classList.remove('dragging');
+  }
+  
+  // Mouse events
+  seekBar.addEventListener('mousedown', (event) => {
+    if (player.getDuration() <= 0) return;
+    
+    event.preventDefault();
+    isDragging = true;
+    
+    seekBar.classList.add('dragging');
+    document.addEventListener('mousemove', handleMouseMove);
+    document.addEventListener('mouseup', handleMouseUp);
+    
+    player.seek(getPositionFromMouse(event.clientX));
+  });
+  
+  // Keyboard controls
+  seekBar.addEventListener('keydown', (event) => {
+    const duration = player.getDuration();
+    const position = player.getPosition();
+    let newPosition;
+    
+    switch (event.key) {
+      case 'ArrowUp':
+      case 'ArrowRight':
+        newPosition = position + SEEK_STEP;
+        break;
+      case 'ArrowDown':
+      case 'ArrowLeft':
+        newPosition = position - SEEK_STEP;
+        break;
+      case 'Home':
+        newPosition = 0;
+        break;
+      case 'End':
+        newPosition = duration;
+        break;
+      default:
+        return; // Don't prevent default for other keys
+    }
+    
+    event.preventDefault();
+    if (duration > 0) {
+      player.seek(newPosition);
+    }
+  });
+  
+  // Update display as playback progresses
+  player.on('position', (event) => {
+    updateSeekBar(event.detail.position, event.detail.duration);
+  });
+  
+  // Reset display when playback stops
+  player.on('stop', () => {
+    updateSeekBar(0, 0);
+  });
+}
+
+export function initTransportControls(player) {
+  const pauseButton = document.getElementById('pause-btn');
+  const restartButton = document.getElementById('restart-btn');
+  const previousButton = document.getElementById('prev-btn');
+  const nextButton = document.getElementById('next-btn');
+  if (!pauseButton && !restartButton && !previousButton && !nextButton) return;
+  
+  function updateTransportControls() {
+    const state = player.getPlaybackState();
+    const hasSong = state.currentIndex !== null;
+    
+    if (pauseButton) {
+      pauseButton.disabled = !hasSong;
+      // A song still loading can be paused too
+      if (hasSong && !state.isPlaying && state.state !== 'loading') {
+        pauseButton.textContent = '▶️ Resume';
+        pauseButton.classList.add('paused');
+        pauseButton.setAttribute('aria-label', 'Resume playback');
+      } else {
+        pauseButton.textContent = '⏸️ Pause';
+        pauseButton.classList.remove('paused');
+        pauseButton.setAttribute('aria-label', 'Pause playback');
+      }
+    }
+    
+    if (restartButton) {
+      restartButton.disabled = !hasSong;
+    }
+    
+    if (previousButton) {
+      previousButton.disabled = !player.hasPrevious();
+    }
+    
+    if (nextButton) {
+      nextButton.disabled = !player.hasNext();
+    }
+  }
+  
+  // Set initial state
+  updateTransportControls();
+  
+  if (pauseButton) {
+    pauseButton.addEventListener('click', () => {
+      player.togglePause();
+    });
+  }
+  
+  if (restartButton) {
+    restartButton.addEventListener('click', () => {
+      player.restart();
+    });
+  }
+  
+  if (previousButton) {
+    previousButton.addEventListener('click', () => {
+      player.previous();
+    });
+  }
+  
+  if (nextButton) {
+    nextButton.addEventListener('click', () => {
+      player.next();
+    });
+  }
+  
+  // Keep buttons in sync with the player: statechange covers songs that
+  // load, pause, end, fail or are blocked, and hasNext() also depends on
+  // the mode, the queue and Play All
+  ['statechange', 'songchange', 'mode', 'queue', 'sequence'].forEach((type) => {
+    player.on(type, updateTransportControls);
+  });
+}
+
+const MODE_LABELS = {
+  'normal': { text: '➡️ In Order', label: 'Playback mode: in order. Switch to repeat all' },
+  'repeat-all': { text: '🔁 Repeat All', label: 'Playback mode: repeat all. Switch to repeat one' },
+  'repeat-one': { text: '🔂 Repeat One', label: 'Playback mode: repeat one. Switch to shuffle' },
+  'shuffle': { text: '🔀 Shuffle', label: 'Playback mode: shuffle. Switch to in order' }
+};
+
+export function initModeButton(player) {
+  const modeButton = document.getElementById('mode-btn');
+  if (!modeButton) return;
+  
+  function updateModeButton() {
+    const { mode } = player.getPlaybackState();
+    const { text, label } = MODE_LABELS[mode] || MODE_LABELS.normal;
+    
+    modeButton.textContent = text;
+    modeButton.dataset.mode = mode;
+    modeButton.setAttribute('aria-label', label);
+  }
+  
+  // Set initial state
+  updateModeButton();
+  
+  modeButton.addEventListener('click', () => {
+    player.cycleMode();
+  });
+  
+  // Update button when the mode changes from any source
+  player.on('mode', updateModeButton);
+}
+
+export function initTransitionControls(player) {
+  const crossfadeInput = document.getElementById('crossfade');
+  const crossfadeValue = document.getElementById('crossfade-value');
+  const gaplessCheckbox = document.getElementById('gapless');
+  
+  function updateTransitionControls() {
+    const { crossfade, gapless } = player.getPlaybackState();
+    const text = crossfade > 0 ? `${crossfade}s` : 'Off';
+    
+    if (crossfadeInput) {
+      crossfadeInput.value = crossfade;
+      crossfadeInput.setAttribute('aria-valuetext', crossfade > 0 ? `${crossfade} seconds` : 'Off');
+    }
+    if (crossfadeValue) {
+      crossfadeValue.textContent = text;
+    }
+    if (gaplessCheckbox) {
+      gaplessCheckbox.checked = gapless;
+    }
+  }
+  
+  // Set initial state
+  updateTransitionControls();
+  
+  if (crossfadeInput) {
+    crossfadeInput.addEventListener('input', () => {
+      player.setCrossfade(Number(crossfadeInput.value));
+    });
+  }
+  
+  if (gaplessCheckbox) {
+    gaplessCheckbox.addEventListener('change', () => {
+      player.setGapless(gaplessCheckbox.checked);
+    });
+  }
+  
+  // Keep the controls in sync with the player
+  player.on('transition', updateTransitionControls);
+}
+
+export function initNormalizationSelect(player) {
+  const normalizationSelect = document.getElementById('normalization');
+  if (!normalizationSelect) return;
+  
+  function updateNormalizationSelect() {
+    normalizationSelect.value = player.getPlaybackState().normalization;
+  }
+  
+  // Set initial state
+  updateNormalizationSelect();
+  
+  normalizationSelect.addEventListener('change', () => {
+    player.setNormalization(normalizationSelect.value);
+  });
+  
+  player.on('normalization', updateNormalizationSelect);
+}
+
 export function initMuteButton(player) {
   const muteButton = document.getElementById('mute-btn');
   if (!muteButton) return;
@@ -188,14 +508,11 @@ export function initMuteButton(player) {
   
   muteButton.addEventListener('click', () => {
     player.toggleMute();
-    updateMuteButton();
-    
-    // Dispatch volume change event for knob update
-    document.dispatchEvent(new CustomEvent('volumechange', {
-      detail: { volume: player.volume, isMuted: player.isMuted }
-    }));
   });
   
+  // Also follows muting restored from a previous session
+  player.on('mute', updateMuteButton);
+  
   // Keyboard support
   muteButton.addEventListener('keydown', (event) => {
     if (event.key === ' ' || event.key === 'Enter') {
@@ -218,7 +535,10 @@ export function initPlayAllButton(player) {
     } else {
       playAllButton.textContent = '▶️ Play All';
       playAllButton.classList.remove('playing');
-      playAllButton.setAttribute('aria-label', 'Play all songs in sequence');
+      // Play All covers the selected album only
+      playAllButton.setAttribute('aria-label', player.album
+        ? `Play all songs on ${player.album.title} in sequence`
+        : 'Play all songs in sequence');
     }
   }
   
@@ -235,10 +555,10 @@ export function initPlayAllButton(player) {
     updatePlayAllButton();
   });
   
-  // Update button when songs change
-  document.addEventListener('songchange', () => {
-    updatePlayAllButton();
-  });
+  // Update button when Play All starts or ends, or the album changes
+  player.on('sequence', updatePlayAllButton);
+  player.on('songchange', updatePlayAllButton);
+  player.on('album', updatePlayAllButton);
   
   // Keyboard support
   playAllButton.addEventListener('keydown', (event) => {
@@ -249,7 +569,94 @@ export function initPlayAllButton(player) {
   });
 }
 
-export function initSongHighlighting() {
+// Also cues a song opened from a shared link (`{ linked: true }`), which
+// likewise has to wait for the user to press play
+export function initResumePrompt(player, resumePoint, { linked = false } = {}) {
+  const prompt = document.getElementById('resume-prompt');
+  if (!prompt) return;
+  
+  const song = resumePoint ? player.songs[resumePoint.index] : null;
+  if (!song) {
+    prompt.hidden = true;
+    return;
+  }
+  
+  const text = document.getElementById('resume-text');
+  const resumeButton = document.getElementById('resume-btn');
+  const dismissButton = document.getElementById('resume-dismiss');
+  const where = resumePoint.position > 0 ? ` at ${formatTime(resumePoint.position)}` : '';
+  
+  if (text) {
+    text.textContent = linked
+      ? `Shared link: ${song.title}${where}`
+      : `Resume where you left off: ${song.title}${where}`;
+  }
+  if (resumeButton) {
+    if (linked) {
+      resumeButton.textContent = '▶️ Play';
+    }
+    resumeButton.setAttribute('aria-label', `${linked ? 'Play' : 'Resume'} ${song.title}${where}`);
+  }
+  prompt.hidden = false;
+  
+  const unsubscribers = [];
+  
+  function hidePrompt() {
+    prompt.hidden = true;
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+  
+  if (resumeButton) {
+    resumeButton.addEventListener('click', () => {
+      hidePrompt();
+      player.play(resumePoint.index, false, { startAt: resumePoint.position });
+    });
+  }
+  
+  if (dismissButton) {
+    dismissButton.addEventListener('click', hidePrompt);
+  }
+  
+  // Playing anything else, or switching albums (the index belongs to the
+  // album shown when the prompt appeared), makes the prompt irrelevant
+  unsubscribers.push(player.on('songchange', hidePrompt), player.on('album', hidePrompt));
+}
+
+// Covers the jukebox when the browser won't start a song until the page
+// has been interacted with (autoplay policy). The next click anywhere,
+// the overlay included, starts the song. Listening on document after the
+// page's own handlers means a click that plays something else wins.
+export function initStartOverlay(player) {
+  const overlay = document.getElementById('start-overlay');
+  if (!overlay) return;
+
+  const text = document.getElementById('start-text');
+
+  function hideOverlay() {
+    overlay.hidden = true;
+    document.removeEventListener('click', retry);
+  }
+
+  function retry() {
+    hideOverlay();
+    player.retryBlocked();
+  }
+
+  player.on('blocked', (event) => {
+    const { song } = event.detail;
+    if (text) {
+      text.textContent = song ? `Tap to play ${song.title}` : 'Tap to start';
+    }
+    overlay.hidden = false;
+    overlay.focus();
+    document.addEventListener('click', retry);
+  });
+
+  // Started or stopped some other way, e.g. with a media key
+  ['play', 'stop', 'album'].forEach(type => player.on(type, hideOverlay));
+}
+
+export function initSongHighlighting(player) {
   function updateActiveSong(index, song = null) {
     // Remove active class and aria-selected from all song buttons
     const allButtons = document.querySelectorAll('.song-button');
@@ -280,12 +687,12 @@ export function initSongHighlighting() {
   }
   
   // Listen for song changes
-  document.addEventListener('songchange', (event) => {
+  player.on('songchange', (event) => {
     updateActiveSong(event.detail.index, event.detail.song);
   });
   
   // Clear highlighting when playback stops
-  document.addEventListener('playbackstopped', () => {
+  player.on('stop', () => {
     updateActiveSong(null);
   });
 }
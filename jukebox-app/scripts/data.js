@@ -1,14 +1,139 @@
 // Data module for songs
+//
+// The built-in library, used when songs.json can't be loaded or is
+// invalid (see catalogue.js). Each song lists its audio formats in order
+// of preference; the player uses the first one the browser can decode
+// (see sources.js). Only the WAV files ship, so only they are listed; add
+// other encodes ahead of them once the files exist.
 export const songs = [
-  { title: '01 i am a strange loop', artist: 'oneish', file: 'assets/audio/01-i am a strange loop.wav' },
-  { title: '02 incognito', artist: 'oneish', file: 'assets/audio/02-incognito.wav' },
-  { title: '03 lsd and the mind of the universe', artist: 'oneish', file: 'assets/audio/03-lsd and the mind of the universe.wav' },
-  { title: '04 storming heaven', artist: 'oneish', file: 'assets/audio/04-storming heaven.wav' },
-  { title: '05 the cosmic serpent', artist: 'oneish', file: 'assets/audio/05-the cosmic serpent.wav' },
-  { title: '06 real magic', artist: 'oneish', file: 'assets/audio/06-real magic.wav' },
-  { title: '07 prometheus rising', artist: 'oneish', file: 'assets/audio/07-prometheus rising.wav' },
-  { title: '08 monsters and magical sticks', artist: 'oneish', file: 'assets/audio/08-monsters and magical sticks.wav' },
-  { title: '09 astral dynamics', artist: 'oneish', file: 'assets/audio/09-astral dynamics.wav' },
-  { title: '10 the holographic universe', artist: 'oneish', file: 'assets/audio/10-the holographic universe.wav' },
-  { title: '11 a course in miracles', artist: 'oneish', file: 'assets/audio/11-a course in miracles.wav' }
+  {
+    title: '01 i am a strange loop',
+    artist: 'oneish',
+    sources: [
+      { src: 'assets/audio/01-i am a strange loop.wav', type: 'audio/wav' }
+    ],
+    lyrics: '../lyrics/01-I Am A Strange Loop.md',
+    bpm: 127,
+    bpmApproximate: true,
+    key: 'Am'
+  },
+  {
+    title: '02 incognito',
+    artist: 'oneish',
+    sources: [
+      { src: 'assets/audio/02-incognito.wav', type: 'audio/wav' }
+    ],
+    lyrics: '../lyrics/02-Incognito.md',
+    bpm: 127,
+    bpmApproximate: true,
+    key: 'C'
+  },
+  {
+    title: '03 lsd and the mind of the universe',
+    artist: 'oneish',
+    sources: [
+      { src: 'assets/audio/03-lsd and the mind of the universe.wav', type: 'audio/wav' }
+    ],
+    lyrics: '../lyrics/03-LSD And The Mind Of The Universe.md',
+    bpm: 107,
+    bpmApproximate: true,
+    key: 'Gm'
+  },
+  {
+    title: '04 storming heaven',
+    artist: 'oneish',
+    sources: [
+      { src: 'assets/audio/04-storming heaven.wav', type: 'audio/wav' }
+    ],
+    lyrics: '../lyrics/04-Storming Heaven.md',
+    bpm: 137,
+    bpmApproximate: true,
+    key: 'Bb'
+  },
+  {
+    title: '05 the cosmic serpent',
+    artist: 'oneish',
+    sources: [
+      { src: 'assets/audio/05-the cosmic serpent.wav', type: 'audio/wav' }
+    ],
+    lyrics: '../lyrics/05-The Cosmic Serpent.md',
+    bpm: 119,
+    bpmApproximate: false,
+    key: 'Am'
+  },
+  {
+    title: '06 real magic',
+    artist: 'oneish',
+    sources: [
+      { src: 'assets/audio/06-real magic.wav', type: 'audio/wav' }
+    ],
+    lyrics: '../lyrics/06-Real Magic.md',
+    bpm: 129,
+    bpmApproximate: true,
+    key: 'C'
+  },
+  {
+    title: '07 prometheus rising',
+    artist: 'oneish',
+    sources: [
+      { src: 'assets/audio/07-prometheus rising.wav', type: 'audio/wav' }
+    ],
+    lyrics: '../lyrics/07-Prometheus Rising.md',
+    bpm: 109,
+    bpmApproximate: true,
+    key: 'Gm'
+  },
+  {
+    title: '08 monsters and magical sticks',
+    artist: 'oneish',
+    sources: [
+      { src: 'assets/audio/08-monsters and magical sticks.wav', type: 'audio/wav' }
+    ],
+    lyrics: '../lyrics/08-Monsters And Magical Sticks.md',
+    bpm: 99,
+    bpmApproximate: true,
+    key: 'Bb'
+  },
+  {
+    title: '09 astral dynamics',
+    artist: 'oneish',
+    sources: [
+      { src: 'assets/audio/09-astral dynamics.wav', type: 'audio/wav' }
+    ],
+    lyrics: '../lyrics/09-Astral Dynamics.md',
+    bpm: 121,
+    bpmApproximate: true,
+    key: 'Am'
+  },
+  {
+    title: '10 the holographic universe',
+    artist: 'oneish',
+    sources: [
+      { src: 'assets/audio/10-the holographic universe.wav', type: 'audio/wav' }
+    ],
+    lyrics: '../lyrics/10-The Holographic Universe.md',
+    bpm: 131,
+    bpmApproximate: true,
+    key: 'C'
+  },
+  {
+    title: '11 a course in miracles',
+    artist: 'oneish',
+    sources: [
+      { src: 'assets/audio/11-a course in miracles.wav', type: 'audio/wav' }
+    ],
+    lyrics: '../lyrics/11-A Course In Miracles.md',
+    bpm: 111,
+    bpmApproximate: true,
+    key: 'Gm'
+  }
+];
+
+export const albums = [
+  {
+    title: 'you know?',
+    artist: 'oneish',
+    cover: 'assets/artwork.svg',
+    songs
+  }
 ];
@@ -0,0 +1,91 @@
+// Equalizer panel module
+import { EQ_PRESETS, EQ_MAX_GAIN, findPreset, formatFrequency } from './equalizer.js';
+
+function formatGain(db) {
+  return db > 0 ? `+${db} dB` : `${db} dB`;
+}
+
+export function initEqualizerPanel(audioGraph) {
+  const section = document.getElementById('eq-section');
+  const presetSelect = document.getElementById('eq-preset');
+  const bandsContainer = document.getElementById('eq-bands');
+  if (!section || !presetSelect || !bandsContainer) return;
+
+  // The panel only makes sense when audio is routed through the graph
+  if (!audioGraph) {
+    section.hidden = true;
+    return;
+  }
+  section.hidden = false;
+
+  Object.keys(EQ_PRESETS).forEach((id) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = EQ_PRESETS[id].name;
+    presetSelect.appendChild(option);
+  });
+
+  // Shown only while the bands don't match a preset
+  const customOption = document.createElement('option');
+  customOption.value = 'custom';
+  customOption.textContent = 'Custom';
+  customOption.disabled = true;
+  presetSelect.appendChild(customOption);
+
+  const sliders = audioGraph.frequencies.map((frequency, index) => {
+    const band = document.createElement('label');
+    band.className = 'eq-band';
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = -EQ_MAX_GAIN;
+    slider.max = EQ_MAX_GAIN;
+    slider.step = 1;
+    slider.dataset.band = index;
+    slider.setAttribute('aria-label', `${formatFrequency(frequency)} band`);
+
+    const value = document.createElement('output');
+    value.className = 'eq-value';
+
+    const name = document.createElement('span');
+    name.className = 'eq-frequency';
+    name.textContent = formatFrequency(frequency);
+
+    band.appendChild(value);
+    band.appendChild(slider);
+    band.appendChild(name);
+    bandsContainer.appendChild(band);
+
+    return { slider, value };
+  });
+
+  function updatePanel() {
+    const gains = audioGraph.getGains();
+
+    sliders.forEach(({ slider, value }, index) => {
+      slider.value = gains[index];
+      slider.setAttribute('aria-valuetext', formatGain(gains[index]));
+      value.textContent = formatGain(gains[index]);
+    });
+
+    const preset = findPreset(gains);
+    customOption.hidden = preset !== null;
+    presetSelect.value = preset || 'custom';
+  }
+
+  // Set initial state
+  updatePanel();
+
+  presetSelect.addEventListener('change', () => {
+    audioGraph.applyPreset(presetSelect.value);
+    updatePanel();
+  });
+
+  bandsContainer.addEventListener('input', (event) => {
+    const band = event.target.dataset.band;
+    if (band === undefined) return;
+
+    audioGraph.setBandGain(Number(band), Number(event.target.value));
+    updatePanel();
+  });
+}
@@ -0,0 +1,230 @@
+// Equalizer module
+//
+// Routes songs through a Web Audio graph:
+//   <audio> → MediaElementSource → per-song gain → master gain → EQ filters → speakers
+// The per-song gain carries the player volume (and crossfades), which also
+// works on browsers that ignore audio.volume. Analysers tap the EQ output
+// for the visualizer. The AudioContext comes from an injectable factory so
+// the graph can be tested without Web Audio.
+
+// Centre frequencies of the five bands, in Hz
+export const EQ_FREQUENCIES = [60, 230, 910, 3600, 14000];
+
+// Band gains are limited to ±EQ_MAX_GAIN dB
+export const EQ_MAX_GAIN = 12;
+
+// How long resume() waits for a suspended context, in milliseconds.
+// Without a user gesture some browsers leave context.resume() pending
+// instead of rejecting it.
+export const RESUME_TIMEOUT = 250;
+
+export const EQ_PRESETS = {
+  'flat': { name: 'Flat', gains: [0, 0, 0, 0, 0] },
+  'bass-boost': { name: 'Bass Boost', gains: [7, 4, 0, 0, 1] },
+  'vocal': { name: 'Vocal', gains: [-3, -1, 3, 4, 1] },
+  // Thin, mid-heavy sound of an old jukebox speaker
+  'jukebox': { name: 'Lo-fi "Jukebox"', gains: [-8, 4, 5, -3, -12] }
+};
+
+export function clampGain(db) {
+  if (!Number.isFinite(db)) return 0;
+  return Math.max(-EQ_MAX_GAIN, Math.min(EQ_MAX_GAIN, db));
+}
+
+// The outer bands are shelves so they also cover everything beyond them
+export function getFilterType(index, count) {
+  if (index === 0) return 'lowshelf';
+  if (index === count - 1) return 'highshelf';
+  return 'peaking';
+}
+
+// Q for a peaking band that reaches halfway (in octaves) to each neighbour
+export function getBandQ(frequencies, index) {
+  const lower = frequencies[index - 1];
+  const upper = frequencies[index + 1];
+  if (!lower || !upper) return Math.SQRT1_2;
+
+  const octaves = Math.log2(upper / lower) / 2;
+  const ratio = Math.pow(2, octaves);
+  return Math.sqrt(ratio) / (ratio - 1);
+}
+
+export function createFilterSettings(frequencies, gains) {
+  return frequencies.map((frequency, index) => ({
+    type: getFilterType(index, frequencies.length),
+    frequency,
+    Q: getBandQ(frequencies, index),
+    gain: clampGain(gains[index] || 0)
+  }));
+}
+
+// Id of the preset matching `gains`, or null for custom settings
+export function findPreset(gains) {
+  const id = Object.keys(EQ_PRESETS).find((presetId) => (
+    EQ_PRESETS[presetId].gains.every((gain, index) => gain === gains[index])
+  ));
+  return id || null;
+}
+
+export function formatFrequency(hz) {
+  if (hz >= 1000) {
+    return `${Number((hz / 1000).toFixed(1))} kHz`;
+  }
+  return `${hz} Hz`;
+}
+
+export function isWebAudioSupported() {
+  return typeof window !== 'undefined' && Boolean(window.AudioContext || window.webkitAudioContext);
+}
+
+function createDefaultContext() {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  return new AudioContextClass();
+}
+
+export class AudioGraph {
+  constructor({ createContext = createDefaultContext, frequencies = EQ_FREQUENCIES } = {}) {
+    this.createContext = createContext;
+    this.frequencies = frequencies;
+    this.gains = frequencies.map(() => 0);
+    this.context = null;
+    this.masterGain = null;
+    this.filters = [];
+    // Whole-mix analyser plus one per stereo channel (for VU meters)
+    this.analyser = null;
+    this.channelAnalysers = [];
+    // Source and gain nodes for each connected <audio> element
+    this.elements = new Map();
+  }
+
+  // Browsers only allow audio to start after a user gesture, so the
+  // context is created when the first song plays rather than up front
+  ensureContext() {
+    if (!this.context) {
+      this.context = this.createContext();
+      this.masterGain = this.context.createGain();
+
+      const settings = createFilterSettings(this.frequencies, this.gains);
+      this.filters = settings.map(({ type, frequency, Q, gain }) => {
+        const filter = this.context.createBiquadFilter();
+        filter.type = type;
+        filter.frequency.value = frequency;
+        filter.Q.value = Q;
+        filter.gain.value = gain;
+        return filter;
+      });
+
+      // master gain → filter bank in series → speakers
+      let node = this.masterGain;
+      this.filters.forEach((filter) => {
+        node.connect(filter);
+        node = filter;
+      });
+      node.connect(this.context.destination);
+
+      // Analysers only listen, so they aren't connected onwards
+      this.analyser = this.context.createAnalyser();
+      this.analyser.fftSize = 2048;
+      node.connect(this.analyser);
+
+      const splitter = this.context.createChannelSplitter(2);
+      node.connect(splitter);
+      this.channelAnalysers = [0, 1].map((channel) => {
+        const analyser = this.context.createAnalyser();
+        analyser.fftSize = 1024;
+        splitter.connect(analyser, channel);
+        return analyser;
+      });
+    }
+
+    if (this.context.state === 'suspended') {
+      this.context.resume().catch((error) => {
+        console.warn('Failed to resume audio context:', error);
+      });
+    }
+
+    return this.context;
+  }
+
+  // Resolves to whether the context is running, resuming it first if it
+  // is suspended. Browsers keep it suspended until the page has been
+  // interacted with, and songs routed through it are then silent even
+  // though audio.play() succeeded.
+  resume({ timeout = RESUME_TIMEOUT } = {}) {
+    const context = this.context;
+    if (!context || context.state !== 'suspended') return Promise.resolve(true);
+
+    const resumed = context.resume().catch((error) => {
+      console.warn('Failed to resume audio context:', error);
+    });
+    const waited = new Promise(resolve => setTimeout(resolve, timeout));
+    return Promise.race([resumed, waited]).then(() => context.state !== 'suspended');
+  }
+
+  connect(audio) {
+    if (this.elements.has(audio)) return;
+
+    const context = this.ensureContext();
+    const source = context.createMediaElementSource(audio);
+    const gain = context.createGain();
+    source.connect(gain);
+    gain.connect(this.masterGain);
+    this.elements.set(audio, { source, gain });
+  }
+
+  disconnect(audio) {
+    const nodes = this.elements.get(audio);
+    if (!nodes) return;
+
+    nodes.source.disconnect();
+    nodes.gain.disconnect();
+    this.elements.delete(audio);
+  }
+
+  // Null until the first song has played
+  getAnalyser() {
+    return this.analyser;
+  }
+
+  getChannelAnalysers() {
+    return this.channelAnalysers;
+  }
+
+  isConnected(audio) {
+    return this.elements.has(audio);
+  }
+
+  setElementVolume(audio, volume) {
+    const nodes = this.elements.get(audio);
+    if (nodes) {
+      nodes.gain.gain.value = volume;
+    }
+  }
+
+  setBandGain(index, db) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.frequencies.length) {
+      console.error('Invalid equalizer band:', index);
+      return;
+    }
+
+    this.gains[index] = clampGain(db);
+    if (this.filters[index]) {
+      this.filters[index].gain.value = this.gains[index];
+    }
+  }
+
+  applyPreset(id) {
+    const preset = EQ_PRESETS[id];
+    if (!preset) {
+      console.error('Invalid equalizer preset:', id);
+      return false;
+    }
+
+    preset.gains.forEach((gain, index) => this.setBandGain(index, gain));
+    return true;
+  }
+
+  getGains() {
+    return [...this.gains];
+  }
+}
@@ -0,0 +1,101 @@
+// Error log module
+//
+// Everything that went wrong this session, for the Error Log panel. Each
+// entry is { time, type, message }, where `type` is one of ERROR_TYPES
+// (playback-errors.js) or the part of the app that failed ('catalogue',
+// 'clipboard', 'lyrics', 'offline' or 'app'). Nothing is saved; a reload
+// starts a new log.
+
+// Older entries are dropped beyond this many
+export const MAX_LOG_ENTRIES = 100;
+
+// Dispatches 'change' whenever an entry is added or the log is cleared
+export class ErrorLog extends EventTarget {
+  constructor({ limit = MAX_LOG_ENTRIES, now = () => new Date() } = {}) {
+    super();
+    this.limit = limit;
+    // Injectable clock for tests
+    this.now = now;
+    this.entries = [];
+  }
+
+  add(type, message) {
+    const entry = { time: this.now(), type, message };
+    this.entries.push(entry);
+    if (this.entries.length > this.limit) {
+      this.entries.shift();
+    }
+    this.dispatchEvent(new Event('change'));
+    return entry;
+  }
+
+  clear() {
+    if (this.entries.length === 0) return;
+
+    this.entries = [];
+    this.dispatchEvent(new Event('change'));
+  }
+
+  // Newest first
+  getEntries() {
+    return [...this.entries].reverse();
+  }
+}
+
+// "14:03:09", in local time
+export function formatLogTime(date) {
+  return date.toTimeString().slice(0, 8);
+}
+
+export function initErrorLogPanel(log) {
+  const list = document.getElementById('error-log-list');
+  if (!list) return;
+
+  const count = document.getElementById('error-log-count');
+  const emptyMessage = document.getElementById('error-log-empty');
+  const clearButton = document.getElementById('error-log-clear');
+
+  function renderLog() {
+    const entries = log.getEntries();
+    list.textContent = '';
+
+    entries.forEach((entry) => {
+      const item = document.createElement('li');
+      item.className = 'error-log-entry';
+
+      const time = document.createElement('time');
+      time.dateTime = entry.time.toISOString();
+      time.textContent = formatLogTime(entry.time);
+      item.appendChild(time);
+
+      const type = document.createElement('span');
+      type.className = 'error-log-type';
+      type.textContent = entry.type;
+      item.appendChild(type);
+
+      const message = document.createElement('span');
+      message.className = 'error-log-message';
+      message.textContent = entry.message;
+      item.appendChild(message);
+
+      list.appendChild(item);
+    });
+
+    if (count) {
+      count.textContent = String(entries.length);
+    }
+    if (emptyMessage) {
+      emptyMessage.hidden = entries.length > 0;
+    }
+    if (clearButton) {
+      clearButton.disabled = entries.length === 0;
+    }
+  }
+
+  if (clearButton) {
+    clearButton.addEventListener('click', () => log.clear());
+  }
+
+  renderLog();
+  log.addEventListener('change', renderLog);
+}
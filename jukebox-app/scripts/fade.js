@@ -0,0 +1,36 @@
+// Crossfade curve module
+//
+// Equal-power curves: the two gains always satisfy in² + out² = 1, so the
+// combined loudness stays steady through the fade instead of dipping in
+// the middle as it would with straight lines.
+
+export const MAX_CROSSFADE = 12;
+
+function clampProgress(progress) {
+  if (!Number.isFinite(progress)) return progress > 0 ? 1 : 0;
+  return Math.max(0, Math.min(1, progress));
+}
+
+// Clamps a crossfade duration to 0–MAX_CROSSFADE seconds, or returns null
+// when it isn't a number at all
+export function clampCrossfade(seconds) {
+  if (typeof seconds !== 'number' || Number.isNaN(seconds)) return null;
+  return Math.max(0, Math.min(MAX_CROSSFADE, seconds));
+}
+
+// How far through a fade that started at `start` and lasts `length` seconds
+// the outgoing song is at `position`, from 0 to 1
+export function getFadeProgress(position, start, length) {
+  if (!(length > 0)) return 1;
+  return clampProgress((position - start) / length);
+}
+
+export function fadeInGain(progress) {
+  const p = clampProgress(progress);
+  return p === 1 ? 1 : Math.sin(p * Math.PI / 2);
+}
+
+export function fadeOutGain(progress) {
+  const p = clampProgress(progress);
+  return p === 1 ? 0 : Math.cos(p * Math.PI / 2);
+}
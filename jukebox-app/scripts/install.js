@@ -0,0 +1,57 @@
+// Install module
+//
+// Shows the "Install" button only while the browser is willing to install
+// the jukebox as an app, i.e. after it fires beforeinstallprompt, and
+// hides it for good once the app is installed or running standalone.
+
+export function isStandalone(win = window) {
+  const displayMode = win.matchMedia ? win.matchMedia('(display-mode: standalone)') : null;
+  // iOS Safari reports home screen apps through navigator.standalone
+  return Boolean((displayMode && displayMode.matches) || (win.navigator && win.navigator.standalone));
+}
+
+export function initInstallButton(win = window) {
+  const installButton = document.getElementById('install-btn');
+  if (!installButton) return;
+
+  // The beforeinstallprompt event, kept until the button is pressed
+  let deferredPrompt = null;
+  let installed = isStandalone(win);
+
+  function updateInstallButton() {
+    installButton.hidden = installed || deferredPrompt === null;
+  }
+
+  // Set initial state
+  updateInstallButton();
+
+  win.addEventListener('beforeinstallprompt', (event) => {
+    // Offer installation from our button instead of the browser's banner
+    event.preventDefault();
+    deferredPrompt = event;
+    updateInstallButton();
+  });
+
+  win.addEventListener('appinstalled', () => {
+    installed = true;
+    deferredPrompt = null;
+    updateInstallButton();
+    document.dispatchEvent(new CustomEvent('installchange', {
+      detail: { installed: true }
+    }));
+  });
+
+  installButton.addEventListener('click', () => {
+    const prompt = deferredPrompt;
+    if (!prompt) return;
+
+    // A prompt can only be shown once; the browser fires a new
+    // beforeinstallprompt if installing is still possible later
+    deferredPrompt = null;
+    updateInstallButton();
+
+    Promise.resolve(prompt.prompt()).catch((error) => {
+      console.error('Install prompt failed:', error);
+    });
+  });
+}
@@ -0,0 +1,86 @@
+// Library module
+//
+// The library is a list of albums, each { title, artist, year, cover,
+// songs } (see catalogue.js). The album picker in the header swaps the
+// player's song list to the chosen album.
+import { slugify } from './routing.js';
+
+export function getAlbumSlug(album) {
+  return slugify(album.title);
+}
+
+// "you know? (2024)", or just the title when the year isn't known
+export function getAlbumLabel(album) {
+  return Number.isInteger(album.year) ? `${album.title} (${album.year})` : album.title;
+}
+
+export function findAlbumBySlug(albums, slug) {
+  return albums.find(album => getAlbumSlug(album) === slug) || null;
+}
+
+export function findAlbumByTitle(albums, title) {
+  return albums.find(album => album.title === title) || null;
+}
+
+// Turns a saved { index, position, album } point (album being a title, as
+// persistence.js stores it) into { album, index, position }. Points
+// without an album belong to `currentAlbum`. Returns null when the album
+// or song no longer exists.
+export function resolveAlbumPoint(albums, point, currentAlbum = albums[0]) {
+  if (!point) return null;
+
+  const album = point.album === undefined ? currentAlbum : findAlbumByTitle(albums, point.album);
+  if (!album || point.index >= album.songs.length) return null;
+
+  return { album, index: point.index, position: point.position };
+}
+
+// Switches the player to `album` unless it is already loaded
+export function selectAlbum(player, album) {
+  if (player.album === album) return;
+  player.setSongList(album.songs, { album });
+}
+
+export function initAlbumPicker(player, albums) {
+  const albumSelect = document.getElementById('album-select');
+  const albumTitle = document.getElementById('album-title');
+  const albumCover = document.getElementById('album-cover');
+
+  if (albumSelect) {
+    albums.forEach((album, index) => {
+      const option = document.createElement('option');
+      option.value = String(index);
+      option.textContent = getAlbumLabel(album);
+      albumSelect.appendChild(option);
+    });
+
+    albumSelect.addEventListener('change', () => {
+      selectAlbum(player, albums[Number(albumSelect.value)]);
+    });
+  }
+
+  function updateAlbum() {
+    const album = player.album;
+    if (!album) return;
+
+    if (albumSelect) {
+      albumSelect.value = String(albums.indexOf(album));
+    }
+    if (albumTitle) {
+      albumTitle.textContent = album.title;
+    }
+    if (albumCover) {
+      // Decorative: the title is right next to it
+      albumCover.hidden = !album.cover;
+      if (album.cover) {
+        albumCover.src = album.cover;
+      }
+    }
+  }
+
+  // Set initial state
+  updateAlbum();
+
+  // Also follows switches made elsewhere, e.g. by opening a song link
+  player.on('album', updateAlbum);
+}
@@ -0,0 +1,76 @@
+// LRC timed lyrics module
+//
+// Parses the common LRC format: "[mm:ss.xx]Lyric line", with optional
+// repeated timestamps per line and [ti:], [ar:], [al:] and [offset:] tags.
+
+const TIMESTAMP_PATTERN = /\[(\d+):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+const TAG_PATTERN = /^\[([a-z]+):(.*)\]$/i;
+
+export function parseTimestamp(minutes, seconds, fraction = '') {
+  // "5" means 0.5s, "05" means 0.05s and "005" means 0.005s
+  const fractionSeconds = fraction ? Number(fraction) / Math.pow(10, fraction.length) : 0;
+  return Number(minutes) * 60 + Number(seconds) + fractionSeconds;
+}
+
+export function parseLrc(source) {
+  const metadata = {};
+  const lines = [];
+
+  String(source).split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const timestamps = [];
+    let match;
+    let textStart = 0;
+
+    TIMESTAMP_PATTERN.lastIndex = 0;
+    while ((match = TIMESTAMP_PATTERN.exec(line)) !== null && match.index === textStart) {
+      timestamps.push(parseTimestamp(match[1], match[2], match[3]));
+      textStart = TIMESTAMP_PATTERN.lastIndex;
+    }
+
+    if (timestamps.length > 0) {
+      const text = line.slice(textStart).trim();
+      timestamps.forEach((time) => lines.push({ time, text }));
+      return;
+    }
+
+    const tag = line.match(TAG_PATTERN);
+    if (tag) {
+      metadata[tag[1].toLowerCase()] = tag[2].trim();
+    }
+  });
+
+  // A positive offset (in milliseconds) makes lyrics appear sooner
+  const offset = Number(metadata.offset) || 0;
+  if (offset) {
+    lines.forEach((line) => {
+      line.time = Math.max(0, line.time - offset / 1000);
+    });
+  }
+
+  // Stable sort keeps the file order for lines sharing a timestamp
+  lines.sort((a, b) => a.time - b.time);
+
+  return { metadata, lines };
+}
+
+export function findActiveLine(lines, time) {
+  // Binary search for the last line that started at or before `time`
+  let low = 0;
+  let high = lines.length - 1;
+  let active = -1;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (lines[mid].time <= time) {
+      active = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return active;
+}
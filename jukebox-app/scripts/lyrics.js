@@ -0,0 +1,224 @@
+// Lyrics panel module
+import { parseMarkdown, renderMarkdown } from './markdown.js';
+import { parseLrc, findActiveLine } from './lrc.js';
+import { formatTime } from './time.js';
+
+async function fetchText(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response.text();
+}
+
+// `reportError(type, message)` shows and logs failed imports (see main.js)
+export function initLyricsPanel(player, { reportError = () => {} } = {}) {
+  const panel = document.getElementById('lyrics');
+  if (!panel) return;
+
+  // Incremented on every song change so slow responses for an older song
+  // never overwrite the lyrics of the current one
+  let requestId = 0;
+  let currentSong = null;
+
+  // Timed (karaoke) view state
+  let timedLines = null;
+  let lineElements = [];
+  let activeLine = -1;
+
+  // LRC files imported by the user this session, keyed by song
+  const importedLrc = new Map();
+
+  function showMessage(message) {
+    clearTimedView();
+    panel.textContent = '';
+    const placeholder = document.createElement('p');
+    placeholder.className = 'lyrics-placeholder';
+    placeholder.textContent = message;
+    panel.appendChild(placeholder);
+  }
+
+  function clearTimedView() {
+    timedLines = null;
+    lineElements = [];
+    activeLine = -1;
+    panel.classList.remove('timed');
+  }
+
+  function renderStatic(source) {
+    clearTimedView();
+    // Song headings start at h3 under the panel's own h2
+    renderMarkdown(panel, parseMarkdown(source), 2);
+  }
+
+  function renderTimed(lines) {
+    clearTimedView();
+    panel.textContent = '';
+    panel.classList.add('timed');
+
+    const list = document.createElement('ol');
+    list.className = 'lyrics-lines';
+
+    lineElements = lines.map((line) => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'lyrics-line';
+      button.dataset.time = line.time;
+      button.textContent = line.text || '♪';
+      button.setAttribute('aria-label', `Seek to ${formatTime(line.time)}: ${line.text || 'instrumental'}`);
+      item.appendChild(button);
+      list.appendChild(item);
+      return button;
+    });
+
+    panel.appendChild(list);
+    timedLines = lines;
+    updateActiveLine(player.getPosition());
+  }
+
+  function setActiveLine(index) {
+    if (index === activeLine) return;
+
+    if (lineElements[activeLine]) {
+      lineElements[activeLine].classList.remove('active');
+      lineElements[activeLine].removeAttribute('aria-current');
+    }
+
+    activeLine = index;
+
+    const element = lineElements[index];
+    if (element) {
+      element.classList.add('active');
+      element.setAttribute('aria-current', 'true');
+      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }
+
+  function updateActiveLine(position) {
+    if (!timedLines) return;
+    setActiveLine(findActiveLine(timedLines, position));
+  }
+
+  async function loadTimedLyrics(song) {
+    const source = importedLrc.get(song) || (song.lrc ? await fetchText(song.lrc) : null);
+    if (!source) return null;
+
+    const { lines } = parseLrc(source);
+    return lines.length > 0 ? lines : null;
+  }
+
+  async function loadLyrics(song) {
+    const currentRequest = ++requestId;
+    currentSong = song;
+
+    if (!song || (!song.lyrics && !song.lrc && !importedLrc.has(song))) {
+      showMessage('No lyrics available for this song.');
+      return;
+    }
+
+    panel.setAttribute('aria-busy', 'true');
+    showMessage('Loading lyrics…');
+
+    try {
+      let lines = null;
+      try {
+        lines = await loadTimedLyrics(song);
+      } catch (error) {
+        // Timed lyrics are optional; fall back to the static view
+        console.warn('Failed to load timed lyrics:', error);
+      }
+
+      if (currentRequest !== requestId) return;
+
+      if (lines) {
+        renderTimed(lines);
+        return;
+      }
+
+      if (!song.lyrics) {
+        showMessage('No lyrics available for this song.');
+        return;
+      }
+
+      const source = await fetchText(song.lyrics);
+      if (currentRequest !== requestId) return;
+      renderStatic(source);
+    } catch (error) {
+      if (currentRequest !== requestId) return;
+      console.error('Failed to load lyrics:', error);
+      showMessage(`Lyrics for "${song.title}" could not be loaded.`);
+    } finally {
+      if (currentRequest === requestId) {
+        panel.setAttribute('aria-busy', 'false');
+      }
+    }
+  }
+
+  // Clicking a timed line seeks to its timestamp
+  panel.addEventListener('click', (event) => {
+    const line = event.target.closest('.lyrics-line');
+    if (line) {
+      player.seek(Number(line.dataset.time));
+    }
+  });
+
+  function showImportError(message) {
+    reportError('lyrics', message);
+  }
+
+  // Import an .lrc file from disk for the playing song
+  const importInput = document.getElementById('lrc-import');
+  if (importInput) {
+    importInput.addEventListener('change', async () => {
+      const file = importInput.files && importInput.files[0];
+      importInput.value = '';
+      if (!file) return;
+
+      if (!currentSong) {
+        showImportError('Play a song before importing timed lyrics.');
+        return;
+      }
+
+      const song = currentSong;
+      let source;
+      try {
+        source = await file.text();
+      } catch (error) {
+        console.error('Failed to read lyrics file:', error);
+        showImportError(`Error: Unable to read "${file.name}"`);
+        return;
+      }
+
+      const { lines } = parseLrc(source);
+
+      if (lines.length === 0) {
+        showImportError(`Error: "${file.name}" does not contain any timed lyrics`);
+        return;
+      }
+
+      importedLrc.set(song, source);
+      if (song === currentSong) {
+        requestId++;
+        panel.setAttribute('aria-busy', 'false');
+        renderTimed(lines);
+      }
+    });
+  }
+
+  player.on('songchange', (event) => {
+    loadLyrics(event.detail.song);
+  });
+
+  // Follow the playback position to highlight the current line
+  player.on('position', (event) => {
+    updateActiveLine(event.detail.position);
+  });
+
+  player.on('stop', () => {
+    requestId++;
+    currentSong = null;
+    panel.setAttribute('aria-busy', 'false');
+    showMessage('Lyrics appear here when a song is playing.');
+  });
+}
@@ -1,18 +1,45 @@
 // Main JavaScript entry point
-import { songs } from './data.js';
+import { loadCatalogue, describeCatalogueErrors } from './catalogue.js';
 import { Player } from './player.js';
+import { isPausableState } from './playback-state.js';
 import { 
   renderSongList, 
   initVolumeControl, 
+  initSeekBar,
+  initTransportControls,
+  initModeButton,
+  initTransitionControls,
+  initNormalizationSelect,
   initMuteButton, 
   initPlayAllButton,
+  initResumePrompt,
+  initStartOverlay,
   initSongHighlighting 
 } from './controls.js';
+import { initLyricsPanel } from './lyrics.js';
+import { initQueuePanel } from './queue.js';
+import { initPersistence } from './persistence.js';
+import { AudioGraph, isWebAudioSupported } from './equalizer.js';
+import { initEqualizerPanel } from './eq-panel.js';
+import { initVisualizer } from './visualizer.js';
+import { initMediaSession } from './media-session.js';
+import { initOfflineMode, isOfflineSupported } from './offline.js';
+import { initInstallButton } from './install.js';
+import { initRouting, copySongLink, isClipboardSupported, getLinkAlbum } from './routing.js';
+import { initAlbumPicker, resolveAlbumPoint, selectAlbum } from './library.js';
+import { describePlaybackError, describeRetry } from './playback-errors.js';
+import { createToast } from './toast.js';
+import { ErrorLog, initErrorLogPanel } from './error-log.js';
 
 // Initialize the jukebox when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-  // Initialize player with songs
-  const player = new Player(songs);
+document.addEventListener('DOMContentLoaded', async () => {
+  // Load songs.json, falling back to the built-in albums if it is unusable
+  const { albums, errors: catalogueErrors } = await loadCatalogue();
+  
+  // Initialize player with the first album, routed through the equalizer
+  // when the browser supports Web Audio
+  const audioGraph = isWebAudioSupported() ? new AudioGraph() : null;
+  const player = new Player(albums[0].songs, { audioGraph, album: albums[0] });
   
   // Get UI elements
   const songListContainer = document.getElementById('song-list');
@@ -23,23 +50,133 @@ document.addEventListener('DOMContentLoaded', () => {
     return;
   }
   
-  // Render song list
-  renderSongList(songListContainer, songs);
+  // Problems are shown briefly in #error-msg and kept in the error log
+  const toast = createToast(errorMessage);
+  const errorLog = new ErrorLog();
+  initErrorLogPanel(errorLog);
+  
+  function reportError(type, message) {
+    toast.show(message);
+    errorLog.add(type, message);
+  }
+  
+  if (catalogueErrors.length > 0) {
+    reportError('catalogue', describeCatalogueErrors(catalogueErrors));
+  }
+  
+  // Restore saved settings before the controls read their initial state
+  const resumePoint = resolveAlbumPoint(albums, initPersistence(player), player.album);
+  
+  // A song opened from a shared link takes the place of the saved one
+  const linkedPoint = initRouting(player, albums);
+  const cuedPoint = linkedPoint || resumePoint;
+  
+  // Open the album of the song on offer
+  if (cuedPoint) {
+    selectAlbum(player, cuedPoint.album);
+  }
+  
+  // Render song list, and again whenever another album is chosen
+  const songListOptions = {
+    offline: isOfflineSupported(),
+    copyLinks: isClipboardSupported()
+  };
+  renderSongList(songListContainer, player.songs, songListOptions);
+  
+  player.on('album', (event) => {
+    const { album, songs } = event.detail;
+    renderSongList(songListContainer, songs, songListOptions);
+    if (album) {
+      announceToScreenReader(`Showing ${album.title}`);
+    }
+  });
   
   // Initialize all UI controls
   initVolumeControl(player);
+  initSeekBar(player);
+  initTransportControls(player);
+  initModeButton(player);
+  initTransitionControls(player);
+  initNormalizationSelect(player);
   initMuteButton(player);
   initPlayAllButton(player);
-  initSongHighlighting();
+  initAlbumPicker(player, albums);
+  initResumePrompt(player, cuedPoint, { linked: Boolean(linkedPoint) });
+  initStartOverlay(player);
+  initSongHighlighting(player);
+  initLyricsPanel(player, { reportError });
+  initQueuePanel(player);
+  initEqualizerPanel(audioGraph);
+  initVisualizer(player, audioGraph);
+  initMediaSession(player);
+  initOfflineMode(songListContainer, player, { reportError });
+  initInstallButton();
+  
+  // Bring a linked song into view; it plays once the prompt is pressed
+  if (linkedPoint) {
+    const linkedButton = songListContainer.querySelector(`button[data-index="${linkedPoint.index}"]`);
+    if (linkedButton) {
+      linkedButton.scrollIntoView({ block: 'center' });
+    }
+  }
   
   // Handle song button clicks
   songListContainer.addEventListener('click', (event) => {
-    if (event.target.matches('button[data-index]')) {
-      const index = Number(event.target.dataset.index);
+    const actionButton = event.target.closest('button[data-action]');
+    if (actionButton) {
+      const index = Number(actionButton.dataset.songIndex);
+      const song = player.songs[index];
+      if (actionButton.dataset.action === 'play-next') {
+        player.insertNext(index);
+        announceToScreenReader(`${song.title} will play next`);
+      } else if (actionButton.dataset.action === 'enqueue') {
+        player.enqueue(index);
+        announceToScreenReader(`${song.title} added to queue`);
+      } else if (actionButton.dataset.action === 'copy-link') {
+        // Link the playing song at its current position, any other from the start
+        const position = index === player.currentIndex ? player.getPosition() : 0;
+        copySongLink(song, position, { album: getLinkAlbum(albums, player.album) })
+          .then(() => announceToScreenReader(`Link to ${song.title} copied`))
+          .catch((error) => {
+            console.error('Failed to copy link:', error);
+            reportError('clipboard', `Error: Unable to copy the link to "${song.title}"`);
+          });
+      }
+      return;
+    }
+
+    // The song button contains the meta badge, so match clicks inside it too
+    const songButton = event.target.closest('button[data-index]');
+    if (songButton) {
+      const index = Number(songButton.dataset.index);
       player.play(index);
     }
   });
   
+  // Songs that can't be played, and the retries before that
+  player.on('error', (event) => {
+    const { song, type } = event.detail;
+    reportError(type, describePlaybackError(type, song));
+  });
+  
+  player.on('retry', (event) => {
+    reportError('network', describeRetry(event.detail, player.maxNetworkRetries));
+  });
+  
+  // The start overlay asks for the tap; the log just records it
+  player.on('blocked', (event) => {
+    errorLog.add('blocked', describePlaybackError('blocked', event.detail.song));
+  });
+  
+  document.addEventListener('offlinechange', (event) => {
+    const { song, pinned } = event.detail;
+    announceToScreenReader(pinned ? `${song.title} is available offline` : `${song.title} removed from offline songs`);
+  });
+  
+  document.addEventListener('installchange', () => {
+    announceToScreenReader('Jukebox installed');
+  });
+  
   // Handle keyboard navigation for song buttons (now handled in renderSongList)
   // This is kept for backward compatibility but the actual handling is in controls.js
   songListContainer.addEventListener('keydown', (event) => {
@@ -60,6 +197,21 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Global shortcuts
     switch (event.key) {
+      case ' ': {
+        // Let focused buttons, sliders and links handle Space themselves
+        if (event.defaultPrevented || event.target.closest('button, a, [role="slider"], [role="button"]')) {
+          return;
+        }
+        if (player.getCurrentSong() === null) {
+          return;
+        }
+        event.preventDefault();
+        const wasPlaying = isPausableState(player.state);
+        player.togglePause();
+        announceToScreenReader(wasPlaying ? 'Playback paused' : 'Playback resumed');
+        break;
+      }
+        
       case 'p':
       case 'P': {
         if (event.ctrlKey || event.metaKey) {
@@ -88,6 +240,32 @@ document.addEventListener('DOMContentLoaded', () => {
         break;
       }
         
+      case 'n':
+      case 'N': {
+        if (event.ctrlKey || event.metaKey) {
+          return; // Don't interfere with browser shortcuts
+        }
+        event.preventDefault();
+        if (player.hasNext()) {
+          player.next();
+          announceToScreenReader('Next song');
+        }
+        break;
+      }
+        
+      case 'b':
+      case 'B': {
+        if (event.ctrlKey || event.metaKey) {
+          return; // Don't interfere with browser shortcuts
+        }
+        event.preventDefault();
+        if (player.hasPrevious()) {
+          player.previous();
+          announceToScreenReader('Previous song');
+        }
+        break;
+      }
+        
       case 'Escape':
         // Stop playback
         event.preventDefault();
@@ -126,11 +304,15 @@ document.addEventListener('DOMContentLoaded', () => {
 Keyboard Shortcuts:
 - Arrow keys: Navigate song list
 - Enter/Space: Play selected song or activate controls
+- Space (outside controls): Pause/resume current song
 - P: Toggle Play All
 - M: Toggle Mute
+- N: Next song
+- B: Previous song (restarts the song if more than 3 seconds in)
 - Escape: Stop playback
 - Home/End: Jump to first/last song (in song list)
 - Arrow keys on volume: Adjust volume
+- Arrow keys on seek bar: Skip back/forward 5 seconds
 - ?: Show this help
     `.trim();
     
@@ -141,40 +323,14 @@ Keyboard Shortcuts:
   // Global error handling
   window.addEventListener('error', (event) => {
     console.error('Global error:', event.error);
-    if (errorMessage) {
-      errorMessage.textContent = 'An unexpected error occurred. Please refresh the page.';
-    }
+    reportError('app', 'An unexpected error occurred. Please refresh the page.');
   });
   
-  // Clear error messages after a delay
-  const observer = new MutationObserver((mutations) => {
-    mutations.forEach((mutation) => {
-      if (mutation.type === 'childList' || mutation.type === 'characterData') {
-        const errorEl = document.getElementById('error-msg');
-        if (errorEl && errorEl.textContent.trim()) {
-          setTimeout(() => {
-            if (errorEl.textContent.trim()) {
-              errorEl.textContent = '';
-            }
-          }, 5000); // Clear after 5 seconds
-        }
-      }
-    });
-  });
-  
-  if (errorMessage) {
-    observer.observe(errorMessage, { 
-      childList: true, 
-      characterData: true, 
-      subtree: true 
-    });
-  }
-  
   // Expose player to global scope for debugging
   if (typeof window !== 'undefined') {
     window.jukeboxPlayer = player;
   }
   
   console.log('🎵 Jukebox initialized successfully!');
-  console.log(`📀 Loaded ${songs.length} songs`);
+  console.log(`📀 Loaded ${albums.length} album(s), ${albums.reduce((total, album) => total + album.songs.length, 0)} songs`);
 });
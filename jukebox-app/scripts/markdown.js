@@ -0,0 +1,99 @@
+// Markdown rendering module for lyrics files
+//
+// Only the subset used by the files in /lyrics is supported: ATX headings,
+// paragraphs separated by blank lines, hard line breaks and **bold** text.
+// Rendering goes through createElement/textContent so file contents are
+// never interpreted as HTML.
+
+export function parseInline(text) {
+  const segments = [];
+  const pattern = /\*\*(.+?)\*\*/g;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, match.index), strong: false });
+    }
+    segments.push({ text: match[1], strong: true });
+    lastIndex = pattern.lastIndex;
+  }
+
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), strong: false });
+  }
+
+  return segments;
+}
+
+export function parseMarkdown(source) {
+  const blocks = [];
+  let paragraph = null;
+
+  const lines = String(source).split(/\r?\n/);
+
+  lines.forEach((rawLine) => {
+    // Trailing spaces only mark hard line breaks; every line breaks anyway
+    const line = rawLine.replace(/\s+$/, '');
+
+    if (line.trim() === '') {
+      paragraph = null;
+      return;
+    }
+
+    const heading = line.match(/^(#{1,6})[ \t]+(.*)$/);
+    if (heading) {
+      paragraph = null;
+      blocks.push({
+        type: 'heading',
+        level: heading[1].length,
+        content: parseInline(heading[2].trim())
+      });
+      return;
+    }
+
+    if (!paragraph) {
+      paragraph = { type: 'paragraph', lines: [] };
+      blocks.push(paragraph);
+    }
+    paragraph.lines.push(parseInline(line));
+  });
+
+  return blocks;
+}
+
+function appendInline(parent, segments) {
+  segments.forEach((segment) => {
+    if (segment.strong) {
+      const strong = document.createElement('strong');
+      strong.textContent = segment.text;
+      parent.appendChild(strong);
+    } else {
+      parent.appendChild(document.createTextNode(segment.text));
+    }
+  });
+}
+
+export function renderMarkdown(container, blocks, headingOffset = 0) {
+  // Clear any existing content
+  container.textContent = '';
+
+  blocks.forEach((block) => {
+    if (block.type === 'heading') {
+      const level = Math.min(6, block.level + headingOffset);
+      const heading = document.createElement(`h${level}`);
+      appendInline(heading, block.content);
+      container.appendChild(heading);
+      return;
+    }
+
+    const paragraph = document.createElement('p');
+    block.lines.forEach((line, index) => {
+      if (index > 0) {
+        paragraph.appendChild(document.createElement('br'));
+      }
+      appendInline(paragraph, line);
+    });
+    container.appendChild(paragraph);
+  });
+}
@@ -0,0 +1,168 @@
+// Media Session module
+//
+// Shows the playing song on lock screens and in notification panels, and
+// lets hardware media keys control the player. The session and metadata
+// constructor are injectable so this can be tested outside a browser.
+
+import { isPausableState } from './playback-state.js';
+
+// Used for songs that don't come with an album
+export const ALBUM_TITLE = 'you know?';
+
+// Some platforms skip artwork that doesn't give its size and type. An SVG
+// scales to any size; raster covers are expected to be COVER_SIZE squares.
+export const COVER_SIZE = '512x512';
+
+const IMAGE_TYPES = {
+  svg: 'image/svg+xml',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif'
+};
+
+// Media Session artwork for an image path, typed by its extension
+export function getArtwork(src) {
+  const extension = src.split(/[?#]/)[0].split('.').pop().toLowerCase();
+  const type = IMAGE_TYPES[extension];
+  const artwork = { src, sizes: extension === 'svg' ? 'any' : COVER_SIZE };
+  if (type) {
+    artwork.type = type;
+  }
+  return artwork;
+}
+
+export const ARTWORK = [getArtwork('assets/artwork.svg')];
+
+export function isMediaSessionSupported() {
+  return typeof navigator !== 'undefined' && Boolean(navigator.mediaSession);
+}
+
+export function getSongMetadata(song, album = null) {
+  return {
+    title: song.title,
+    artist: song.artist,
+    album: album ? album.title : ALBUM_TITLE,
+    artwork: album && album.cover ? [getArtwork(album.cover)] : ARTWORK
+  };
+}
+
+// Arguments for setPositionState, or null while the duration is unknown
+// (it throws for NaN or infinite durations, and for positions past the end)
+export function getPositionState(position, duration) {
+  if (!Number.isFinite(duration) || duration <= 0) return null;
+
+  return {
+    duration,
+    playbackRate: 1,
+    position: Math.min(Math.max(0, position || 0), duration)
+  };
+}
+
+// mediaSession.playbackState for a player state (see playback-state.js).
+// A loading song shows as playing, since it is about to be.
+export function getSessionPlaybackState(state) {
+  if (state === 'idle') return 'none';
+  return isPausableState(state) ? 'playing' : 'paused';
+}
+
+function getDefaultMediaSession() {
+  return isMediaSessionSupported() ? navigator.mediaSession : null;
+}
+
+function createDefaultMetadata(init) {
+  return new window.MediaMetadata(init);
+}
+
+export function initMediaSession(player, {
+  mediaSession = getDefaultMediaSession(),
+  createMetadata = createDefaultMetadata
+} = {}) {
+  if (!mediaSession) return;
+
+  function setActionHandler(action, handler) {
+    try {
+      mediaSession.setActionHandler(action, handler);
+    } catch (error) {
+      // Older browsers throw for actions they don't know (e.g. stop, seekto)
+      console.warn(`Media session action "${action}" is not supported:`, error);
+    }
+  }
+
+  function updatePositionState(position, duration) {
+    if (typeof mediaSession.setPositionState !== 'function') return;
+
+    const state = getPositionState(position, duration);
+    try {
+      // No argument clears the position
+      if (state) {
+        mediaSession.setPositionState(state);
+      } else {
+        mediaSession.setPositionState();
+      }
+    } catch (error) {
+      console.warn('Failed to update media session position:', error);
+    }
+  }
+
+  function syncPosition() {
+    updatePositionState(player.getPosition(), player.getDuration());
+  }
+
+  setActionHandler('play', () => {
+    // With nothing loaded, the play key starts the whole album
+    if (player.getCurrentSong() === null) {
+      player.playAll();
+    } else {
+      player.resume();
+    }
+  });
+
+  setActionHandler('pause', () => player.pause());
+  setActionHandler('stop', () => player.stop());
+
+  setActionHandler('previoustrack', () => {
+    if (player.hasPrevious()) {
+      player.previous();
+    }
+  });
+
+  setActionHandler('nexttrack', () => {
+    if (player.hasNext()) {
+      player.next();
+    }
+  });
+
+  setActionHandler('seekto', (details) => {
+    if (Number.isFinite(details.seekTime)) {
+      player.seek(details.seekTime);
+    }
+  });
+
+  // Every state change, so songs that end, fail or are blocked don't
+  // leave the system controls showing them as playing
+  player.on('statechange', (event) => {
+    mediaSession.playbackState = getSessionPlaybackState(event.detail.next);
+  });
+
+  player.on('songchange', (event) => {
+    mediaSession.metadata = createMetadata(getSongMetadata(event.detail.song, event.detail.album));
+    syncPosition();
+  });
+
+  ['play', 'pause'].forEach((type) => {
+    player.on(type, syncPosition);
+  });
+
+  player.on('stop', () => {
+    mediaSession.metadata = null;
+    updatePositionState(0, NaN);
+  });
+
+  // The system extrapolates the position while playing; this corrects it
+  // once the duration is known and after seeks
+  player.on('position', (event) => {
+    updatePositionState(event.detail.position, event.detail.duration);
+  });
+}
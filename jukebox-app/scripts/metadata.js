@@ -0,0 +1,44 @@
+// Song metadata module
+//
+// The second line of every lyrics file carries the tempo and key, written as
+// a heading like "## ~127 bpm - Am". Heading level, separator whitespace and
+// the "~" marking an approximate tempo vary between files.
+
+const TEMPO_PATTERN = /(~)?\s*(\d+(?:\.\d+)?)\s*bpm\b/i;
+const KEY_PATTERN = /(?:^|[\s-])([A-G](?:#|b)?m?)\s*$/;
+
+export function parseSongHeader(line) {
+  if (typeof line !== 'string') return null;
+
+  const text = line.replace(/^\s*#{1,6}\s*/, '').trim();
+  const tempo = text.match(TEMPO_PATTERN);
+  const key = text.match(KEY_PATTERN);
+
+  if (!tempo && !key) return null;
+
+  return {
+    bpm: tempo ? Number(tempo[2]) : null,
+    bpmApproximate: tempo ? Boolean(tempo[1]) : false,
+    key: key ? key[1] : null
+  };
+}
+
+export function parseLyricsMetadata(source) {
+  const lines = String(source).split(/\r?\n/);
+
+  // The first line is the song title; metadata follows directly below it
+  return parseSongHeader(lines[1]);
+}
+
+export function formatSongMeta(song) {
+  const parts = [];
+
+  if (song.bpm) {
+    parts.push(`${song.bpmApproximate ? '~' : ''}${song.bpm} BPM`);
+  }
+  if (song.key) {
+    parts.push(song.key);
+  }
+
+  return parts.join(' · ');
+}
@@ -0,0 +1,49 @@
+// Offline cache module
+//
+// Pins songs for the page, and re-exports the worker's half of the cache
+// (worker-cache.js) so both sides share one set of names. Must not touch
+// the DOM. Paths are relative to the app directory, which is also where
+// sw.js lives.
+import { getSongSources, selectPlayableSources } from './sources.js';
+import './worker-cache.js';
+
+export const {
+  SHELL_CACHE,
+  AUDIO_CACHE,
+  SHELL_FILES,
+  getOptionalFiles,
+  cacheOptionalFiles,
+  parseRange,
+  sliceStream,
+  createRangeResponse
+} = globalThis.jukeboxWorkerCache;
+
+// Caches the first of the song's sources this browser can play and the
+// network delivers. Resolves to the cached path.
+export async function pinSong(song, { cacheStorage, canPlayType }) {
+  const cache = await cacheStorage.open(AUDIO_CACHE);
+  const sources = selectPlayableSources(getSongSources(song), canPlayType);
+  let lastError = new Error(`No playable source for "${song.title}"`);
+
+  for (const source of sources) {
+    try {
+      await cache.add(source.src);
+      return source.src;
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+}
+
+export async function unpinSong(song, { cacheStorage }) {
+  const cache = await cacheStorage.open(AUDIO_CACHE);
+  await Promise.all(getSongSources(song).map(source => cache.delete(source.src)));
+}
+
+export async function isSongPinned(song, { cacheStorage }) {
+  const cache = await cacheStorage.open(AUDIO_CACHE);
+  const matches = await Promise.all(getSongSources(song).map(source => cache.match(source.src)));
+  return matches.some(Boolean);
+}
@@ -0,0 +1,110 @@
+// Offline module
+//
+// Registers the service worker and drives the "save for offline" pin
+// buttons and "available offline" badges that renderSongList adds to each
+// song when called with `{ offline: true }`, including after the list is
+// re-rendered for another album.
+import { pinSong, unpinSong, isSongPinned } from './offline-cache.js';
+
+export function isOfflineSupported() {
+  return typeof navigator !== 'undefined' && Boolean(navigator.serviceWorker)
+    && typeof window !== 'undefined' && Boolean(window.caches);
+}
+
+// `reportError(type, message)` shows and logs failed pins (see main.js)
+export function initOfflineMode(container, player, { reportError = () => {} } = {}) {
+  if (!container || !isOfflineSupported()) return;
+
+  navigator.serviceWorker.register('sw.js').catch((error) => {
+    console.warn('Service worker registration failed:', error);
+  });
+
+  const cacheStorage = window.caches;
+  // canPlayType needs an element; this one is never played
+  const probe = new Audio();
+  const canPlayType = type => probe.canPlayType(type);
+  let songs = player.songs;
+
+  function getElements(index) {
+    return {
+      pinButton: container.querySelector(`button[data-action="pin"][data-song-index="${index}"]`),
+      badge: container.querySelector(`.offline-badge[data-song-index="${index}"]`)
+    };
+  }
+
+  function updateSong(index, pinned) {
+    const { pinButton, badge } = getElements(index);
+    const song = songs[index];
+
+    if (badge) {
+      badge.hidden = !pinned;
+    }
+    if (pinButton) {
+      const label = pinned ? `Remove ${song.title} from offline songs` : `Save ${song.title} for offline`;
+      pinButton.disabled = false;
+      pinButton.textContent = pinned ? '✓' : '⬇';
+      pinButton.title = label;
+      pinButton.setAttribute('aria-label', label);
+      pinButton.setAttribute('aria-pressed', String(pinned));
+    }
+  }
+
+  async function togglePin(index) {
+    const song = songs[index];
+    const { pinButton } = getElements(index);
+    const wasPinned = pinButton && pinButton.getAttribute('aria-pressed') === 'true';
+
+    if (pinButton) {
+      pinButton.disabled = true;
+      pinButton.textContent = '…';
+    }
+
+    try {
+      if (wasPinned) {
+        await unpinSong(song, { cacheStorage });
+      } else {
+        await pinSong(song, { cacheStorage, canPlayType });
+      }
+      updateSong(index, !wasPinned);
+      document.dispatchEvent(new CustomEvent('offlinechange', {
+        detail: { index, song, pinned: !wasPinned }
+      }));
+    } catch (error) {
+      console.error('Failed to update offline song:', error);
+      updateSong(index, wasPinned);
+      reportError('offline', `Error: Unable to save "${song.title}" for offline`);
+    }
+  }
+
+  // Show each song's current state
+  function showPinnedSongs() {
+    const listed = songs;
+    listed.forEach((song, index) => {
+      isSongPinned(song, { cacheStorage })
+        .then((pinned) => {
+          // Skip answers that arrive after another album was shown
+          if (songs === listed) {
+            updateSong(index, pinned);
+          }
+        })
+        .catch((error) => {
+          console.warn('Failed to read offline songs:', error);
+        });
+    });
+  }
+  
+  showPinnedSongs();
+  
+  // The lookups finish after main.js has rendered the new album's list
+  player.on('album', (event) => {
+    songs = event.detail.songs;
+    showPinnedSongs();
+  });
+
+  container.addEventListener('click', (event) => {
+    const pinButton = event.target.closest('button[data-action="pin"]');
+    if (pinButton && !pinButton.disabled) {
+      togglePin(Number(pinButton.dataset.songIndex));
+    }
+  });
+}
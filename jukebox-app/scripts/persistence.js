@@ -0,0 +1,205 @@
+// Persistence module
+//
+// Saves volume, mute, playback mode, transition and normalization
+// settings and the last-played song and position so they survive reloads.
+// Storage is any object with getItem/setItem/removeItem (the Web Storage
+// API), so tests can pass an in-memory one.
+import { PLAYBACK_MODES, NORMALIZATION_MODES } from './player.js';
+import { clampCrossfade } from './fade.js';
+
+export const STORAGE_KEY = 'jukebox-state';
+
+// Songs this close to their end resume from the start instead
+const END_MARGIN = 1;
+
+export function createMemoryStorage(initial = {}) {
+  const items = new Map(Object.entries(initial));
+
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, String(value));
+    },
+    removeItem: (key) => {
+      items.delete(key);
+    }
+  };
+}
+
+export function getDefaultStorage() {
+  // Accessing localStorage throws when storage is disabled (e.g. some
+  // private browsing modes); settings then only last for the session
+  try {
+    if (typeof window !== 'undefined' && window.localStorage) {
+      return window.localStorage;
+    }
+  } catch (error) {
+    console.warn('localStorage unavailable, settings will not be saved:', error);
+  }
+  return createMemoryStorage();
+}
+
+// Reads saved state, dropping any field that is missing or malformed.
+// Returns null when nothing usable was saved.
+export function loadState(storage, key = STORAGE_KEY) {
+  let saved;
+  try {
+    const raw = storage.getItem(key);
+    if (raw === null) return null;
+    saved = JSON.parse(raw);
+  } catch (error) {
+    console.warn('Ignoring unreadable saved state:', error);
+    return null;
+  }
+
+  if (!saved || typeof saved !== 'object') return null;
+
+  const state = {};
+  if (Number.isFinite(saved.volume) && saved.volume >= 0 && saved.volume <= 1) {
+    state.volume = saved.volume;
+  }
+  if (typeof saved.isMuted === 'boolean') {
+    state.isMuted = saved.isMuted;
+  }
+  if (PLAYBACK_MODES.includes(saved.mode)) {
+    state.mode = saved.mode;
+  }
+  if (Number.isFinite(saved.crossfade) && clampCrossfade(saved.crossfade) === saved.crossfade) {
+    state.crossfade = saved.crossfade;
+  }
+  if (typeof saved.gapless === 'boolean') {
+    state.gapless = saved.gapless;
+  }
+  if (NORMALIZATION_MODES.includes(saved.normalization)) {
+    state.normalization = saved.normalization;
+  }
+  if (Number.isInteger(saved.index) && saved.index >= 0) {
+    state.index = saved.index;
+    state.position = Number.isFinite(saved.position) && saved.position > 0 ? saved.position : 0;
+    if (typeof saved.album === 'string') {
+      state.album = saved.album;
+    }
+  }
+  return state;
+}
+
+export function saveState(storage, state, key = STORAGE_KEY) {
+  try {
+    storage.setItem(key, JSON.stringify(state));
+  } catch (error) {
+    // Quota errors shouldn't interrupt playback
+    console.warn('Failed to save state:', error);
+  }
+}
+
+export function captureState(player) {
+  const state = {
+    volume: player.volume,
+    isMuted: player.isMuted,
+    mode: player.mode,
+    crossfade: player.crossfade,
+    gapless: player.gapless,
+    normalization: player.normalization
+  };
+
+  if (player.currentIndex !== null) {
+    const position = player.getPosition();
+    const duration = player.getDuration();
+    state.index = player.currentIndex;
+    state.position = duration > 0 && position >= duration - END_MARGIN ? 0 : position;
+    // The index only means something within its album
+    if (player.album) {
+      state.album = player.album.title;
+    }
+  }
+
+  return state;
+}
+
+// Applies saved settings to the player. The song itself is never started
+// here: no audio plays without a user gesture.
+export function restoreSettings(player, state) {
+  if (state.volume !== undefined) {
+    player.setVolume(state.volume);
+  }
+  if (state.isMuted) {
+    player.mute();
+  }
+  if (state.mode && state.mode !== player.mode) {
+    player.setMode(state.mode);
+  }
+  if (state.crossfade !== undefined) {
+    player.setCrossfade(state.crossfade);
+  }
+  if (state.gapless !== undefined) {
+    player.setGapless(state.gapless);
+  }
+  if (state.normalization && state.normalization !== player.normalization) {
+    player.setNormalization(state.normalization);
+  }
+}
+
+// Restores saved settings and keeps the saved state up to date.
+// Returns the saved song and position to offer resuming, or null.
+export function initPersistence(player, { storage = getDefaultStorage(), key = STORAGE_KEY, saveInterval = 5000 } = {}) {
+  const saved = loadState(storage, key);
+  if (saved) {
+    restoreSettings(player, saved);
+  }
+
+  // Kept until something plays, so reloading before resuming doesn't lose
+  // it. A point on another album is checked by the caller, which has the
+  // library (see resolveAlbumPoint in library.js).
+  let resumePoint = null;
+  if (saved && saved.index !== undefined) {
+    const onCurrentAlbum = saved.album === undefined || (player.album && saved.album === player.album.title);
+    if (!onCurrentAlbum) {
+      resumePoint = { index: saved.index, position: saved.position, album: saved.album };
+    } else if (saved.index < player.songs.length) {
+      resumePoint = { index: saved.index, position: saved.position };
+    }
+  }
+  let lastSave = 0;
+
+  function save() {
+    const state = captureState(player);
+    if (state.index === undefined && resumePoint) {
+      Object.assign(state, resumePoint);
+    }
+    saveState(storage, state, key);
+    lastSave = Date.now();
+  }
+
+  player.on('songchange', () => {
+    resumePoint = null;
+    save();
+  });
+
+  player.on('stop', () => {
+    resumePoint = null;
+    save();
+  });
+
+  ['volume', 'mode', 'transition', 'normalization', 'mute', 'pause', 'play'].forEach((type) => {
+    player.on(type, save);
+  });
+
+  // Position updates arrive several times a second; save them less often
+  player.on('position', () => {
+    if (Date.now() - lastSave >= saveInterval) {
+      save();
+    }
+  });
+
+  // Catches the final position before the page goes away
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      save();
+    }
+  });
+  if (typeof window !== 'undefined') {
+    window.addEventListener('pagehide', save);
+  }
+
+  return resumePoint;
+}
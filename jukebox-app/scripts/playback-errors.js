@@ -0,0 +1,75 @@
+// Playback errors module
+//
+// Why a song couldn't be played, as one of ERROR_TYPES:
+//   network      the download failed (retried, see getRetryDelay)
+//   decode       the file is damaged or not really audio
+//   unsupported  the browser can't play the song's format
+//   blocked      the autoplay policy wants a click first
+//   not-found    the audio file doesn't exist on the server
+export const ERROR_TYPES = Object.freeze(['network', 'decode', 'unsupported', 'blocked', 'not-found']);
+
+// MediaError.code values (HTMLMediaElement)
+export const MEDIA_ERROR_CODES = Object.freeze({
+  ABORTED: 1,
+  NETWORK: 2,
+  DECODE: 3,
+  SRC_NOT_SUPPORTED: 4
+});
+
+// Network errors are retried this often before the song counts as failed
+export const MAX_NETWORK_RETRIES = 3;
+
+const REASONS = {
+  network: 'network problem',
+  decode: 'the file is damaged',
+  unsupported: 'no supported audio format',
+  'not-found': 'the file is missing'
+};
+
+// Maps an audio element's `error` to an error type. Browsers report a
+// missing file as SRC_NOT_SUPPORTED too; see isMissingStatus(). A load the
+// listener or the player aborted is 'aborted', which isn't one of
+// ERROR_TYPES: nothing went wrong, so it is neither retried nor reported.
+export function classifyMediaError(mediaError) {
+  switch (mediaError && mediaError.code) {
+    case MEDIA_ERROR_CODES.ABORTED:
+      return 'aborted';
+    case MEDIA_ERROR_CODES.NETWORK:
+      return 'network';
+    case MEDIA_ERROR_CODES.SRC_NOT_SUPPORTED:
+      return 'unsupported';
+    default:
+      // Decoding failures, and errors without a code
+      return 'decode';
+  }
+}
+
+// Resolves to the HTTP status of a HEAD request for `src`
+export function fetchSourceStatus(src, fetchSource = fetch) {
+  return fetchSource(src, { method: 'HEAD' }).then(response => response.status);
+}
+
+export function isMissingStatus(status) {
+  return status === 404 || status === 410;
+}
+
+// Milliseconds to wait before retry number `attempt` (counting from 1):
+// `base`, then twice as long each time, up to `max`
+export function getRetryDelay(attempt, { base = 1000, max = 8000 } = {}) {
+  return Math.min(max, base * Math.pow(2, attempt - 1));
+}
+
+// The message shown for a song that failed with `type`
+export function describePlaybackError(type, song) {
+  if (type === 'blocked') {
+    return `"${song.title}" is waiting for a tap to start`;
+  }
+  const reason = REASONS[type] || REASONS.decode;
+  return `Error: Unable to play "${song.title}" by ${song.artist} (${reason})`;
+}
+
+// The message shown while a network error is retried
+export function describeRetry({ song, attempt, delay }, maxRetries = MAX_NETWORK_RETRIES) {
+  const seconds = Math.round(delay / 1000);
+  return `Connection lost: retrying "${song.title}" in ${seconds}s (attempt ${attempt} of ${maxRetries})`;
+}
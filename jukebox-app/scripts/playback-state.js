@@ -0,0 +1,49 @@
+// Playback state module
+//
+// The player is always in exactly one of these states:
+//   idle       nothing loaded, at the start and after stop()
+//   loading    a song was picked and its audio is starting
+//   playing    the song is audible
+//   paused     the song is loaded but not playing (also when the browser
+//              refused to start it)
+//   buffering  playback stalled until more of the song has downloaded
+//   error      the song couldn't be played in any of its formats
+//   ended      the song played to its end and nothing followed it
+export const PLAYBACK_STATES = Object.freeze([
+  'idle',
+  'loading',
+  'playing',
+  'paused',
+  'buffering',
+  'error',
+  'ended'
+]);
+
+// The states each state may move to. Every state but idle can be stopped
+// or left by picking a song. Staying in a state (e.g. picking another song
+// while one is loading) isn't a transition.
+export const STATE_TRANSITIONS = Object.freeze({
+  idle: Object.freeze(['loading']),
+  loading: Object.freeze(['playing', 'paused', 'error', 'idle']),
+  playing: Object.freeze(['paused', 'buffering', 'ended', 'error', 'idle', 'loading']),
+  paused: Object.freeze(['playing', 'error', 'idle', 'loading']),
+  buffering: Object.freeze(['playing', 'paused', 'ended', 'error', 'idle', 'loading']),
+  error: Object.freeze(['idle', 'loading']),
+  ended: Object.freeze(['playing', 'idle', 'loading'])
+});
+
+export function canTransition(from, to) {
+  return Object.hasOwn(STATE_TRANSITIONS, from) && STATE_TRANSITIONS[from].includes(to);
+}
+
+// Whether the song counts as playing for the controls: a stall to buffer
+// doesn't turn the pause button back into a play button
+export function isPlayingState(state) {
+  return state === 'playing' || state === 'buffering';
+}
+
+// Whether pausing means something: a song still loading can be held back
+// before it starts, so the pause button shows while it loads
+export function isPausableState(state) {
+  return state === 'loading' || isPlayingState(state);
+}
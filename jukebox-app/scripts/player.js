@@ -1,129 +1,1071 @@
 // Audio player module
-export class Player {
-  constructor(songList) {
+import { createShuffleOrder } from './shuffle.js';
+import { clampCrossfade, getFadeProgress, fadeInGain, fadeOutGain } from './fade.js';
+import { getSongSources, selectPlayableSources } from './sources.js';
+import { canTransition, isPlayingState, isPausableState } from './playback-state.js';
+import {
+  MAX_NETWORK_RETRIES,
+  classifyMediaError,
+  fetchSourceStatus,
+  isMissingStatus,
+  getRetryDelay
+} from './playback-errors.js';
+
+// Order in which cycleMode() steps through the playback modes
+export const PLAYBACK_MODES = ['normal', 'repeat-all', 'repeat-one', 'shuffle'];
+
+// Which ReplayGain value (trackGain or albumGain in data.js) levels playback
+export const NORMALIZATION_MODES = ['off', 'track', 'album'];
+
+// Events a Player dispatches on itself, each a CustomEvent with the detail
+// noted. The version goes up whenever an event is renamed or removed or its
+// detail changes incompatibly; adding events or detail fields keeps it.
+export const PLAYER_EVENTS_VERSION = 1;
+export const PLAYER_EVENTS = Object.freeze([
+  'songchange',    // { index, song, album } a song started playing
+  'play',          // { index, song } playback started or resumed
+  'pause',         // { index, song }
+  'stop',          // {} nothing is loaded any more
+  'ended',         // { index, song } a song played to its end
+  'error',         // { index, song, type } a song could not be played (type: see playback-errors.js)
+  'retry',         // { index, song, attempt, delay } a network error is retried in `delay` ms
+  'volume',        // { volume, muted }
+  'mute',          // { muted, volume }
+  'mode',          // { mode }
+  'queue',         // { queue } song indices in play order
+  'position',      // { position, duration }
+  'transition',    // { crossfade, gapless }
+  'normalization', // { normalization }
+  'album',         // { album, songs } another song list was swapped in
+  'statechange',   // { previous, next } see playback-state.js
+  'blocked',       // { index, song } the browser wants a user gesture first
+  'sequence'       // { sequence } Play All was turned on or off
+]);
+
+// Whether audio.play() was refused by the browser's autoplay policy (the
+// page hasn't been interacted with yet), rather than failing to load
+export function isAutoplayBlocked(error) {
+  return Boolean(error) && error.name === 'NotAllowedError';
+}
+
+export class Player extends EventTarget {
+  constructor(songList, { random = Math.random, audioGraph = null, album = null, checkSource = fetchSourceStatus } = {}) {
+    super();
     this.songs = songList;
+    // The album the songs come from ({ title, artist, year, cover, songs }),
+    // or null for a plain list
+    this.album = album;
     this.audio = null;
+    // Optional AudioGraph (equalizer.js); without one, volume goes straight
+    // to audio.volume
+    this.audioGraph = audioGraph;
     this.currentIndex = null;
-    this.isPlaying = false;
+    // One of PLAYBACK_STATES (playback-state.js); changed by setState()
+    this.state = 'idle';
     this.isMuted = false;
     this.volume = 1.0;
+    // Play All is on: songs carry on one after another until the list ends.
+    // Kept apart from `state` and `mode` since it holds across pauses,
+    // stalls and skipped errors, and Play All works in every mode; changed
+    // by setSequence()
     this.isSequence = false;
+    this.mode = 'normal';
+    this.normalization = 'off';
+    // Random source for shuffle mode; injectable for deterministic tests
+    this.random = random;
+    this.shuffleOrder = [];
+    // Song indices the user queued up; played before the list continues
+    this.queue = [];
+    // Where the list resumes once the queue drains (null when not in the queue)
+    this.queueReturnIndex = null;
+    // Songs that failed in a row, so repeat modes can't loop over broken files forever
+    this.consecutiveErrors = 0;
+    // Indices of previously played songs, most recent last
+    this.history = [];
+    this.maxHistory = 50;
+    // previous() restarts the song instead when it has played this long (seconds)
+    this.restartThreshold = 3;
+    // Minimum time between position events, in milliseconds
+    this.positionInterval = 250;
+    this.lastPositionUpdate = 0;
+    // Seconds the end of one song overlaps the start of the next (0 = off)
+    this.crossfade = 0;
+    // Buffer the upcoming song ahead of time so it starts without a gap
+    this.gapless = false;
+    // Seconds before the end of a song (plus any crossfade) to preload the next
+    this.preloadLead = 10;
+    // Milliseconds between volume steps during a crossfade
+    this.fadeInterval = 50;
+    // { index, audio } for the preloaded upcoming song
+    this.preloaded = null;
+    // { outgoing, outgoingSong, start, length, timer } while two songs overlap
+    this.crossfadeState = null;
+    // Sources still to try for each audio element when its current one fails
+    this.fallbackSources = new WeakMap();
+    // [type, listener] pairs the player added to each audio element, so
+    // releaseAudio() can take them off again
+    this.audioListeners = new WeakMap();
+    // Goes up with every audio.play() call and stop(). A play() promise
+    // only changes the state if no newer request came since.
+    this.playRequest = 0;
+    // Starts the play() or resume() the autoplay policy blocked again
+    this.blockedStart = null;
+    // Starts the current song until it is playing, so a song paused while
+    // it loads can be started from resume()
+    this.pendingStart = null;
+    // Network errors are retried this often per song, the first after
+    // retryDelay milliseconds and each later one after twice as long
+    this.maxNetworkRetries = MAX_NETWORK_RETRIES;
+    this.retryDelay = 1000;
+    // Resolves to the HTTP status of a source (fetchSourceStatus), to tell
+    // missing files from unsupported ones; null to skip the check
+    this.checkSource = checkSource;
+  }
+
+  // Subscribes to one of PLAYER_EVENTS. Returns a function that unsubscribes.
+  on(type, listener) {
+    if (!PLAYER_EVENTS.includes(type)) {
+      console.error('Invalid player event:', type);
+      return () => {};
+    }
+
+    this.addEventListener(type, listener);
+    return () => this.off(type, listener);
+  }
+
+  off(type, listener) {
+    this.removeEventListener(type, listener);
+  }
+
+  emit(type, detail = {}) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  // Moves to the `next` playback state if STATE_TRANSITIONS allows it.
+  // Returns whether the player is now in that state.
+  setState(next) {
+    const previous = this.state;
+    if (previous === next) return true;
+
+    if (!canTransition(previous, next)) {
+      console.error('Invalid state transition:', previous, '->', next);
+      return false;
+    }
+
+    this.state = next;
+    this.emit('statechange', { previous, next });
+    return true;
+  }
+
+  // Playing or buffering: the song is meant to be heard
+  get isPlaying() {
+    return isPlayingState(this.state);
   }
 
-  play(index, fromSequence = false) {
+  play(index, fromSequence = false, { addToHistory = true, fromQueue = false, startAt = 0, fadeIn = false } = {}) {
     // Validate index
     if (index < 0 || index >= this.songs.length) {
       console.error('Invalid song index:', index);
       return;
     }
 
-    // Stop current audio if playing (but preserve sequence state if transitioning)
+    // Remember the song we are leaving so previous() can return to it
+    if (addToHistory && this.currentIndex !== null && this.currentIndex !== index) {
+      this.history.push(this.currentIndex);
+      if (this.history.length > this.maxHistory) {
+        this.history.shift();
+      }
+    }
+
+    // A newer song takes over; cut any song still fading out, and forget
+    // one the browser blocked or that was paused before it started
+    this.finishCrossfade();
+    this.blockedStart = null;
+    this.pendingStart = null;
+
+    // Stop current audio if playing
     if (this.audio) {
-      const wasSequence = this.isSequence && fromSequence;
       this.audio.pause();
       this.audio.currentTime = 0;
+      this.releaseAudio(this.audio);
       this.audio = null;
-      this.isPlaying = false;
-      // Only reset sequence state if this is a manual stop
-      if (!wasSequence) {
-        this.isSequence = false;
-      }
     }
 
-    // Don't cancel sequence mode if manually selecting a song (not from sequence)
+    // `fromSequence` is true when Play All itself moved on to this song (it
+    // ended, or was skipped with next/previous). Picking a song ends Play All.
     if (!fromSequence) {
-      this.isSequence = true;
+      this.setSequence(false);
+    }
+
+    // Any song not taken from the queue becomes the new place in the list
+    if (!fromQueue) {
+      this.queueReturnIndex = null;
     }
 
-    // Create new audio element
+    // Create new audio element, or use the one buffered for this song
     const song = this.songs[index];
-    this.audio = new Audio(song.file);
+    const album = this.album;
+    const audio = this.takePreloaded(index) || this.createAudio(song);
     this.currentIndex = index;
+    this.setState('loading');
+
+    if (!audio) {
+      console.error('No supported audio format for:', song.title);
+      this.handlePlaybackError(song, getSongSources(song).length > 0 ? 'unsupported' : 'not-found');
+      return;
+    }
+    this.audio = audio;
+
+    if (this.audioGraph) {
+      this.audioGraph.connect(audio);
+    }
+
+    // Set volume and mute state; a crossfade raises it from silence
+    this.setElementVolume(audio, fadeIn ? 0 : this.getOutputVolume());
+
+    // Start part-way through, e.g. when resuming a previous session
+    if (Number.isFinite(startAt) && startAt > 0) {
+      this.audio.currentTime = startAt;
+    }
+
+    // Whether songchange has been dispatched; restarts after an error
+    // only dispatch play
+    let started = false;
+    // Network errors retried so far, over the whole song
+    let networkRetries = 0;
+    // Whether every source that failed since playback last started failed
+    // because of the connection, so reloading could help
+    let networkOnly = true;
+
+    // Handle audio events. Elements that have been replaced (e.g. a song
+    // fading out under the next one) no longer drive the player.
+    this.listen(audio, 'error', (event) => {
+      if (audio !== this.audio) return;
+
+      const type = classifyMediaError(audio.error);
+      if (type === 'aborted') return;
+      if (type !== 'network') {
+        networkOnly = false;
+      }
 
-    // Set volume and mute state
-    this.audio.volume = this.isMuted ? 0 : this.volume;
+      // Try the song's next format before waiting on the connection; a
+      // song that was already playing carries on where it broke off
+      const resumeAt = started ? audio.currentTime : startAt;
+      if (this.useNextSource(audio)) {
+        if (Number.isFinite(resumeAt) && resumeAt > 0) {
+          audio.currentTime = resumeAt;
+        }
+        startPlayback();
+        return;
+      }
+
+      // Every source failed for lack of a connection: load the last one
+      // again after a wait
+      if (networkOnly && networkRetries < this.maxNetworkRetries) {
+        networkRetries++;
+        retryAfterNetworkError(networkRetries);
+        return;
+      }
 
-    // Handle audio events
-    this.audio.addEventListener('error', (event) => {
       console.error('Audio error:', event);
-      this.handlePlaybackError(song);
+      this.reportSourceError(audio, song, type);
     });
 
-    this.audio.addEventListener('ended', () => {
-      this.isPlaying = false;
-      if (this.isSequence && this.currentIndex < this.songs.length - 1) {
-        // Play next song in sequence
-        this.play(this.currentIndex + 1, true);
-      } else {
-        this.isSequence = false;
-      }
+    // Report playback position for progress displays
+    this.listen(audio, 'timeupdate', () => {
+      if (audio !== this.audio) return;
+      this.notifyPosition();
+      this.prepareTransition();
+    });
+
+    this.listen(audio, 'loadedmetadata', () => {
+      if (audio !== this.audio) return;
+      this.notifyPosition(true);
+    });
+
+    // Stalls while more of the song downloads, and the recovery
+    this.listen(audio, 'waiting', () => {
+      if (audio !== this.audio || this.state !== 'playing') return;
+      this.setState('buffering');
+    });
+
+    this.listen(audio, 'playing', () => {
+      if (audio !== this.audio || this.state !== 'buffering') return;
+      this.setState('playing');
     });
 
-    // Start playback
-    this.audio.play().then(() => {
-      this.isPlaying = true;
-      // Dispatch custom event for UI updates
-      document.dispatchEvent(new CustomEvent('songchange', { 
-        detail: { index, song } 
-      }));
-    }).catch((error) => {
-      console.error('Playback failed:', error);
-      this.isPlaying = false;
+    this.listen(audio, 'ended', () => {
+      if (audio !== this.audio) {
+        // The faded-out song finished under the new one
+        if (this.crossfadeState && this.crossfadeState.outgoing === audio) {
+          this.finishCrossfade();
+        }
+        return;
+      }
+
+      this.setState('ended');
+      this.emit('ended', { index, song });
+      this.continuePlayback();
     });
+
+    // Start playback (again after falling back to another source)
+    const startPlayback = () => {
+      const request = ++this.playRequest;
+      this.pendingStart = startPlayback;
+      this.setState('loading');
+      audio.play().then(() => this.isAudible()).then((audible) => {
+        // Stopped, or another song was picked, in the meantime
+        if (request !== this.playRequest || this.state !== 'loading') return;
+
+        if (!audible) {
+          audio.pause();
+          this.setState('paused');
+          this.blockPlayback(startPlayback);
+          return;
+        }
+
+        this.setState('playing');
+        this.pendingStart = null;
+        this.consecutiveErrors = 0;
+        networkOnly = true;
+        if (!started) {
+          started = true;
+          this.emit('songchange', { index, song, album });
+        }
+        this.emit('play', { index, song });
+      }).catch((error) => {
+        const blocked = isAutoplayBlocked(error);
+        if (!blocked) {
+          console.error('Playback failed:', error);
+        }
+        // Still loaded, so it can be started again
+        if (request === this.playRequest && this.state === 'loading') {
+          this.setState('paused');
+          if (blocked) {
+            this.blockPlayback(startPlayback);
+          }
+        }
+      });
+    };
+
+    // Reloads the source after a backoff delay and carries on from the same
+    // position, unless the song was paused in the meantime
+    const retryAfterNetworkError = (attempt) => {
+      // Outdates the failed start, and ends the retry if anything else is
+      // played or playback stops
+      const request = ++this.playRequest;
+      const position = audio.currentTime;
+      const delay = getRetryDelay(attempt, { base: this.retryDelay });
+
+      if (this.state === 'playing') {
+        this.setState('buffering');
+      }
+      console.warn(`Network error, retrying in ${delay}ms:`, audio.src);
+      this.emit('retry', { index, song, attempt, delay });
+
+      setTimeout(() => {
+        if (request !== this.playRequest) return;
+
+        audio.load();
+        audio.currentTime = position;
+        if (this.state !== 'paused') {
+          startPlayback();
+        }
+      }, delay);
+    };
+
+    startPlayback();
+  }
+
+  // Reports a song none of whose sources would play. Browsers call a
+  // missing file unsupported, so ask the server whether it is there.
+  reportSourceError(audio, song, type) {
+    if (type !== 'unsupported' || !this.checkSource) {
+      this.handlePlaybackError(song, type);
+      return;
+    }
+
+    Promise.resolve()
+      .then(() => this.checkSource(audio.src))
+      .then(status => (isMissingStatus(status) ? 'not-found' : type), () => type)
+      .then((checkedType) => {
+        if (audio === this.audio) {
+          this.handlePlaybackError(song, checkedType);
+        }
+      });
+  }
+
+  // Audio element set to the first of the song's sources this browser can
+  // decode, or null when it supports none of them
+  createAudio(song) {
+    const audio = new Audio();
+    const canPlayType = type => (typeof audio.canPlayType === 'function' ? audio.canPlayType(type) : 'maybe');
+    const sources = selectPlayableSources(getSongSources(song), canPlayType);
+    if (sources.length === 0) return null;
+
+    audio.src = sources[0].src;
+    this.fallbackSources.set(audio, sources.slice(1));
+    return audio;
+  }
+
+  // Points `audio` at the next source left for its song (setting src
+  // starts loading it). Returns false when none are left.
+  useNextSource(audio) {
+    const remaining = this.fallbackSources.get(audio);
+    if (!remaining || remaining.length === 0) return false;
+
+    const source = remaining.shift();
+    console.warn('Audio source failed, trying:', source.src);
+    audio.src = source.src;
+    return true;
   }
 
   pause() {
+    // A song still loading is held back: its play() no longer counts
+    if (this.audio && this.state === 'loading') {
+      this.playRequest++;
+      this.audio.pause();
+      this.setState('paused');
+      this.emit('pause', { index: this.currentIndex, song: this.getCurrentSong() });
+      return;
+    }
+
     if (this.audio && this.isPlaying) {
+      this.finishCrossfade();
       this.audio.pause();
-      this.isPlaying = false;
+      this.setState('paused');
+      this.emit('pause', { index: this.currentIndex, song: this.getCurrentSong() });
     }
   }
 
+  // Plays a paused song on, or an ended one again from the start. A song
+  // the browser blocked from starting goes through retryBlocked(), so it
+  // still dispatches songchange.
   resume() {
-    if (this.audio && !this.isPlaying) {
-      this.audio.play().then(() => {
-        this.isPlaying = true;
+    if (this.blockedStart) {
+      this.retryBlocked();
+      return;
+    }
+
+    // A song paused before it started starts as if just picked
+    if (this.pendingStart && this.state === 'paused') {
+      this.pendingStart();
+      return;
+    }
+
+    if (this.audio && (this.state === 'paused' || this.state === 'ended')) {
+      const request = ++this.playRequest;
+      this.blockedStart = null;
+      const audio = this.audio;
+      audio.play().then(() => this.isAudible()).then((audible) => {
+        if (request !== this.playRequest || !canTransition(this.state, 'playing')) return;
+
+        if (!audible) {
+          audio.pause();
+          this.blockPlayback(() => this.resume());
+          return;
+        }
+
+        this.setState('playing');
+        this.emit('play', { index: this.currentIndex, song: this.getCurrentSong() });
       }).catch((error) => {
-        console.error('Resume failed:', error);
+        if (!isAutoplayBlocked(error)) {
+          console.error('Resume failed:', error);
+        } else if (request === this.playRequest) {
+          this.blockPlayback(() => this.resume());
+        }
       });
     }
   }
 
+  // Whether a song that started can be heard. With an audio graph it only
+  // can once the graph's context is running (see AudioGraph#resume), which
+  // the autoplay policy may also withhold.
+  isAudible() {
+    return this.audioGraph ? this.audioGraph.resume() : Promise.resolve(true);
+  }
+
+  // Keeps `retry` for retryBlocked() and tells the page, which should ask
+  // for a click
+  blockPlayback(retry) {
+    console.warn('Playback blocked until the page is interacted with');
+    this.blockedStart = retry;
+    this.emit('blocked', { index: this.currentIndex, song: this.getCurrentSong() });
+  }
+
+  // Starts the song the browser blocked. Call it from a user gesture such
+  // as a click handler. Returns false when nothing is waiting to start.
+  retryBlocked() {
+    const retry = this.blockedStart;
+    if (!retry) return false;
+
+    this.blockedStart = null;
+    retry();
+    return true;
+  }
+
+  togglePause() {
+    if (isPausableState(this.state)) {
+      this.pause();
+    } else {
+      this.resume();
+    }
+  }
+
+  restart() {
+    if (!this.audio) return;
+    
+    // Rewind the current song and keep it playing (or start it if paused)
+    this.seek(0);
+    if (!this.isPlaying) {
+      this.resume();
+    }
+  }
+
   stop() {
+    this.finishCrossfade();
+    this.discardPreloaded();
+
+    if (this.state === 'idle') return;
+
+    this.playRequest++;
+    this.blockedStart = null;
+    this.pendingStart = null;
     if (this.audio) {
       this.audio.pause();
       this.audio.currentTime = 0;
+      this.releaseAudio(this.audio);
       this.audio = null;
-      this.isPlaying = false;
-      this.currentIndex = null;
-      this.isSequence = false;
-      
-      // Dispatch event for UI updates
-      document.dispatchEvent(new CustomEvent('playbackstopped'));
+    }
+    this.currentIndex = null;
+    this.setSequence(false);
+    this.queueReturnIndex = null;
+    this.setState('idle');
+    this.emit('stop');
+  }
+
+  // Swaps in another song list (e.g. a different album) without reloading.
+  // Playback stops, and the queue, history and shuffle order are cleared
+  // since their indices belong to the old list.
+  setSongList(songList, { album = null } = {}) {
+    this.stop();
+    this.songs = songList;
+    this.album = album;
+    this.history = [];
+    this.shuffleOrder = [];
+    this.consecutiveErrors = 0;
+    this.clearQueue();
+
+    this.emit('album', { album, songs: songList });
+  }
+
+  hasNext() {
+    if (this.currentIndex === null) return false;
+    // In Play All mode, skipping past the last song ends the sequence
+    return this.isSequence || this.hasUpcoming();
+  }
+
+  // Whether anything would play after the current song
+  hasUpcoming() {
+    return this.queue.length > 0 || this.mode !== 'normal' || this.getNextIndex() !== null;
+  }
+
+  hasPrevious() {
+    return this.currentIndex !== null;
+  }
+
+  next() {
+    if (!this.hasNext()) return;
+
+    if (!this.playNext(this.isSequence)) {
+      // Past the end of Play All: the playlist does not loop
+      this.stop();
+    }
+  }
+
+  // Turns Play All on or off, dispatching `sequence` when that changes
+  setSequence(active) {
+    if (this.isSequence === active) return;
+
+    this.isSequence = active;
+    this.emit('sequence', { sequence: active });
+  }
+
+  // Plays the first queued song, or else the next song in the list.
+  // Returns false when there is nothing left to play.
+  playNext(fromSequence, options = {}) {
+    if (this.queue.length > 0) {
+      if (this.queueReturnIndex === null) {
+        this.queueReturnIndex = this.currentIndex;
+      }
+      const index = this.queue.shift();
+      this.notifyQueue();
+      this.play(index, fromSequence, { ...options, fromQueue: true });
+      return true;
+    }
+
+    const nextIndex = this.advance();
+    if (nextIndex === null) return false;
+
+    this.play(nextIndex, fromSequence, options);
+    return true;
+  }
+
+  // What happens when the current song ends on its own (or starts fading
+  // out). Returns false when playback stops there.
+  continuePlayback(options = {}) {
+    // Queued songs always play next, even outside Play All
+    if (this.queue.length > 0) {
+      return this.playNext(this.isSequence, options);
+    }
+
+    if (this.mode === 'repeat-one') {
+      // Play the same song again, keeping Play All state as it was
+      this.play(this.currentIndex, this.isSequence, { ...options, addToHistory: false });
+      return true;
+    }
+
+    // Play next song in sequence
+    if (!this.isSequence || !this.playNext(true, options)) {
+      this.setSequence(false);
+      return false;
+    }
+    return true;
+  }
+
+  // Whether continuePlayback() would start another song
+  hasAutoNext() {
+    if (this.currentIndex === null) return false;
+    if (this.queue.length > 0 || this.mode === 'repeat-one') return true;
+    // Shuffle starts a new cycle instead of ending
+    return this.isSequence && (this.mode === 'shuffle' || this.getNextIndex() !== null);
+  }
+
+  // Index of the song continuePlayback() will start, or null when it
+  // isn't known yet (nothing follows, or a new shuffle cycle is due)
+  getUpcomingIndex() {
+    if (!this.hasAutoNext()) return null;
+    if (this.queue.length > 0) return this.queue[0];
+    if (this.mode === 'repeat-one') return this.currentIndex;
+    return this.getNextIndex();
+  }
+
+  // Index that follows the current place in the list in the current mode,
+  // or null at the end. Repeat-one only replays a song when it ends on its
+  // own; explicit skips move through the list like repeat-all.
+  getNextIndex() {
+    const fromIndex = this.queueReturnIndex !== null ? this.queueReturnIndex : this.currentIndex;
+    if (fromIndex === null || this.songs.length === 0) return null;
+
+    switch (this.mode) {
+      case 'shuffle': {
+        const position = this.shuffleOrder.indexOf(fromIndex);
+        if (position === -1 || position === this.shuffleOrder.length - 1) {
+          return null;
+        }
+        return this.shuffleOrder[position + 1];
+      }
+      case 'repeat-all':
+      case 'repeat-one':
+        return (fromIndex + 1) % this.songs.length;
+      default:
+        return fromIndex < this.songs.length - 1 ? fromIndex + 1 : null;
     }
   }
 
+  // Like getNextIndex(), but starts a new shuffle cycle once every song
+  // in the current one has played
+  advance() {
+    const nextIndex = this.getNextIndex();
+    if (nextIndex !== null || this.mode !== 'shuffle' || this.currentIndex === null) {
+      return nextIndex;
+    }
+
+    this.shuffleOrder = createShuffleOrder(this.songs.length, this.random, {
+      avoidFirst: this.currentIndex
+    });
+    return this.shuffleOrder[0];
+  }
+
+  setCrossfade(seconds) {
+    const crossfade = clampCrossfade(seconds);
+    if (crossfade === null) {
+      console.error('Invalid crossfade duration:', seconds);
+      return;
+    }
+
+    this.crossfade = crossfade;
+    this.notifyTransition();
+  }
+
+  setGapless(enabled) {
+    this.gapless = Boolean(enabled);
+    if (!this.gapless) {
+      this.discardPreloaded();
+    }
+    this.notifyTransition();
+  }
+
+  notifyTransition() {
+    this.emit('transition', { crossfade: this.crossfade, gapless: this.gapless });
+  }
+
+  // Called as the current song plays: preloads the upcoming song and
+  // starts the crossfade once the song is close enough to its end
+  prepareTransition() {
+    const duration = this.getDuration();
+    if (!duration || this.crossfadeState) return;
+
+    const remaining = duration - this.getPosition();
+
+    if (this.gapless && remaining <= this.crossfade + this.preloadLead) {
+      this.preloadUpcoming();
+    }
+
+    if (this.crossfade > 0 && remaining <= this.crossfade && this.isPlaying && this.hasAutoNext()) {
+      this.startCrossfade();
+    }
+  }
+
+  preloadUpcoming() {
+    const index = this.getUpcomingIndex();
+    if (index === null || index === this.currentIndex) return;
+    if (this.preloaded && this.preloaded.index === index) return;
+
+    const audio = this.createAudio(this.songs[index]);
+    if (!audio) return;
+
+    audio.preload = 'auto';
+    // Fall back while buffering too, so the song is ready when it is reached
+    this.listen(audio, 'error', () => {
+      if (classifyMediaError(audio.error) === 'aborted') return;
+      if (this.preloaded && this.preloaded.audio === audio) {
+        this.useNextSource(audio);
+      }
+    });
+    this.preloaded = { index, audio };
+  }
+
+  // Returns the preloaded element for `index` (if it loaded without
+  // errors) and forgets any preload either way. The element handed over
+  // keeps its source; only the preload's own listeners come off.
+  takePreloaded(index) {
+    const preloaded = this.preloaded;
+    if (!preloaded) return null;
+
+    if (preloaded.index === index && !preloaded.audio.error) {
+      this.preloaded = null;
+      this.removeListeners(preloaded.audio);
+      return preloaded.audio;
+    }
+
+    this.discardPreloaded();
+    return null;
+  }
+
+  discardPreloaded() {
+    if (this.preloaded) {
+      this.releaseAudio(this.preloaded.audio);
+      this.preloaded = null;
+    }
+  }
+
+  startCrossfade() {
+    const outgoing = this.audio;
+    const outgoingSong = this.getCurrentSong();
+    const start = outgoing.currentTime;
+    const length = Math.min(this.crossfade, this.getDuration() - start);
+
+    // Detach the current song so play() leaves it running underneath
+    this.audio = null;
+
+    if (!this.continuePlayback({ fadeIn: true })) {
+      // Nothing to fade into after all; let the song finish normally
+      this.audio = outgoing;
+      return;
+    }
+
+    this.crossfadeState = {
+      outgoing,
+      outgoingSong,
+      start,
+      length,
+      timer: setInterval(() => this.updateCrossfade(), this.fadeInterval)
+    };
+  }
+
+  // Sets both volumes from how far the outgoing song has got
+  updateCrossfade() {
+    const state = this.crossfadeState;
+    if (!state) return;
+
+    const progress = getFadeProgress(state.outgoing.currentTime, state.start, state.length);
+
+    this.setElementVolume(state.outgoing, this.getOutputVolume(state.outgoingSong) * fadeOutGain(progress));
+    if (this.audio) {
+      this.setElementVolume(this.audio, this.getOutputVolume() * fadeInGain(progress));
+    }
+
+    if (progress >= 1) {
+      this.finishCrossfade();
+    }
+  }
+
+  // Ends any crossfade right away: silences the outgoing song and brings
+  // the current one to full volume
+  finishCrossfade() {
+    const state = this.crossfadeState;
+    if (!state) return;
+
+    this.crossfadeState = null;
+    clearInterval(state.timer);
+    state.outgoing.pause();
+    this.releaseAudio(state.outgoing);
+
+    if (this.audio) {
+      this.setElementVolume(this.audio, this.getOutputVolume());
+    }
+  }
+
+  // Level a song plays at: the user's volume, adjusted by normalization.
+  // Never above full volume, so a quiet song is raised only as far as the
+  // volume setting leaves room and is never pushed past full scale.
+  getOutputVolume(song = this.getCurrentSong()) {
+    return this.isMuted ? 0 : Math.min(1, this.volume * this.getNormalizationGain(song));
+  }
+
+  // Linear gain from the song's ReplayGain value for the current
+  // normalization mode, above 1 for songs quieter than the reference
+  // (getOutputVolume() limits the result); songs without a value play as-is.
+  getNormalizationGain(song) {
+    if (!song || this.normalization === 'off') return 1;
+
+    const gain = this.normalization === 'album' && Number.isFinite(song.albumGain)
+      ? song.albumGain
+      : song.trackGain;
+    if (!Number.isFinite(gain)) return 1;
+
+    return Math.pow(10, gain / 20);
+  }
+
+  setNormalization(mode) {
+    if (!NORMALIZATION_MODES.includes(mode)) {
+      console.error('Invalid normalization mode:', mode);
+      return;
+    }
+
+    this.normalization = mode;
+    if (this.audio && !this.crossfadeState) {
+      this.setElementVolume(this.audio, this.getOutputVolume());
+    }
+
+    this.emit('normalization', { normalization: mode });
+  }
+
+  // With an audio graph the element plays at full volume into its own
+  // gain node, which then sets the level
+  setElementVolume(audio, volume) {
+    if (this.audioGraph && this.audioGraph.isConnected(audio)) {
+      audio.volume = 1;
+      this.audioGraph.setElementVolume(audio, volume);
+    } else {
+      audio.volume = volume;
+    }
+  }
+
+  // Adds a listener to `audio` that releaseAudio() will remove
+  listen(audio, type, listener) {
+    audio.addEventListener(type, listener);
+    const listeners = this.audioListeners.get(audio) || [];
+    listeners.push([type, listener]);
+    this.audioListeners.set(audio, listeners);
+  }
+
+  // Removes the listeners listen() added to `audio`
+  removeListeners(audio) {
+    const listeners = this.audioListeners.get(audio) || [];
+    listeners.forEach(([type, listener]) => audio.removeEventListener(type, listener));
+    this.audioListeners.delete(audio);
+  }
+
+  // Detaches an element that will not play again: removes the player's
+  // listeners, so a late event from it can't reach the player, frees its
+  // graph nodes and drops its source, since a detached element would
+  // otherwise keep downloading
+  releaseAudio(audio) {
+    this.removeListeners(audio);
+
+    if (this.audioGraph) {
+      this.audioGraph.disconnect(audio);
+    }
+
+    audio.pause();
+    audio.removeAttribute('src');
+    audio.load();
+  }
+
+  enqueue(index) {
+    if (!this.isValidIndex(index)) return;
+
+    this.queue.push(index);
+    this.notifyQueue();
+  }
+
+  insertNext(index) {
+    if (!this.isValidIndex(index)) return;
+
+    this.queue.unshift(index);
+    this.notifyQueue();
+  }
+
+  removeFromQueue(position) {
+    if (position < 0 || position >= this.queue.length) {
+      console.error('Invalid queue position:', position);
+      return;
+    }
+
+    this.queue.splice(position, 1);
+    this.notifyQueue();
+  }
+
+  moveInQueue(from, to) {
+    if (from < 0 || from >= this.queue.length || to < 0 || to >= this.queue.length) {
+      console.error('Invalid queue move:', from, to);
+      return;
+    }
+    if (from === to) return;
+
+    const [index] = this.queue.splice(from, 1);
+    this.queue.splice(to, 0, index);
+    this.notifyQueue();
+  }
+
+  clearQueue() {
+    if (this.queue.length === 0) return;
+
+    this.queue = [];
+    this.notifyQueue();
+  }
+
+  getQueue() {
+    return [...this.queue];
+  }
+
+  notifyQueue() {
+    this.emit('queue', { queue: this.getQueue() });
+  }
+
+  isValidIndex(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.songs.length) {
+      console.error('Invalid song index:', index);
+      return false;
+    }
+    return true;
+  }
+
+  setMode(mode) {
+    if (!PLAYBACK_MODES.includes(mode)) {
+      console.error('Invalid playback mode:', mode);
+      return;
+    }
+
+    this.mode = mode;
+
+    if (mode === 'shuffle') {
+      // The current song counts as already played in the new cycle
+      this.shuffleOrder = createShuffleOrder(this.songs.length, this.random, {
+        first: this.currentIndex
+      });
+    }
+
+    this.emit('mode', { mode });
+  }
+
+  cycleMode() {
+    const position = PLAYBACK_MODES.indexOf(this.mode);
+    this.setMode(PLAYBACK_MODES[(position + 1) % PLAYBACK_MODES.length]);
+  }
+
+  previous() {
+    if (!this.hasPrevious()) return;
+
+    // Well into the song, "previous" means "start this song again"
+    if (this.getPosition() > this.restartThreshold) {
+      this.restart();
+      return;
+    }
+
+    if (this.history.length > 0) {
+      this.play(this.history.pop(), this.isSequence, { addToHistory: false });
+    } else if (this.currentIndex > 0) {
+      this.play(this.currentIndex - 1, this.isSequence, { addToHistory: false });
+    } else {
+      // Nothing before the first song
+      this.restart();
+    }
+  }
+
+  seek(seconds) {
+    if (!this.audio || !Number.isFinite(seconds)) return;
+
+    const duration = this.getDuration();
+    const position = duration > 0
+      ? Math.max(0, Math.min(duration, seconds))
+      : Math.max(0, seconds);
+
+    this.audio.currentTime = position;
+    this.notifyPosition(true);
+  }
+
+  getPosition() {
+    return this.audio ? this.audio.currentTime : 0;
+  }
+
+  getDuration() {
+    // Duration is NaN until metadata loads and Infinity for streams
+    if (this.audio && Number.isFinite(this.audio.duration)) {
+      return this.audio.duration;
+    }
+    return 0;
+  }
+
+  notifyPosition(force = false) {
+    const now = Date.now();
+    if (!force && now - this.lastPositionUpdate < this.positionInterval) {
+      return;
+    }
+    this.lastPositionUpdate = now;
+
+    this.emit('position', { position: this.getPosition(), duration: this.getDuration() });
+  }
+
   setVolume(volume) {
     // Clamp volume between 0 and 1
     this.volume = Math.max(0, Math.min(1, volume));
     
     if (this.audio && !this.isMuted) {
-      this.audio.volume = this.volume;
+      this.setElementVolume(this.audio, this.getOutputVolume());
     }
+
+    this.emit('volume', { volume: this.volume, muted: this.isMuted });
   }
 
   mute() {
     this.isMuted = true;
     if (this.audio) {
-      this.audio.volume = 0;
+      this.setElementVolume(this.audio, 0);
     }
+
+    this.emit('mute', { muted: true, volume: this.volume });
   }
 
   unmute() {
     this.isMuted = false;
     if (this.audio) {
-      this.audio.volume = this.volume;
+      this.setElementVolume(this.audio, this.getOutputVolume());
     }
+
+    this.emit('mute', { muted: false, volume: this.volume });
   }
 
   toggleMute() {
@@ -140,35 +1082,48 @@ export class Player {
       return;
     }
     
-    this.isSequence = true;
-    this.play(0, true);
-  }
+    this.setSequence(true);
 
-  handlePlaybackError(song) {
-    // Display user-friendly error message
-    const errorMsg = document.getElementById('error-msg');
-    if (errorMsg) {
-      errorMsg.textContent = `Error: Unable to play "${song.title}" by ${song.artist}`;
-      
-      // Clear error message after 5 seconds
-      setTimeout(() => {
-        if (errorMsg.textContent.includes(song.title)) {
-          errorMsg.textContent = '';
-        }
-      }, 5000);
+    if (this.mode === 'shuffle') {
+      // Start a fresh random pass through the whole list
+      this.shuffleOrder = createShuffleOrder(this.songs.length, this.random, {
+        avoidFirst: this.currentIndex
+      });
+      this.play(this.shuffleOrder[0], true);
+    } else {
+      this.play(0, true);
     }
+  }
 
-    // During sequential playback, skip to next song
-    if (this.isSequence && this.currentIndex < this.songs.length - 1) {
+  // `type` is one of ERROR_TYPES (playback-errors.js)
+  handlePlaybackError(song, type = 'decode') {
+    this.setState('error');
+    // The page shows the message (see main.js)
+    this.emit('error', { index: this.currentIndex, song, type });
+
+    this.consecutiveErrors++;
+
+    // During sequential playback (or with songs queued), skip to the next
+    // song. Give up once every song has failed, since repeat modes would
+    // otherwise cycle forever.
+    const canSkip = (this.isSequence || this.queue.length > 0)
+      && this.consecutiveErrors < this.songs.length
+      && this.hasUpcoming();
+
+    if (canSkip) {
       console.log(`Skipping to next song due to playback error with "${song.title}"`);
       // Use a shorter delay for better user experience and testing
+      const request = this.playRequest;
       setTimeout(() => {
-        this.play(this.currentIndex + 1, true);
+        // Picking or stopping a song in the meantime cancels the skip
+        if (request !== this.playRequest) return;
+        if (!this.playNext(this.isSequence)) {
+          this.stop();
+        }
       }, 500);
     } else if (this.isSequence) {
       // End of playlist reached during error
       console.log('End of playlist reached due to error on last song');
-      this.isSequence = false;
       this.stop();
     }
   }
@@ -182,11 +1137,16 @@ export class Player {
 
   getPlaybackState() {
     return {
+      state: this.state,
       isPlaying: this.isPlaying,
       currentIndex: this.currentIndex,
       volume: this.volume,
       isMuted: this.isMuted,
       isSequence: this.isSequence,
+      mode: this.mode,
+      crossfade: this.crossfade,
+      gapless: this.gapless,
+      normalization: this.normalization,
       currentSong: this.getCurrentSong()
     };
   }
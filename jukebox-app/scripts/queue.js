@@ -0,0 +1,170 @@
+// Play queue panel module
+
+export function initQueuePanel(player) {
+  const queueList = document.getElementById('queue-list');
+  if (!queueList) return;
+
+  const clearButton = document.getElementById('clear-queue');
+  const emptyMessage = document.getElementById('queue-empty');
+
+  // Position being dragged, or null when no drag is in progress
+  let dragFrom = null;
+
+  function renderQueue(queue) {
+    queueList.textContent = '';
+
+    queue.forEach((songIndex, position) => {
+      const song = player.songs[songIndex];
+      if (!song) return;
+
+      const item = document.createElement('li');
+      item.className = 'queue-item';
+      item.tabIndex = 0;
+      item.draggable = true;
+      item.dataset.position = position;
+      item.setAttribute('aria-label',
+        `${position + 1} of ${queue.length}: ${song.title} by ${song.artist}. Alt plus arrow keys to move, Delete to remove`);
+
+      const title = document.createElement('span');
+      title.className = 'queue-title';
+      title.textContent = song.title;
+      item.appendChild(title);
+
+      const removeButton = document.createElement('button');
+      removeButton.className = 'queue-remove';
+      removeButton.dataset.position = position;
+      removeButton.textContent = '✕';
+      removeButton.tabIndex = -1;
+      removeButton.setAttribute('aria-label', `Remove ${song.title} from queue`);
+      item.appendChild(removeButton);
+
+      queueList.appendChild(item);
+    });
+
+    if (emptyMessage) {
+      emptyMessage.hidden = queue.length > 0;
+    }
+    if (clearButton) {
+      clearButton.disabled = queue.length === 0;
+    }
+  }
+
+  function focusItem(position) {
+    const items = queueList.querySelectorAll('.queue-item');
+    if (items.length === 0) return;
+
+    const target = items[Math.max(0, Math.min(items.length - 1, position))];
+    target.focus();
+  }
+
+  function getPosition(element) {
+    const item = element.closest('.queue-item');
+    return item ? Number(item.dataset.position) : null;
+  }
+
+  // Set initial state
+  renderQueue(player.getQueue());
+
+  queueList.addEventListener('click', (event) => {
+    if (event.target.matches('.queue-remove')) {
+      player.removeFromQueue(Number(event.target.dataset.position));
+    }
+  });
+
+  // Keyboard reordering: Alt+Arrow moves, Delete removes, arrows move focus
+  queueList.addEventListener('keydown', (event) => {
+    const position = getPosition(event.target);
+    if (position === null) return;
+
+    const lastPosition = player.getQueue().length - 1;
+
+    switch (event.key) {
+      case 'ArrowUp':
+        event.preventDefault();
+        if (event.altKey) {
+          if (position > 0) {
+            player.moveInQueue(position, position - 1);
+            focusItem(position - 1);
+          }
+        } else {
+          focusItem(position - 1);
+        }
+        break;
+      case 'ArrowDown':
+        event.preventDefault();
+        if (event.altKey) {
+          if (position < lastPosition) {
+            player.moveInQueue(position, position + 1);
+            focusItem(position + 1);
+          }
+        } else {
+          focusItem(position + 1);
+        }
+        break;
+      case 'Home':
+        event.preventDefault();
+        focusItem(0);
+        break;
+      case 'End':
+        event.preventDefault();
+        focusItem(lastPosition);
+        break;
+      case 'Delete':
+      case 'Backspace':
+        event.preventDefault();
+        player.removeFromQueue(position);
+        focusItem(position);
+        break;
+    }
+  });
+
+  // Drag-and-drop reordering
+  queueList.addEventListener('dragstart', (event) => {
+    dragFrom = getPosition(event.target);
+    if (dragFrom === null) return;
+
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', String(dragFrom));
+    event.target.classList.add('dragging');
+  });
+
+  queueList.addEventListener('dragover', (event) => {
+    if (dragFrom === null) return;
+
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+
+    queueList.querySelectorAll('.drop-target').forEach(item => item.classList.remove('drop-target'));
+    const item = event.target.closest('.queue-item');
+    if (item) {
+      item.classList.add('drop-target');
+    }
+  });
+
+  queueList.addEventListener('drop', (event) => {
+    if (dragFrom === null) return;
+
+    event.preventDefault();
+    const dropTo = getPosition(event.target);
+    // Dropping below the last item moves the song to the end
+    const to = dropTo === null ? player.getQueue().length - 1 : dropTo;
+    player.moveInQueue(dragFrom, to);
+  });
+
+  queueList.addEventListener('dragend', () => {
+    dragFrom = null;
+    queueList.querySelectorAll('.dragging, .drop-target').forEach((item) => {
+      item.classList.remove('dragging', 'drop-target');
+    });
+  });
+
+  if (clearButton) {
+    clearButton.addEventListener('click', () => {
+      player.clearQueue();
+    });
+  }
+
+  player.on('queue', (event) => {
+    renderQueue(event.detail.queue);
+  });
+}
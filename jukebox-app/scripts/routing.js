@@ -0,0 +1,144 @@
+// Routing module
+//
+// Deep links to a song and timestamp live in the URL hash, e.g.
+// "#/song/05-the-cosmic-serpent?t=92", or
+// "#/album/you-know/song/05-the-cosmic-serpent?t=92" once the library has
+// more than one album. A linked song is only cued on load, since browsers
+// won't start audio before the user interacts with the page.
+
+const SONG_ROUTE = /^#?(?:\/album\/([^/?]+))?\/song\/([^/?]+)(?:\?(.*))?$/;
+
+// "05 the cosmic serpent" -> "05-the-cosmic-serpent"
+export function slugify(title) {
+  return String(title)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Links name the album only when given one, so single-album links stay short
+export function formatSongHash(song, seconds = 0, album = null) {
+  const albumPath = album ? `/album/${slugify(album.title)}` : '';
+  const hash = `#${albumPath}/song/${slugify(song.title)}`;
+  const time = Math.floor(seconds);
+  return time > 0 ? `${hash}?t=${time}` : hash;
+}
+
+// The full URL of a song link, built from the page URL without its hash
+export function getSongUrl(pageUrl, song, seconds = 0, album = null) {
+  return pageUrl.split('#')[0] + formatSongHash(song, seconds, album);
+}
+
+function decodeSlug(slug) {
+  try {
+    return decodeURIComponent(slug);
+  } catch (error) {
+    console.error('Invalid song link:', slug, error);
+    return null;
+  }
+}
+
+// Returns { album, slug, time } for a song route (album is null when the
+// link doesn't name one), or null for any other hash. A missing or
+// malformed timestamp starts the song from the beginning.
+export function parseHash(hash) {
+  const match = SONG_ROUTE.exec(hash || '');
+  if (!match) return null;
+
+  const album = match[1] === undefined ? null : decodeSlug(match[1]);
+  const slug = decodeSlug(match[2]);
+  if (slug === null || (match[1] !== undefined && album === null)) return null;
+
+  const params = new URLSearchParams(match[3] || '');
+  const time = Number(params.get('t'));
+
+  return {
+    album,
+    slug,
+    time: Number.isFinite(time) && time > 0 ? time : 0
+  };
+}
+
+export function findSongBySlug(songs, slug) {
+  return songs.findIndex(song => slugify(song.title) === slug);
+}
+
+// Resolves a hash to { album, index, position } in the library, or null if
+// it doesn't link to one of its songs. Links without an album match the
+// first album with a song of that name.
+export function resolveHash(hash, albums) {
+  const route = parseHash(hash);
+  if (!route) return null;
+
+  const candidates = route.album === null
+    ? albums
+    : albums.filter(album => slugify(album.title) === route.album);
+
+  for (const album of candidates) {
+    const index = findSongBySlug(album.songs, route.slug);
+    if (index !== -1) {
+      return { album, index, position: route.time };
+    }
+  }
+
+  console.error('Invalid song link:', route.album ? `${route.album}/${route.slug}` : route.slug);
+  return null;
+}
+
+// The album to name in links: none while the library only has one
+export function getLinkAlbum(albums, album) {
+  return albums.length > 1 ? album : null;
+}
+
+// Keeps the hash in step with the playing song, so the page URL is always a
+// link to it and back/forward move between the songs played. Returns the
+// { album, index, position } linked on load, for the caller to cue.
+export function initRouting(player, albums, win = window) {
+  const linkedPoint = resolveHash(win.location.hash, albums);
+
+  player.on('songchange', (event) => {
+    const { index, song, album } = event.detail;
+    const hash = formatSongHash(song, 0, getLinkAlbum(albums, album));
+    const current = resolveHash(win.location.hash, albums);
+
+    if (current && current.album === album && current.index === index) {
+      // Already linked (cued, or reached through back/forward); drop the
+      // timestamp, which is stale once the song plays on
+      if (win.location.hash !== hash) {
+        win.history.replaceState(null, '', hash);
+      }
+    } else {
+      win.history.pushState(null, '', hash);
+    }
+  });
+
+  // Fired for back/forward and for links edited in the address bar
+  win.addEventListener('popstate', () => {
+    const point = resolveHash(win.location.hash, albums);
+    if (!point) return;
+
+    if (point.album === player.album && point.index === player.currentIndex) {
+      if (point.position > 0) {
+        player.seek(point.position);
+      }
+      return;
+    }
+    if (point.album !== player.album) {
+      player.setSongList(point.album.songs, { album: point.album });
+    }
+    player.play(point.index, false, { startAt: point.position });
+  });
+
+  return linkedPoint;
+}
+
+export function isClipboardSupported() {
+  return typeof navigator !== 'undefined' && Boolean(navigator.clipboard && navigator.clipboard.writeText);
+}
+
+// Copies a link to `song` (on `album`, if given) at `seconds` to the clipboard
+export function copySongLink(song, seconds = 0, { album = null, clipboard = navigator.clipboard, win = window } = {}) {
+  return clipboard.writeText(getSongUrl(win.location.href, song, seconds, album));
+}
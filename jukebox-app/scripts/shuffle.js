@@ -0,0 +1,25 @@
+// Shuffle order module
+
+// Returns the indices 0..count-1 in random order (Fisher-Yates).
+// `random` must behave like Math.random; tests inject a seeded one.
+// `first` forces a song to the front, e.g. the one already playing, and
+// `avoidFirst` keeps a song off the front so a reshuffle never repeats
+// the song that just finished.
+export function createShuffleOrder(count, random = Math.random, { first = null, avoidFirst = null } = {}) {
+  const order = Array.from({ length: count }, (_, index) => index);
+
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  if (first !== null && order.includes(first)) {
+    order.splice(order.indexOf(first), 1);
+    order.unshift(first);
+  } else if (avoidFirst !== null && order.length > 1 && order[0] === avoidFirst) {
+    const swapIndex = 1 + Math.floor(random() * (order.length - 1));
+    [order[0], order[swapIndex]] = [order[swapIndex], order[0]];
+  }
+
+  return order;
+}
@@ -0,0 +1,37 @@
+// Audio source selection
+//
+// Songs list their audio as `sources: [{ src, type }]`, most preferred
+// first, because browsers differ in which formats they decode. Entries
+// with a single `file` path are still accepted.
+
+export const AUDIO_MIME_TYPES = {
+  mp3: 'audio/mpeg',
+  ogg: 'audio/ogg',
+  flac: 'audio/flac',
+  wav: 'audio/wav'
+};
+
+// MIME type for a file path from its extension, or '' when unknown
+export function getMimeType(path) {
+  const match = /\.([a-z0-9]+)$/i.exec(path || '');
+  return (match && AUDIO_MIME_TYPES[match[1].toLowerCase()]) || '';
+}
+
+export function getSongSources(song) {
+  if (!song) return [];
+
+  if (Array.isArray(song.sources)) {
+    return song.sources.filter(source => source && typeof source.src === 'string' && source.src.length > 0);
+  }
+  if (typeof song.file === 'string' && song.file.length > 0) {
+    return [{ src: song.file, type: getMimeType(song.file) }];
+  }
+  return [];
+}
+
+// Keeps the sources `canPlayType` doesn't rule out, in their original
+// order. It answers 'probably', 'maybe' or '' (cannot play); sources
+// without a type can't be checked, so they are kept and tried anyway.
+export function selectPlayableSources(sources, canPlayType) {
+  return sources.filter(({ type }) => !type || canPlayType(type) !== '');
+}
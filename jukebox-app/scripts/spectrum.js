@@ -0,0 +1,65 @@
+// Spectrum analysis module
+//
+// Pure helpers that turn AnalyserNode byte data into what the visualizer
+// draws: log-spaced frequency bars and VU meter levels.
+
+// Splits `binCount` FFT bins into `barCount` ranges spaced evenly on a log
+// scale between minFrequency and maxFrequency, so each octave gets about
+// the same width on screen. Each range is [start, end) and holds at least
+// one bin. Ranges don't overlap while there are bins to spare; once the
+// bars outnumber the bins left, the remaining ranges all hold the last bin.
+export function getLogBinRanges(binCount, barCount, { sampleRate = 44100, minFrequency = 40, maxFrequency = 16000 } = {}) {
+  if (binCount <= 0 || barCount <= 0) return [];
+
+  const nyquist = sampleRate / 2;
+  const binWidth = nyquist / binCount;
+  const low = Math.max(minFrequency, binWidth);
+  const high = Math.max(low, Math.min(maxFrequency, nyquist));
+
+  const ranges = [];
+  let previousEnd = 0;
+
+  for (let bar = 0; bar < barCount; bar++) {
+    const fromFrequency = low * Math.pow(high / low, bar / barCount);
+    const toFrequency = low * Math.pow(high / low, (bar + 1) / barCount);
+
+    const start = Math.min(binCount - 1, Math.max(previousEnd, Math.floor(fromFrequency / binWidth)));
+    const end = Math.min(binCount, Math.max(start + 1, Math.floor(toFrequency / binWidth)));
+
+    ranges.push({ start, end });
+    previousEnd = end;
+  }
+
+  return ranges;
+}
+
+// Average magnitude of each range, scaled from 0-255 bytes to 0-1
+export function groupBins(data, ranges) {
+  return ranges.map(({ start, end }) => {
+    let sum = 0;
+    for (let bin = start; bin < end; bin++) {
+      sum += data[bin] || 0;
+    }
+    return end > start ? sum / (end - start) / 255 : 0;
+  });
+}
+
+// Root mean square of time-domain bytes (silence is 128), from 0 to 1
+export function getRmsLevel(timeData) {
+  if (!timeData || timeData.length === 0) return 0;
+
+  let sum = 0;
+  for (let i = 0; i < timeData.length; i++) {
+    const sample = (timeData[i] - 128) / 128;
+    sum += sample * sample;
+  }
+  return Math.sqrt(sum / timeData.length);
+}
+
+// Maps an RMS level onto a meter scale from floorDb (empty) to 0 dB (full)
+export function toMeterLevel(rms, floorDb = -48) {
+  if (!(rms > 0)) return 0;
+
+  const db = 20 * Math.log10(rms);
+  return Math.max(0, Math.min(1, (db - floorDb) / -floorDb));
+}
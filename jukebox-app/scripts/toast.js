@@ -0,0 +1,42 @@
+// Toast module
+//
+// The one way messages reach #error-msg. A message stays for `duration`
+// milliseconds; a newer one replaces it and starts the wait again.
+export const TOAST_DURATION = 5000;
+
+// Returns { show(message, { duration }), hide() } for `element`, which may
+// be null (messages are then dropped). A duration of 0 keeps the message
+// until the next one. Timers are injectable for tests.
+export function createToast(element, {
+  duration = TOAST_DURATION,
+  setTimer = setTimeout,
+  clearTimer = clearTimeout
+} = {}) {
+  let timer = null;
+
+  function cancelTimer() {
+    if (timer !== null) {
+      clearTimer(timer);
+      timer = null;
+    }
+  }
+
+  function hide() {
+    cancelTimer();
+    if (element) {
+      element.textContent = '';
+    }
+  }
+
+  function show(message, { duration: shownFor = duration } = {}) {
+    if (!element) return;
+
+    cancelTimer();
+    element.textContent = message;
+    if (shownFor > 0) {
+      timer = setTimer(hide, shownFor);
+    }
+  }
+
+  return { show, hide };
+}
@@ -0,0 +1,199 @@
+// Visualizer module
+import { getLogBinRanges, groupBins, getRmsLevel, toMeterLevel } from './spectrum.js';
+import { isPlayingState } from './playback-state.js';
+
+export const VISUALIZER_MODES = ['bars', 'oscilloscope', 'vu', 'off'];
+
+const BAR_COUNT = 32;
+
+// Retro jukebox palette from styles/main.css
+const COLORS = {
+  gold: '#ffd700',
+  pink: '#ff1493',
+  cyan: '#00d4ff',
+  background: 'rgba(0, 0, 0, 0.6)'
+};
+
+export function initVisualizer(player, audioGraph) {
+  const section = document.getElementById('visualizer-section');
+  const canvas = document.getElementById('visualizer');
+  const modeSelect = document.getElementById('visualizer-mode');
+  if (!section || !canvas) return;
+
+  // Needs the Web Audio graph to read the music from
+  if (!audioGraph) {
+    section.hidden = true;
+    return;
+  }
+  section.hidden = false;
+
+  const context = canvas.getContext('2d');
+  const reducedMotion = window.matchMedia
+    ? window.matchMedia('(prefers-reduced-motion: reduce)')
+    : null;
+
+  // Animation is opt-in for people who asked for reduced motion
+  let mode = reducedMotion && reducedMotion.matches ? 'off' : 'bars';
+  let isPlaying = player.isPlaying;
+  let frameId = null;
+  let ranges = [];
+  let frequencyData = null;
+  let timeData = null;
+  const meterData = [];
+
+  function resizeCanvas() {
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth * ratio;
+    const height = canvas.clientHeight * ratio;
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+  }
+
+  function clear() {
+    context.clearRect(0, 0, canvas.width, canvas.height);
+  }
+
+  function drawBars(analyser) {
+    if (!frequencyData || frequencyData.length !== analyser.frequencyBinCount) {
+      frequencyData = new Uint8Array(analyser.frequencyBinCount);
+      ranges = getLogBinRanges(analyser.frequencyBinCount, BAR_COUNT, {
+        sampleRate: audioGraph.context.sampleRate
+      });
+    }
+    analyser.getByteFrequencyData(frequencyData);
+
+    const levels = groupBins(frequencyData, ranges);
+    const gap = 2 * (window.devicePixelRatio || 1);
+    const barWidth = (canvas.width - gap * (levels.length - 1)) / levels.length;
+    const gradient = context.createLinearGradient(0, canvas.height, 0, 0);
+    gradient.addColorStop(0, COLORS.gold);
+    gradient.addColorStop(1, COLORS.pink);
+    context.fillStyle = gradient;
+
+    levels.forEach((level, index) => {
+      const barHeight = Math.max(1, level * canvas.height);
+      context.fillRect(index * (barWidth + gap), canvas.height - barHeight, barWidth, barHeight);
+    });
+  }
+
+  function drawOscilloscope(analyser) {
+    if (!timeData || timeData.length !== analyser.fftSize) {
+      timeData = new Uint8Array(analyser.fftSize);
+    }
+    analyser.getByteTimeDomainData(timeData);
+
+    context.lineWidth = 2 * (window.devicePixelRatio || 1);
+    context.strokeStyle = COLORS.cyan;
+    context.shadowColor = COLORS.cyan;
+    context.shadowBlur = 8;
+    context.beginPath();
+
+    const step = canvas.width / (timeData.length - 1);
+    for (let i = 0; i < timeData.length; i++) {
+      const y = (timeData[i] / 255) * canvas.height;
+      if (i === 0) {
+        context.moveTo(0, y);
+      } else {
+        context.lineTo(i * step, y);
+      }
+    }
+    context.stroke();
+    context.shadowBlur = 0;
+  }
+
+  function drawMeters(analysers) {
+    const meterHeight = canvas.height / (analysers.length * 2);
+
+    analysers.forEach((analyser, channel) => {
+      if (!meterData[channel] || meterData[channel].length !== analyser.fftSize) {
+        meterData[channel] = new Uint8Array(analyser.fftSize);
+      }
+      analyser.getByteTimeDomainData(meterData[channel]);
+      const level = toMeterLevel(getRmsLevel(meterData[channel]));
+
+      const y = meterHeight * (channel * 2 + 0.5);
+      context.fillStyle = COLORS.background;
+      context.fillRect(0, y, canvas.width, meterHeight);
+      // The last fifth of the meter is the red zone
+      context.fillStyle = level > 0.8 ? COLORS.pink : COLORS.gold;
+      context.fillRect(0, y, level * canvas.width, meterHeight);
+    });
+  }
+
+  function render() {
+    frameId = null;
+    const analyser = audioGraph.getAnalyser();
+    if (!analyser) return;
+
+    resizeCanvas();
+    clear();
+
+    if (mode === 'bars') {
+      drawBars(analyser);
+    } else if (mode === 'oscilloscope') {
+      drawOscilloscope(analyser);
+    } else if (mode === 'vu') {
+      drawMeters(audioGraph.getChannelAnalysers());
+    }
+
+    frameId = requestAnimationFrame(render);
+  }
+
+  function shouldAnimate() {
+    return isPlaying && mode !== 'off' && document.visibilityState !== 'hidden';
+  }
+
+  function update() {
+    if (shouldAnimate()) {
+      if (frameId === null) {
+        frameId = requestAnimationFrame(render);
+      }
+    } else {
+      if (frameId !== null) {
+        cancelAnimationFrame(frameId);
+        frameId = null;
+      }
+      // Leave a blank screen rather than a frozen frame
+      if (document.visibilityState !== 'hidden') {
+        clear();
+      }
+    }
+    canvas.classList.toggle('off', mode === 'off');
+  }
+
+  if (modeSelect) {
+    modeSelect.value = mode;
+    modeSelect.addEventListener('change', () => {
+      if (VISUALIZER_MODES.includes(modeSelect.value)) {
+        mode = modeSelect.value;
+        update();
+      }
+    });
+  }
+
+  if (reducedMotion && reducedMotion.addEventListener) {
+    reducedMotion.addEventListener('change', (event) => {
+      if (event.matches) {
+        mode = 'off';
+        if (modeSelect) {
+          modeSelect.value = mode;
+        }
+        update();
+      }
+    });
+  }
+
+  // Follows every state change, so the loop also stops when the last song
+  // ends, fails or is blocked
+  player.on('statechange', (event) => {
+    isPlaying = isPlayingState(event.detail.next);
+    update();
+  });
+
+  // No point drawing frames nobody can see
+  document.addEventListener('visibilitychange', update);
+
+  update();
+}
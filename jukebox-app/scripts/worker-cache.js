@@ -0,0 +1,197 @@
+// Worker cache module
+//
+// The parts of the offline cache the service worker needs: the shell, the
+// cache names and ranged responses for pinned songs. sw.js is a classic
+// worker, since older Firefox and Safari can't register module workers,
+// so this is a classic script too. It is loaded with importScripts() in
+// the worker and imported for its side effect by offline-cache.js, and
+// puts everything on `globalThis.jukeboxWorkerCache`.
+(function (scope) {
+  // Bump the version whenever SHELL_FILES changes; old shells are deleted
+  const SHELL_CACHE = 'jukebox-shell-v6';
+
+  // Pinned songs; kept across app updates
+  const AUDIO_CACHE = 'jukebox-audio';
+
+  const SHELL_FILES = [
+    './',
+    'index.html',
+    'styles/main.css',
+    'manifest.webmanifest',
+    'songs.json',
+    'assets/artwork.svg',
+    'assets/icons/icon-192.png',
+    'assets/icons/icon-512.png',
+    'assets/icons/maskable-512.png',
+    'assets/icons/apple-touch-icon.png',
+    'scripts/main.js',
+    'scripts/data.js',
+    'scripts/catalogue.js',
+    'scripts/player.js',
+    'scripts/controls.js',
+    'scripts/lyrics.js',
+    'scripts/queue.js',
+    'scripts/persistence.js',
+    'scripts/media-session.js',
+    'scripts/offline.js',
+    'scripts/offline-cache.js',
+    'scripts/worker-cache.js',
+    'scripts/install.js',
+    'scripts/library.js',
+    'scripts/routing.js',
+    'scripts/sources.js',
+    'scripts/lrc.js',
+    'scripts/markdown.js',
+    'scripts/metadata.js',
+    'scripts/playback-state.js',
+    'scripts/playback-errors.js',
+    'scripts/toast.js',
+    'scripts/error-log.js',
+    'scripts/shuffle.js',
+    'scripts/fade.js',
+    'scripts/equalizer.js',
+    'scripts/eq-panel.js',
+    'scripts/spectrum.js',
+    'scripts/visualizer.js',
+    'scripts/time.js'
+  ];
+
+  // Album covers, which are small enough to always keep. Lyrics live in
+  // ../lyrics, outside the worker's scope, so the worker never sees those
+  // requests and caching them would be wasted. `albums` comes straight
+  // from songs.json, so anything that isn't a path is skipped.
+  function getOptionalFiles(albums) {
+    const covers = (Array.isArray(albums) ? albums : [])
+      .map(album => album && album.cover)
+      .filter(cover => typeof cover === 'string' && cover !== '');
+    return [...new Set(covers)];
+  }
+
+  // Caches `files` one by one, so a missing cover doesn't fail the install
+  // the way it would with cache.addAll(). Resolves to the files cached.
+  async function cacheOptionalFiles(cache, files) {
+    const results = await Promise.all(files.map(file => cache.add(file).then(
+      () => file,
+      (error) => {
+        console.warn('Could not precache optional file:', file, error);
+        return null;
+      }
+    )));
+    return results.filter(Boolean);
+  }
+
+  // Parses a single "bytes=start-end" range (either end may be omitted)
+  // against a body of `size` bytes. Returns null for headers it doesn't
+  // understand, which are served as a whole; `start > end` means the range
+  // can't be satisfied.
+  function parseRange(header, size) {
+    const match = /^bytes=\s*(\d*)\s*-\s*(\d*)\s*$/i.exec(header || '');
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    // "bytes=-500" asks for the last 500 bytes
+    if (match[1] === '') {
+      return { start: Math.max(0, size - Number(match[2])), end: size - 1 };
+    }
+
+    const start = Number(match[1]);
+    const end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    return { start, end };
+  }
+
+  // The body's size from its Content-Length, or null when the header is
+  // missing or describes a compressed body
+  function getStoredSize(response) {
+    const length = response.headers.get('Content-Length');
+    if (length === null || response.headers.has('Content-Encoding')) return null;
+
+    const size = Number(length);
+    return Number.isInteger(size) && size >= 0 ? size : null;
+  }
+
+  // Bytes `start` to `end` (inclusive) of `body`, streamed chunk by chunk.
+  // Earlier chunks are dropped as they are read, and the rest of the body
+  // isn't read at all.
+  function sliceStream(body, start, end) {
+    const reader = body.getReader();
+    let offset = 0;
+
+    return new ReadableStream({
+      async pull(controller) {
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) {
+            controller.close();
+            return;
+          }
+
+          const chunkStart = offset;
+          offset += value.byteLength;
+          if (offset <= start) continue;
+
+          controller.enqueue(value.subarray(Math.max(0, start - chunkStart), end + 1 - chunkStart));
+          if (offset > end) {
+            controller.close();
+            reader.cancel();
+          }
+          return;
+        }
+      },
+      cancel(reason) {
+        return reader.cancel(reason);
+      }
+    });
+  }
+
+  // Answers a (possibly ranged) request from a full cached response. Media
+  // elements request byte ranges to seek, and a plain 200 would restart the
+  // song from the beginning. Seeking sends many ranged requests, so the
+  // range is streamed from the cached body rather than read into memory;
+  // only a response without a usable Content-Length is read whole to learn
+  // its size.
+  async function createRangeResponse(response, rangeHeader) {
+    const headers = new Headers(response.headers);
+    headers.set('Accept-Ranges', 'bytes');
+
+    let body = response.body;
+    let size = getStoredSize(response);
+    if (size === null) {
+      body = await response.blob();
+      size = body.size;
+    }
+
+    const range = parseRange(rangeHeader, size);
+    if (!range) {
+      headers.set('Content-Length', String(size));
+      return new Response(body, { status: 200, statusText: 'OK', headers });
+    }
+
+    if (range.start > range.end) {
+      if (body && typeof body.cancel === 'function') {
+        body.cancel();
+      }
+      return new Response(null, {
+        status: 416,
+        statusText: 'Range Not Satisfiable',
+        headers: { 'Content-Range': `bytes */${size}` }
+      });
+    }
+
+    const slice = typeof body.slice === 'function'
+      ? body.slice(range.start, range.end + 1)
+      : sliceStream(body, range.start, range.end);
+    headers.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    headers.set('Content-Length', String(range.end - range.start + 1));
+    return new Response(slice, { status: 206, statusText: 'Partial Content', headers });
+  }
+
+  scope.jukeboxWorkerCache = {
+    SHELL_CACHE,
+    AUDIO_CACHE,
+    SHELL_FILES,
+    getOptionalFiles,
+    cacheOptionalFiles,
+    parseRange,
+    sliceStream,
+    createRangeResponse
+  };
+})(globalThis);
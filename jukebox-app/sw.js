@@ -0,0 +1,78 @@
+// Service worker: keeps the jukebox working offline
+//
+// The app shell is precached on install and served network-first, so
+// visitors who are online always get the latest files. Audio is only
+// cached for songs the listener pins (scripts/offline.js) and is served
+// with Range support so seeking works offline.
+//
+// A classic worker (module workers aren't supported everywhere), so the
+// helpers come from worker-cache.js through importScripts().
+importScripts('scripts/worker-cache.js');
+
+const {
+  SHELL_CACHE, AUDIO_CACHE, SHELL_FILES, getOptionalFiles, cacheOptionalFiles, createRangeResponse
+} = self.jukeboxWorkerCache;
+
+// The albums in songs.json, or none if it can't be loaded; the built-in
+// album's cover is part of the shell anyway
+function loadAlbums() {
+  return fetch('songs.json')
+    .then(response => (response.ok ? response.json() : {}))
+    .then(data => data.albums)
+    .catch(() => []);
+}
+
+self.addEventListener('install', (event) => {
+  // The shell has to be complete; album covers are cached if they can be
+  event.waitUntil(
+    Promise.all([caches.open(SHELL_CACHE), loadAlbums()])
+      .then(([cache, albums]) => cache.addAll(SHELL_FILES)
+        .then(() => cacheOptionalFiles(cache, getOptionalFiles(albums))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Drop shells from older versions; pinned songs stay
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('jukebox-shell-') && key !== SHELL_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  event.respondWith(handleFetch(request));
+});
+
+async function handleFetch(request) {
+  const audioCache = await caches.open(AUDIO_CACHE);
+  const pinned = await audioCache.match(request.url);
+  if (pinned) {
+    return createRangeResponse(pinned, request.headers.get('Range'));
+  }
+
+  // Ranged requests for songs that aren't pinned go straight to the network
+  if (request.headers.has('Range')) {
+    return fetch(request);
+  }
+
+  const shellCache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    // Keep the offline copy of shell files up to date
+    if (response.ok && await shellCache.match(request)) {
+      await shellCache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await shellCache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  CATALOGUE_URL,
+  loadCatalogue,
+  formatCatalogueError,
+  describeCatalogueErrors
+} from '../scripts/catalogue.js';
+import { albums as builtInAlbums } from '../scripts/data.js';
+
+describe('Catalogue Module', () => {
+  const manifestSongs = [
+    { title: '01 a', artist: 'oneish', sources: [{ src: 'assets/audio/01-a.mp3', type: 'audio/mpeg' }] },
+    { title: '02 b', artist: 'oneish', file: 'assets/audio/02-b.mp3' }
+  ];
+  const manifestAlbums = [{ title: 'you know?', artist: 'oneish', songs: manifestSongs }];
+  const fallbackAlbums = [{ title: 'Fallback', songs: [{ title: 'Fallback', artist: 'oneish', file: 'fallback.mp3' }] }];
+
+  function respondWith(body, { ok = true, status = 200 } = {}) {
+    return vi.fn(() => Promise.resolve({
+      ok,
+      status,
+      json: () => (body instanceof Error ? Promise.reject(body) : Promise.resolve(body))
+    }));
+  }
+
+  let consoleSpy;
+
+  beforeEach(() => {
+    consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleSpy.mockRestore();
+  });
+
+  describe('loadCatalogue', () => {
+    it('should load the albums from songs.json', async () => {
+      const fetchCatalogue = respondWith({ albums: manifestAlbums });
+
+      const result = await loadCatalogue({ fetchCatalogue, fallbackAlbums });
+
+      expect(fetchCatalogue).toHaveBeenCalledWith(CATALOGUE_URL);
+      expect(result).toEqual({ albums: manifestAlbums, errors: [], fallback: false });
+      expect(consoleSpy).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the built-in albums by default', async () => {
+      const result = await loadCatalogue({ fetchCatalogue: () => Promise.reject(new TypeError('Failed to fetch')) });
+
+      expect(result.albums).toBe(builtInAlbums);
+      expect(result.fallback).toBe(true);
+    });
+
+    it('should fall back when the manifest cannot be fetched', async () => {
+      const result = await loadCatalogue({ fetchCatalogue: respondWith(null, { ok: false, status: 404 }), fallbackAlbums });
+
+      expect(result).toEqual({
+        albums: fallbackAlbums,
+        errors: [{ path: 'songs.json', message: 'could not be loaded (HTTP 404)' }],
+        fallback: true
+      });
+      expect(consoleSpy).toHaveBeenCalledWith('Failed to load catalogue:', expect.objectContaining({ message: 'HTTP 404' }));
+    });
+
+    it('should report a network failure', async () => {
+      const result = await loadCatalogue({ fetchCatalogue: () => Promise.reject(new TypeError('Failed to fetch')), fallbackAlbums });
+
+      expect(result.errors).toEqual([{ path: 'songs.json', message: 'could not be loaded (Failed to fetch)' }]);
+    });
+
+    it('should fall back when the manifest is not valid JSON', async () => {
+      const result = await loadCatalogue({ fetchCatalogue: respondWith(new SyntaxError('Unexpected token')), fallbackAlbums });
+
+      expect(result).toEqual({
+        albums: fallbackAlbums,
+        errors: [{ path: 'songs.json', message: 'is not valid JSON (Unexpected token)' }],
+        fallback: true
+      });
+      expect(consoleSpy).toHaveBeenCalledWith('Failed to load catalogue:', expect.any(SyntaxError));
+    });
+
+    it('should fall back and report every schema error', async () => {
+      const invalid = [{ ...manifestAlbums[0], songs: [{ ...manifestSongs[0], bpm: -1 }, { ...manifestSongs[1], artist: '' }] }];
+
+      const result = await loadCatalogue({ fetchCatalogue: respondWith({ albums: invalid }), fallbackAlbums });
+
+      expect(result.albums).toBe(fallbackAlbums);
+      expect(result.fallback).toBe(true);
+      expect(result.errors).toEqual([
+        { path: 'albums[0].songs[0].bpm', message: 'must be a positive number' },
+        { path: 'albums[0].songs[1].artist', message: 'must be a non-empty string' }
+      ]);
+      expect(consoleSpy).toHaveBeenCalledWith('Invalid catalogue:', 'albums[0].songs[0].bpm must be a positive number');
+      expect(consoleSpy).toHaveBeenCalledWith('Invalid catalogue:', 'albums[0].songs[1].artist must be a non-empty string');
+    });
+
+    it('should load from another URL', async () => {
+      const fetchCatalogue = respondWith({ albums: manifestAlbums });
+
+      await loadCatalogue({ url: 'albums/live.json', fetchCatalogue, fallbackAlbums });
+
+      expect(fetchCatalogue).toHaveBeenCalledWith('albums/live.json');
+    });
+  });
+
+  describe('formatCatalogueError', () => {
+    it('should join the field path and message', () => {
+      expect(formatCatalogueError({ path: 'albums[0].songs[2].title', message: 'is required' })).toBe('albums[0].songs[2].title is required');
+    });
+  });
+
+  describe('describeCatalogueErrors', () => {
+    it('should list each error', () => {
+      const errors = [
+        { path: 'albums[0].songs[0].title', message: 'is required' },
+        { path: 'albums[0].songs[1].key', message: 'must be a key such as "Am" or "F#"' }
+      ];
+
+      expect(describeCatalogueErrors(errors)).toBe(
+        'Error: songs.json is invalid (albums[0].songs[0].title is required; albums[0].songs[1].key must be a key such as "Am" or "F#"), using the built-in songs'
+      );
+    });
+
+    it('should summarise errors beyond the first three', () => {
+      const errors = [0, 1, 2, 3, 4].map(index => ({ path: `albums[0].songs[${index}].artist`, message: 'is required' }));
+
+      expect(describeCatalogueErrors(errors)).toBe(
+        'Error: songs.json is invalid (albums[0].songs[0].artist is required; albums[0].songs[1].artist is required; albums[0].songs[2].artist is required; and 2 more), using the built-in songs'
+      );
+    });
+
+    it('should say when the manifest could not be loaded', () => {
+      const errors = [{ path: 'songs.json', message: 'could not be loaded (HTTP 404)' }];
+
+      expect(describeCatalogueErrors(errors)).toBe('Error: songs.json could not be loaded (HTTP 404), using the built-in songs');
+    });
+
+    it('should name a manifest loaded from another URL', () => {
+      const errors = [{ path: 'albums/live.json', message: 'is not valid JSON (Unexpected token)' }];
+
+      expect(describeCatalogueErrors(errors, 'albums/live.json')).toBe(
+        'Error: albums/live.json is not valid JSON (Unexpected token), using the built-in songs'
+      );
+    });
+  });
+});
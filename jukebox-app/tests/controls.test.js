@@ -1,12 +1,25 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { renderSongList, initVolumeControl, initMuteButton } from '../scripts/controls.js';
+import {
+  renderSongList,
+  initVolumeControl,
+  initSeekBar,
+  initTransportControls,
+  initModeButton,
+  initTransitionControls,
+  initNormalizationSelect,
+  initMuteButton,
+  initPlayAllButton,
+  initResumePrompt,
+  initStartOverlay
+} from '../scripts/controls.js';
+import { Player } from '../scripts/player.js';
 
 // Mock DOM environment
 const mockDocument = {
   createElement: vi.fn(),
   getElementById: vi.fn(),
   addEventListener: vi.fn(),
-  dispatchEvent: vi.fn()
+  removeEventListener: vi.fn()
 };
 
 global.document = mockDocument;
@@ -40,7 +53,22 @@ describe('Controls Module', () => {
         isPlaying: false
       })),
       playAll: vi.fn(),
-      stop: vi.fn()
+      stop: vi.fn(),
+      seek: vi.fn(),
+      getPosition: vi.fn(() => 30),
+      getDuration: vi.fn(() => 180),
+      togglePause: vi.fn(),
+      restart: vi.fn(),
+      next: vi.fn(),
+      previous: vi.fn(),
+      hasNext: vi.fn(() => true),
+      hasPrevious: vi.fn(() => true),
+      cycleMode: vi.fn(),
+      setCrossfade: vi.fn(),
+      setGapless: vi.fn(),
+      setNormalization: vi.fn(),
+      // Subscriptions return an unsubscribe function, like Player#on
+      on: vi.fn(() => vi.fn())
     };
 
     // Setup DOM element mocks
@@ -82,11 +110,21 @@ describe('Controls Module', () => {
         addEventListener: vi.fn()
       };
 
+      const createActionButton = () => ({
+        dataset: {},
+        textContent: '',
+        setAttribute: vi.fn()
+      });
+
       mockDocument.createElement
         .mockReturnValueOnce(mockLi)
         .mockReturnValueOnce(mockButton)
+        .mockReturnValueOnce(createActionButton())
+        .mockReturnValueOnce(createActionButton())
         .mockReturnValueOnce(mockLi)
-        .mockReturnValueOnce(mockButton);
+        .mockReturnValueOnce(mockButton)
+        .mockReturnValueOnce(createActionButton())
+        .mockReturnValueOnce(createActionButton());
 
       renderSongList(mockContainer, mockSongs);
 
@@ -121,6 +159,134 @@ describe('Controls Module', () => {
       
       expect(mockContainer.innerHTML).toBe('');
     });
+
+    it('should show tempo and key next to the title when available', () => {
+      const mockLi = { 
+        appendChild: vi.fn(),
+        setAttribute: vi.fn()
+      };
+      const mockButton = {
+        dataset: {},
+        textContent: '',
+        setAttribute: vi.fn(),
+        className: '',
+        addEventListener: vi.fn(),
+        appendChild: vi.fn()
+      };
+      const mockSpan = { className: '', textContent: '' };
+
+      mockDocument.createElement
+        .mockReturnValueOnce(mockLi)
+        .mockReturnValueOnce(mockButton)
+        .mockReturnValueOnce(mockSpan);
+
+      renderSongList(mockContainer, [
+        { ...mockSongs[0], bpm: 127, bpmApproximate: true, key: 'Am' }
+      ]);
+
+      expect(mockDocument.createElement).toHaveBeenCalledWith('span');
+      expect(mockSpan.className).toBe('song-meta');
+      expect(mockSpan.textContent).toBe('~127 BPM · Am');
+      expect(mockButton.appendChild).toHaveBeenCalledWith(mockSpan);
+      expect(mockButton.setAttribute).toHaveBeenCalledWith('aria-label', 'Play Test Song 1 by Test Artist 1, ~127 BPM · Am');
+    });
+
+    it('should add play next and add to queue actions for each song', () => {
+      const mockLi = { 
+        appendChild: vi.fn(),
+        setAttribute: vi.fn()
+      };
+      const mockButton = {
+        dataset: {},
+        textContent: '',
+        setAttribute: vi.fn(),
+        className: '',
+        addEventListener: vi.fn()
+      };
+      const playNextButton = { dataset: {}, setAttribute: vi.fn() };
+      const enqueueButton = { dataset: {}, setAttribute: vi.fn() };
+
+      mockDocument.createElement
+        .mockReturnValueOnce(mockLi)
+        .mockReturnValueOnce(mockButton)
+        .mockReturnValueOnce(playNextButton)
+        .mockReturnValueOnce(enqueueButton);
+
+      renderSongList(mockContainer, [mockSongs[0]]);
+
+      expect(playNextButton.dataset).toEqual({ action: 'play-next', songIndex: 0 });
+      expect(playNextButton.setAttribute).toHaveBeenCalledWith('aria-label', 'Play Test Song 1 next');
+      expect(enqueueButton.dataset).toEqual({ action: 'enqueue', songIndex: 0 });
+      expect(enqueueButton.setAttribute).toHaveBeenCalledWith('aria-label', 'Add Test Song 1 to queue');
+      expect(mockLi.appendChild).toHaveBeenCalledWith(playNextButton);
+      expect(mockLi.appendChild).toHaveBeenCalledWith(enqueueButton);
+    });
+
+    it('should add an offline pin and hidden badge when offline is supported', () => {
+      const mockLi = { 
+        appendChild: vi.fn(),
+        setAttribute: vi.fn()
+      };
+      const mockButton = {
+        dataset: {},
+        textContent: '',
+        setAttribute: vi.fn(),
+        className: '',
+        addEventListener: vi.fn()
+      };
+      const createActionButton = () => ({ dataset: {}, setAttribute: vi.fn() });
+      const pinButton = createActionButton();
+      const badge = { dataset: {} };
+
+      mockDocument.createElement
+        .mockReturnValueOnce(mockLi)
+        .mockReturnValueOnce(mockButton)
+        .mockReturnValueOnce(createActionButton())
+        .mockReturnValueOnce(createActionButton())
+        .mockReturnValueOnce(pinButton)
+        .mockReturnValueOnce(badge);
+
+      renderSongList(mockContainer, [mockSongs[0]], { offline: true });
+
+      expect(pinButton.dataset).toEqual({ action: 'pin', songIndex: 0 });
+      expect(pinButton.className).toBe('queue-action offline-pin');
+      expect(pinButton.setAttribute).toHaveBeenCalledWith('aria-label', 'Save Test Song 1 for offline');
+      expect(pinButton.setAttribute).toHaveBeenCalledWith('aria-pressed', 'false');
+      expect(badge.className).toBe('offline-badge');
+      expect(badge.dataset).toEqual({ songIndex: 0 });
+      expect(badge.textContent).toBe('Offline');
+      expect(badge.hidden).toBe(true);
+      expect(mockLi.appendChild).toHaveBeenCalledWith(badge);
+    });
+
+    it('should add a copy link action when copy links are enabled', () => {
+      const mockLi = {
+        setAttribute: vi.fn(),
+        appendChild: vi.fn()
+      };
+      const mockButton = {
+        dataset: {},
+        textContent: '',
+        setAttribute: vi.fn(),
+        className: '',
+        addEventListener: vi.fn()
+      };
+      const createActionButton = () => ({ dataset: {}, setAttribute: vi.fn() });
+      const copyButton = createActionButton();
+
+      mockDocument.createElement
+        .mockReturnValueOnce(mockLi)
+        .mockReturnValueOnce(mockButton)
+        .mockReturnValueOnce(createActionButton())
+        .mockReturnValueOnce(createActionButton())
+        .mockReturnValueOnce(copyButton);
+
+      renderSongList(mockContainer, [mockSongs[0]], { copyLinks: true });
+
+      expect(copyButton.dataset).toEqual({ action: 'copy-link', songIndex: 0 });
+      expect(copyButton.setAttribute).toHaveBeenCalledWith('aria-label', 'Copy link to Test Song 1');
+      expect(mockLi.appendChild).toHaveBeenCalledWith(copyButton);
+    });
   });
 
   describe('initVolumeControl', () => {
@@ -140,6 +306,21 @@ describe('Controls Module', () => {
       expect(mockVolumeKnob.addEventListener).toHaveBeenCalledWith('keydown', expect.any(Function));
     });
 
+    it('should turn the knob when the player volume changes', () => {
+      const mockVolumeKnob = {
+        addEventListener: vi.fn(),
+        setAttribute: vi.fn(),
+        style: {}
+      };
+      mockDocument.getElementById.mockReturnValue(mockVolumeKnob);
+
+      initVolumeControl(mockPlayer);
+      mockPlayer.on.mock.calls.find(call => call[0] === 'volume')[1]({ detail: { volume: 1, muted: false } });
+
+      expect(mockVolumeKnob.style.transform).toBe('rotate(135deg)');
+      expect(mockVolumeKnob.setAttribute).toHaveBeenCalledWith('aria-valuenow', 100);
+    });
+
     it('should handle missing volume knob element gracefully', () => {
       mockDocument.getElementById.mockReturnValue(null);
       
@@ -147,6 +328,536 @@ describe('Controls Module', () => {
     });
   });
 
+  describe('initSeekBar', () => {
+    let mockSeekBar;
+    let keydownHandler;
+
+    beforeEach(() => {
+      mockSeekBar = {
+        addEventListener: vi.fn((type, handler) => {
+          if (type === 'keydown') keydownHandler = handler;
+        }),
+        setAttribute: vi.fn(),
+        classList: {
+          add: vi.fn(),
+          remove: vi.fn()
+        },
+        style: {}
+      };
+
+      mockDocument.getElementById.mockImplementation((id) => (id === 'seek-bar' ? mockSeekBar : null));
+    });
+
+    it('should initialize the slider with the current position', () => {
+      initSeekBar(mockPlayer);
+
+      expect(mockSeekBar.setAttribute).toHaveBeenCalledWith('aria-valuemax', 180);
+      expect(mockSeekBar.setAttribute).toHaveBeenCalledWith('aria-valuenow', 30);
+      expect(mockSeekBar.setAttribute).toHaveBeenCalledWith('aria-valuetext', '0:30 of 3:00');
+      expect(mockSeekBar.addEventListener).toHaveBeenCalledWith('mousedown', expect.any(Function));
+      expect(mockPlayer.on).toHaveBeenCalledWith('position', expect.any(Function));
+    });
+
+    it('should seek 5 seconds with arrow keys', () => {
+      initSeekBar(mockPlayer);
+
+      const event = { key: 'ArrowRight', preventDefault: vi.fn() };
+      keydownHandler(event);
+      expect(event.preventDefault).toHaveBeenCalled();
+      expect(mockPlayer.seek).toHaveBeenCalledWith(35);
+
+      keydownHandler({ key: 'ArrowLeft', preventDefault: vi.fn() });
+      expect(mockPlayer.seek).toHaveBeenCalledWith(25);
+    });
+
+    it('should jump to the start and end with Home and End', () => {
+      initSeekBar(mockPlayer);
+
+      keydownHandler({ key: 'Home', preventDefault: vi.fn() });
+      expect(mockPlayer.seek).toHaveBeenCalledWith(0);
+
+      keydownHandler({ key: 'End', preventDefault: vi.fn() });
+      expect(mockPlayer.seek).toHaveBeenCalledWith(180);
+    });
+
+    it('should not seek before the duration is known', () => {
+      mockPlayer.getDuration.mockReturnValue(0);
+      initSeekBar(mockPlayer);
+
+      keydownHandler({ key: 'ArrowRight', preventDefault: vi.fn() });
+      expect(mockPlayer.seek).not.toHaveBeenCalled();
+    });
+
+    it('should ignore unrelated keys', () => {
+      initSeekBar(mockPlayer);
+
+      const event = { key: 'a', preventDefault: vi.fn() };
+      keydownHandler(event);
+      expect(event.preventDefault).not.toHaveBeenCalled();
+      expect(mockPlayer.seek).not.toHaveBeenCalled();
+    });
+
+    it('should handle missing seek bar element gracefully', () => {
+      mockDocument.getElementById.mockReturnValue(null);
+
+      expect(() => initSeekBar(mockPlayer)).not.toThrow();
+    });
+  });
+
+  describe('initTransportControls', () => {
+    let buttons;
+
+    function createMockButton() {
+      const handlers = {};
+      return {
+        handlers,
+        disabled: false,
+        textContent: '',
+        addEventListener: vi.fn((type, handler) => {
+          handlers[type] = handler;
+        }),
+        setAttribute: vi.fn(),
+        classList: {
+          add: vi.fn(),
+          remove: vi.fn()
+        }
+      };
+    }
+
+    beforeEach(() => {
+      buttons = {
+        'pause-btn': createMockButton(),
+        'restart-btn': createMockButton(),
+        'prev-btn': createMockButton(),
+        'next-btn': createMockButton()
+      };
+      mockDocument.getElementById.mockImplementation((id) => buttons[id] || null);
+    });
+
+    it('should disable the buttons when no song is loaded', () => {
+      mockPlayer.getPlaybackState.mockReturnValue({ currentIndex: null, isPlaying: false });
+
+      initTransportControls(mockPlayer);
+
+      expect(buttons['pause-btn'].disabled).toBe(true);
+      expect(buttons['restart-btn'].disabled).toBe(true);
+    });
+
+    it('should offer resume while a song is paused', () => {
+      mockPlayer.getPlaybackState.mockReturnValue({ currentIndex: 2, isPlaying: false });
+
+      initTransportControls(mockPlayer);
+
+      expect(buttons['pause-btn'].disabled).toBe(false);
+      expect(buttons['pause-btn'].textContent).toBe('▶️ Resume');
+      expect(buttons['pause-btn'].setAttribute).toHaveBeenCalledWith('aria-label', 'Resume playback');
+    });
+
+    it('should offer pause while a song is loading', () => {
+      mockPlayer.getPlaybackState.mockReturnValue({ currentIndex: 2, isPlaying: false, state: 'loading' });
+
+      initTransportControls(mockPlayer);
+
+      expect(buttons['pause-btn'].textContent).toBe('⏸️ Pause');
+      expect(buttons['pause-btn'].setAttribute).toHaveBeenCalledWith('aria-label', 'Pause playback');
+    });
+
+    it('should wire the buttons to the player', () => {
+      initTransportControls(mockPlayer);
+
+      buttons['pause-btn'].handlers.click();
+      expect(mockPlayer.togglePause).toHaveBeenCalled();
+
+      buttons['restart-btn'].handlers.click();
+      expect(mockPlayer.restart).toHaveBeenCalled();
+
+      buttons['prev-btn'].handlers.click();
+      expect(mockPlayer.previous).toHaveBeenCalled();
+
+      buttons['next-btn'].handlers.click();
+      expect(mockPlayer.next).toHaveBeenCalled();
+    });
+
+    it('should disable next at the end of the list', () => {
+      mockPlayer.getPlaybackState.mockReturnValue({ currentIndex: 1, isPlaying: true });
+      mockPlayer.hasNext.mockReturnValue(false);
+
+      initTransportControls(mockPlayer);
+
+      expect(buttons['next-btn'].disabled).toBe(true);
+      expect(buttons['prev-btn'].disabled).toBe(false);
+    });
+
+    it('should listen for playback state events', () => {
+      initTransportControls(mockPlayer);
+
+      ['statechange', 'songchange', 'mode', 'queue', 'sequence'].forEach((type) => {
+        expect(mockPlayer.on).toHaveBeenCalledWith(type, expect.any(Function));
+      });
+    });
+
+    it('should enable next when a song is queued during the last song', () => {
+      const player = new Player(mockSongs);
+      player.currentIndex = 1;
+      initTransportControls(player);
+      expect(buttons['next-btn'].disabled).toBe(true);
+
+      player.enqueue(0);
+
+      expect(buttons['next-btn'].disabled).toBe(false);
+    });
+
+    it('should offer resume once the song has ended', () => {
+      const player = new Player(mockSongs);
+      player.currentIndex = 1;
+      player.state = 'playing';
+      initTransportControls(player);
+      expect(buttons['pause-btn'].textContent).toBe('⏸️ Pause');
+
+      player.setState('ended');
+
+      expect(buttons['pause-btn'].textContent).toBe('▶️ Resume');
+    });
+
+    it('should offer resume once a song is blocked from starting', () => {
+      const player = new Player(mockSongs);
+      player.currentIndex = 1;
+      player.state = 'loading';
+      initTransportControls(player);
+      expect(buttons['pause-btn'].textContent).toBe('⏸️ Pause');
+
+      player.setState('paused');
+      player.blockPlayback(() => {});
+
+      expect(buttons['pause-btn'].textContent).toBe('▶️ Resume');
+    });
+
+    it('should enable next on the last song while Play All runs', () => {
+      const player = new Player(mockSongs);
+      player.currentIndex = mockSongs.length - 1;
+      initTransportControls(player);
+      expect(buttons['next-btn'].disabled).toBe(true);
+
+      player.setSequence(true);
+
+      expect(buttons['next-btn'].disabled).toBe(false);
+    });
+
+    it('should handle missing transport buttons gracefully', () => {
+      mockDocument.getElementById.mockReturnValue(null);
+
+      expect(() => initTransportControls(mockPlayer)).not.toThrow();
+    });
+  });
+
+  describe('initModeButton', () => {
+    let mockModeButton;
+
+    beforeEach(() => {
+      mockModeButton = {
+        dataset: {},
+        textContent: '',
+        addEventListener: vi.fn(),
+        setAttribute: vi.fn()
+      };
+      mockDocument.getElementById.mockReturnValue(mockModeButton);
+    });
+
+    it('should show the current playback mode', () => {
+      mockPlayer.getPlaybackState.mockReturnValue({ mode: 'shuffle' });
+
+      initModeButton(mockPlayer);
+
+      expect(mockDocument.getElementById).toHaveBeenCalledWith('mode-btn');
+      expect(mockModeButton.textContent).toBe('🔀 Shuffle');
+      expect(mockModeButton.dataset.mode).toBe('shuffle');
+      expect(mockModeButton.setAttribute).toHaveBeenCalledWith('aria-label', 'Playback mode: shuffle. Switch to in order');
+    });
+
+    it('should cycle modes on click and follow mode events', () => {
+      mockPlayer.getPlaybackState.mockReturnValue({ mode: 'normal' });
+
+      initModeButton(mockPlayer);
+      const clickHandler = mockModeButton.addEventListener.mock.calls.find(call => call[0] === 'click')[1];
+      clickHandler();
+
+      expect(mockPlayer.cycleMode).toHaveBeenCalled();
+      expect(mockPlayer.on).toHaveBeenCalledWith('mode', expect.any(Function));
+    });
+
+    it('should handle missing mode button gracefully', () => {
+      mockDocument.getElementById.mockReturnValue(null);
+
+      expect(() => initModeButton(mockPlayer)).not.toThrow();
+    });
+  });
+
+  describe('initTransitionControls', () => {
+    let elements;
+
+    beforeEach(() => {
+      elements = {
+        crossfade: { value: '0', addEventListener: vi.fn(), setAttribute: vi.fn() },
+        'crossfade-value': { textContent: '' },
+        gapless: { checked: false, addEventListener: vi.fn() }
+      };
+      mockDocument.getElementById.mockImplementation(id => elements[id] || null);
+    });
+
+    it('should show the current crossfade and gapless settings', () => {
+      mockPlayer.getPlaybackState.mockReturnValue({ crossfade: 6, gapless: true });
+
+      initTransitionControls(mockPlayer);
+
+      expect(elements.crossfade.value).toBe(6);
+      expect(elements.crossfade.setAttribute).toHaveBeenCalledWith('aria-valuetext', '6 seconds');
+      expect(elements['crossfade-value'].textContent).toBe('6s');
+      expect(elements.gapless.checked).toBe(true);
+    });
+
+    it('should show Off when crossfade is disabled', () => {
+      mockPlayer.getPlaybackState.mockReturnValue({ crossfade: 0, gapless: false });
+
+      initTransitionControls(mockPlayer);
+
+      expect(elements['crossfade-value'].textContent).toBe('Off');
+    });
+
+    it('should update the player from the inputs', () => {
+      mockPlayer.getPlaybackState.mockReturnValue({ crossfade: 0, gapless: false });
+      initTransitionControls(mockPlayer);
+
+      elements.crossfade.value = '8';
+      elements.crossfade.addEventListener.mock.calls.find(call => call[0] === 'input')[1]();
+      elements.gapless.checked = true;
+      elements.gapless.addEventListener.mock.calls.find(call => call[0] === 'change')[1]();
+
+      expect(mockPlayer.setCrossfade).toHaveBeenCalledWith(8);
+      expect(mockPlayer.setGapless).toHaveBeenCalledWith(true);
+      expect(mockPlayer.on).toHaveBeenCalledWith('transition', expect.any(Function));
+    });
+  });
+
+  describe('initNormalizationSelect', () => {
+    let select;
+
+    beforeEach(() => {
+      select = { value: '', addEventListener: vi.fn() };
+      mockDocument.getElementById.mockImplementation(id => (id === 'normalization' ? select : null));
+    });
+
+    it('should show the current mode and update the player on change', () => {
+      mockPlayer.getPlaybackState.mockReturnValue({ normalization: 'album' });
+
+      initNormalizationSelect(mockPlayer);
+      expect(select.value).toBe('album');
+
+      select.value = 'track';
+      select.addEventListener.mock.calls.find(call => call[0] === 'change')[1]();
+
+      expect(mockPlayer.setNormalization).toHaveBeenCalledWith('track');
+      expect(mockPlayer.on).toHaveBeenCalledWith('normalization', expect.any(Function));
+    });
+  });
+
+  describe('initPlayAllButton', () => {
+    let button;
+
+    beforeEach(() => {
+      button = {
+        textContent: '',
+        classList: { add: vi.fn(), remove: vi.fn() },
+        setAttribute: vi.fn(),
+        addEventListener: vi.fn()
+      };
+      mockDocument.getElementById.mockImplementation(id => (id === 'play-all' ? button : null));
+    });
+
+    it('should name the album Play All covers', () => {
+      mockPlayer.album = { title: 'you know?', songs: mockSongs };
+
+      initPlayAllButton(mockPlayer);
+
+      expect(button.setAttribute).toHaveBeenCalledWith('aria-label', 'Play all songs on you know? in sequence');
+      expect(mockPlayer.on).toHaveBeenCalledWith('album', expect.any(Function));
+    });
+
+    it('should describe a plain song list without an album', () => {
+      initPlayAllButton(mockPlayer);
+
+      expect(button.setAttribute).toHaveBeenCalledWith('aria-label', 'Play all songs in sequence');
+    });
+
+    it('should go back to Play All once the sequence ends', () => {
+      const player = new Player(mockSongs);
+      player.setSequence(true);
+      player.currentIndex = 1;
+      initPlayAllButton(player);
+      expect(button.textContent).toBe('⏸️ Stop All');
+
+      // The last song ended
+      player.continuePlayback();
+
+      expect(button.textContent).toBe('▶️ Play All');
+    });
+  });
+
+  describe('initResumePrompt', () => {
+    let elements;
+
+    beforeEach(() => {
+      elements = {
+        'resume-prompt': { hidden: true },
+        'resume-text': { textContent: '' },
+        'resume-btn': { addEventListener: vi.fn(), setAttribute: vi.fn() },
+        'resume-dismiss': { addEventListener: vi.fn() }
+      };
+      mockDocument.getElementById.mockImplementation(id => elements[id] || null);
+      mockPlayer.songs = mockSongs;
+      mockPlayer.play = vi.fn();
+    });
+
+    it('should offer to resume the saved song without playing it', () => {
+      initResumePrompt(mockPlayer, { index: 1, position: 92 });
+
+      expect(elements['resume-prompt'].hidden).toBe(false);
+      expect(elements['resume-text'].textContent).toBe('Resume where you left off: Test Song 2 at 1:32');
+      expect(mockPlayer.play).not.toHaveBeenCalled();
+    });
+
+    it('should play from the saved position when Resume is clicked', () => {
+      initResumePrompt(mockPlayer, { index: 1, position: 92 });
+      const clickHandler = elements['resume-btn'].addEventListener.mock.calls.find(call => call[0] === 'click')[1];
+      clickHandler();
+
+      expect(mockPlayer.play).toHaveBeenCalledWith(1, false, { startAt: 92 });
+      expect(elements['resume-prompt'].hidden).toBe(true);
+    });
+
+    it('should hide the prompt when dismissed or when another song plays', () => {
+      initResumePrompt(mockPlayer, { index: 0, position: 0 });
+      expect(elements['resume-text'].textContent).toBe('Resume where you left off: Test Song 1');
+
+      const dismissHandler = elements['resume-dismiss'].addEventListener.mock.calls[0][1];
+      dismissHandler();
+      expect(elements['resume-prompt'].hidden).toBe(true);
+
+      expect(mockPlayer.on).toHaveBeenCalledWith('songchange', expect.any(Function));
+    });
+
+    it('should hide the prompt when another album is chosen', () => {
+      initResumePrompt(mockPlayer, { index: 1, position: 92 });
+
+      const albumHandler = mockPlayer.on.mock.calls.find(call => call[0] === 'album')[1];
+      albumHandler();
+
+      expect(elements['resume-prompt'].hidden).toBe(true);
+      expect(mockPlayer.play).not.toHaveBeenCalled();
+    });
+
+    it('should stop listening once hidden', () => {
+      initResumePrompt(mockPlayer, { index: 1, position: 92 });
+      const unsubscribers = mockPlayer.on.mock.results.map(result => result.value);
+
+      const dismissHandler = elements['resume-dismiss'].addEventListener.mock.calls[0][1];
+      dismissHandler();
+
+      expect(unsubscribers).toHaveLength(2);
+      unsubscribers.forEach(unsubscribe => expect(unsubscribe).toHaveBeenCalled());
+    });
+
+    it('should offer to play a song opened from a shared link', () => {
+      initResumePrompt(mockPlayer, { index: 1, position: 92 }, { linked: true });
+
+      expect(elements['resume-text'].textContent).toBe('Shared link: Test Song 2 at 1:32');
+      expect(elements['resume-btn'].textContent).toBe('▶️ Play');
+      expect(elements['resume-btn'].setAttribute).toHaveBeenCalledWith('aria-label', 'Play Test Song 2 at 1:32');
+      expect(mockPlayer.play).not.toHaveBeenCalled();
+    });
+
+    it('should stay hidden without a resume point', () => {
+      initResumePrompt(mockPlayer, null);
+
+      expect(elements['resume-prompt'].hidden).toBe(true);
+    });
+  });
+
+  describe('initStartOverlay', () => {
+    let elements;
+    let playerListeners;
+
+    function emit(type, detail = {}) {
+      (playerListeners[type] || []).forEach(listener => listener({ type, detail }));
+    }
+
+    function documentClickHandler() {
+      const call = mockDocument.addEventListener.mock.calls.find(([type]) => type === 'click');
+      return call ? call[1] : null;
+    }
+
+    beforeEach(() => {
+      playerListeners = {};
+      elements = {
+        'start-overlay': { hidden: true, focus: vi.fn() },
+        'start-text': { textContent: '' }
+      };
+      mockDocument.getElementById.mockImplementation(id => elements[id] || null);
+      mockPlayer.retryBlocked = vi.fn(() => true);
+      mockPlayer.on = vi.fn((type, listener) => {
+        (playerListeners[type] = playerListeners[type] || []).push(listener);
+        return vi.fn();
+      });
+    });
+
+    it('should stay hidden until playback is blocked', () => {
+      initStartOverlay(mockPlayer);
+
+      expect(elements['start-overlay'].hidden).toBe(true);
+      expect(documentClickHandler()).toBeNull();
+    });
+
+    it('should ask for a tap when the browser blocks a song', () => {
+      initStartOverlay(mockPlayer);
+
+      emit('blocked', { index: 1, song: mockSongs[1] });
+
+      expect(elements['start-overlay'].hidden).toBe(false);
+      expect(elements['start-overlay'].focus).toHaveBeenCalled();
+      expect(elements['start-text'].textContent).toBe('Tap to play Test Song 2');
+    });
+
+    it('should retry on the next click anywhere', () => {
+      initStartOverlay(mockPlayer);
+      emit('blocked', { index: 1, song: mockSongs[1] });
+
+      const onClick = documentClickHandler();
+      onClick();
+
+      expect(mockPlayer.retryBlocked).toHaveBeenCalledTimes(1);
+      expect(elements['start-overlay'].hidden).toBe(true);
+      expect(mockDocument.removeEventListener).toHaveBeenCalledWith('click', onClick);
+    });
+
+    it('should go away when playback starts or stops some other way', () => {
+      initStartOverlay(mockPlayer);
+
+      ['play', 'stop', 'album'].forEach((type) => {
+        emit('blocked', { index: 0, song: mockSongs[0] });
+        emit(type);
+
+        expect(elements['start-overlay'].hidden).toBe(true);
+      });
+      expect(mockPlayer.retryBlocked).not.toHaveBeenCalled();
+    });
+
+    it('should work without the overlay in the page', () => {
+      elements = {};
+
+      expect(() => initStartOverlay(mockPlayer)).not.toThrow();
+      expect(mockPlayer.on).not.toHaveBeenCalled();
+    });
+  });
+
   describe('initMuteButton', () => {
     it('should initialize mute button when element exists', () => {
       const mockMuteButton = {
@@ -168,6 +879,26 @@ describe('Controls Module', () => {
       expect(mockMuteButton.addEventListener).toHaveBeenCalledWith('keydown', expect.any(Function));
     });
 
+    it('should follow mute events from the player', () => {
+      const mockMuteButton = {
+        addEventListener: vi.fn(),
+        setAttribute: vi.fn(),
+        textContent: '',
+        classList: { add: vi.fn(), remove: vi.fn() }
+      };
+      mockDocument.getElementById.mockReturnValue(mockMuteButton);
+
+      initMuteButton(mockPlayer);
+      mockMuteButton.addEventListener.mock.calls.find(call => call[0] === 'click')[1]();
+      expect(mockPlayer.toggleMute).toHaveBeenCalled();
+
+      mockPlayer.isMuted = true;
+      mockPlayer.on.mock.calls.find(call => call[0] === 'mute')[1]();
+
+      expect(mockMuteButton.textContent).toBe('🔇 Unmute');
+      expect(mockMuteButton.setAttribute).toHaveBeenCalledWith('aria-label', 'Unmute audio');
+    });
+
     it('should handle missing mute button element gracefully', () => {
       mockDocument.getElementById.mockReturnValue(null);
       
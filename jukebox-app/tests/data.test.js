@@ -1,41 +1,230 @@
 import { describe, it, expect } from 'vitest';
-import { songs } from '../scripts/data.js';
+import { existsSync, readFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { songs, albums } from '../scripts/data.js';
+import { validateAlbum, validateCatalogue, validateSong } from '../scripts/catalogue.js';
+
+// Lyrics paths are relative to index.html, which lives one level above tests/
+const appRoot = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const manifest = JSON.parse(readFileSync(resolve(appRoot, 'songs.json'), 'utf8'));
+
+// A song that passes every rule, for the schema tests to break one at a time
+const validSong = {
+  title: '01 test song',
+  artist: 'oneish',
+  sources: [
+    { src: 'assets/audio/01-test.mp3', type: 'audio/mpeg' },
+    { src: 'assets/audio/01-test.wav', type: 'audio/wav' }
+  ],
+  lyrics: '../lyrics/01-Test.md',
+  bpm: 120,
+  bpmApproximate: false,
+  key: 'F#m'
+};
+
+function errorsFor(song) {
+  return validateSong(song, 'songs[0]');
+}
+
+const validAlbum = {
+  title: 'test album',
+  artist: 'oneish',
+  year: 2024,
+  cover: 'assets/artwork.svg',
+  songs: [validSong]
+};
 
 describe('Data Module', () => {
-  it('should export songs array with 11 items', () => {
-    expect(songs).toBeDefined();
-    expect(Array.isArray(songs)).toBe(true);
-    expect(songs.length).toBe(11);
-  });
+  describe.each([
+    ['songs.json', manifest.albums],
+    ['built-in albums (data.js)', albums]
+  ])('%s', (name, catalogueAlbums) => {
+    const catalogueSongs = catalogueAlbums.flatMap(album => album.songs);
 
-  it('should have songs with required properties', () => {
-    songs.forEach((song) => {
-      expect(song).toHaveProperty('title');
-      expect(song).toHaveProperty('artist');
-      expect(song).toHaveProperty('file');
-      
-      expect(typeof song.title).toBe('string');
-      expect(typeof song.artist).toBe('string');
-      expect(typeof song.file).toBe('string');
-      
-      expect(song.title.length).toBeGreaterThan(0);
-      expect(song.artist.length).toBeGreaterThan(0);
-      expect(song.file.length).toBeGreaterThan(0);
-      
-      // Verify file path format
-      expect(song.file).toMatch(/^assets\/audio\/.*\.mp3$/);
+    it('should pass the catalogue schema', () => {
+      expect(validateCatalogue({ albums: catalogueAlbums })).toEqual([]);
+    });
+
+    it('should give every album cover art that exists', () => {
+      catalogueAlbums.forEach((album) => {
+        expect(existsSync(resolve(appRoot, album.cover))).toBe(true);
+      });
+    });
+
+    it('should only list the WAV files that ship', () => {
+      catalogueSongs.forEach((song) => {
+        // Listing formats that don't exist costs a failed request each
+        expect(song.sources).toEqual([{ src: expect.stringMatching(/^assets\/audio\/.*\.wav$/), type: 'audio/wav' }]);
+      });
+    });
+
+    it('should link every song to an existing lyrics file', () => {
+      catalogueSongs.forEach((song) => {
+        expect(typeof song.lyrics).toBe('string');
+        expect(song.lyrics).toMatch(/^\.\.\/lyrics\/\d{2}-.*\.md$/);
+        expect(song.lyrics.slice(10, 12)).toBe(song.title.slice(0, 2));
+        expect(existsSync(resolve(appRoot, song.lyrics))).toBe(true);
+      });
     });
   });
 
-  it('should have unique song titles', () => {
-    const titles = songs.map(song => song.title);
-    const uniqueTitles = [...new Set(titles)];
-    expect(uniqueTitles.length).toBe(songs.length);
+  it('should build in all 11 songs as one album', () => {
+    expect(songs.length).toBe(11);
+    expect(albums).toHaveLength(1);
+    expect(albums[0].songs).toBe(songs);
   });
 
-  it('should have unique file paths', () => {
-    const files = songs.map(song => song.file);
-    const uniqueFiles = [...new Set(files)];
-    expect(uniqueFiles.length).toBe(songs.length);
+  describe('Catalogue schema', () => {
+    it('should accept a valid song', () => {
+      expect(errorsFor(validSong)).toEqual([]);
+    });
+
+    it('should accept a single file path instead of sources', () => {
+      const { sources, ...song } = validSong;
+      expect(errorsFor({ ...song, file: sources[0].src })).toEqual([]);
+    });
+
+    it('should require a catalogue object with albums', () => {
+      expect(validateCatalogue(null)).toEqual([{ path: 'catalogue', message: 'must be an object with an albums array' }]);
+      expect(validateCatalogue([validAlbum])).toEqual([{ path: 'catalogue', message: 'must be an object with an albums array' }]);
+      expect(validateCatalogue({})).toEqual([{ path: 'albums', message: 'must be a non-empty array' }]);
+      expect(validateCatalogue({ albums: [] })).toEqual([{ path: 'albums', message: 'must be a non-empty array' }]);
+      // The flat format from before albums is no longer accepted
+      expect(validateCatalogue({ songs: [validSong] })).toEqual([{ path: 'albums', message: 'must be a non-empty array' }]);
+    });
+
+    it('should accept a valid album', () => {
+      expect(validateAlbum(validAlbum, 'albums[0]')).toEqual([]);
+    });
+
+    it('should need only a title and songs for an album', () => {
+      expect(validateAlbum({ title: 'test album', songs: [validSong] }, 'albums[0]')).toEqual([]);
+      expect(validateAlbum({}, 'albums[0]')).toEqual([
+        { path: 'albums[0].title', message: 'is required' },
+        { path: 'albums[0].songs', message: 'is required' }
+      ]);
+      expect(validateAlbum(null, 'albums[0]')).toEqual([{ path: 'albums[0]', message: 'must be an object' }]);
+    });
+
+    it('should check album fields', () => {
+      expect(validateAlbum({ ...validAlbum, year: 2024.5, cover: '', songs: [], label: 'x' }, 'albums[0]')).toEqual([
+        { path: 'albums[0].year', message: 'must be a whole number' },
+        { path: 'albums[0].cover', message: 'must be a non-empty string' },
+        { path: 'albums[0].songs', message: 'must be a non-empty array' },
+        { path: 'albums[0].label', message: 'is not a known field' }
+      ]);
+      expect(validateAlbum({ ...validAlbum, year: '2024' }, 'albums[0]')).toEqual([
+        { path: 'albums[0].year', message: 'must be a whole number' }
+      ]);
+    });
+
+    it('should require every song to be an object', () => {
+      expect(errorsFor('01 test song')).toEqual([{ path: 'songs[0]', message: 'must be an object' }]);
+      expect(errorsFor(null)).toEqual([{ path: 'songs[0]', message: 'must be an object' }]);
+    });
+
+    it('should report each missing required field', () => {
+      expect(errorsFor({})).toEqual([
+        { path: 'songs[0].title', message: 'is required' },
+        { path: 'songs[0].artist', message: 'is required' },
+        { path: 'songs[0].sources', message: 'is required' }
+      ]);
+    });
+
+    it('should require non-empty strings for text fields', () => {
+      expect(errorsFor({ ...validSong, title: '' })).toEqual([
+        { path: 'songs[0].title', message: 'must be a non-empty string' }
+      ]);
+      expect(errorsFor({ ...validSong, artist: 42, lyrics: '  ' })).toEqual([
+        { path: 'songs[0].artist', message: 'must be a non-empty string' },
+        { path: 'songs[0].lyrics', message: 'must be a non-empty string' }
+      ]);
+    });
+
+    it('should check tempo, key and gain values', () => {
+      expect(errorsFor({ ...validSong, bpm: 0, bpmApproximate: 'yes', key: 'H', trackGain: '1', albumGain: NaN })).toEqual([
+        { path: 'songs[0].bpm', message: 'must be a positive number' },
+        { path: 'songs[0].bpmApproximate', message: 'must be true or false' },
+        { path: 'songs[0].key', message: 'must be a key such as "Am" or "F#"' },
+        { path: 'songs[0].trackGain', message: 'must be a number' },
+        { path: 'songs[0].albumGain', message: 'must be a number' }
+      ]);
+      expect(errorsFor({ ...validSong, key: 'Bb', trackGain: -6.5, albumGain: 1 })).toEqual([]);
+    });
+
+    it('should reject unknown fields', () => {
+      expect(errorsFor({ ...validSong, tilte: 'typo' })).toEqual([
+        { path: 'songs[0].tilte', message: 'is not a known field' }
+      ]);
+    });
+
+    it('should require a non-empty sources array', () => {
+      expect(errorsFor({ ...validSong, sources: [] })).toEqual([
+        { path: 'songs[0].sources', message: 'must be a non-empty array' }
+      ]);
+      expect(errorsFor({ ...validSong, sources: 'assets/audio/01-test.mp3' })).toEqual([
+        { path: 'songs[0].sources', message: 'must be a non-empty array' }
+      ]);
+    });
+
+    it('should check each source', () => {
+      const sources = [
+        'assets/audio/01-test.mp3',
+        { src: '', type: 'audio/mpeg' },
+        { src: 'assets/audio/01-test.ogg' },
+        { src: 'assets/audio/01-test.flac', type: 'audio/ogg', size: 12 }
+      ];
+
+      expect(errorsFor({ ...validSong, sources })).toEqual([
+        { path: 'songs[0].sources[0]', message: 'must be an object with src and type' },
+        { path: 'songs[0].sources[1].src', message: 'must be a non-empty string' },
+        { path: 'songs[0].sources[2].type', message: 'must be an audio MIME type such as "audio/mpeg"' },
+        { path: 'songs[0].sources[3].size', message: 'is not a known field' },
+        { path: 'songs[0].sources[3].type', message: 'must be "audio/flac" for assets/audio/01-test.flac' }
+      ]);
+    });
+
+    it('should allow audio types for extensions it does not know', () => {
+      const sources = [{ src: 'assets/audio/01-test.m4a', type: 'audio/mp4' }];
+      expect(errorsFor({ ...validSong, sources })).toEqual([]);
+    });
+
+    it('should reject duplicate titles and audio paths', () => {
+      const other = {
+        ...validSong,
+        sources: [{ src: 'assets/audio/02-other.mp3', type: 'audio/mpeg' }, validSong.sources[1]]
+      };
+      const single = { title: '03 single', artist: 'oneish', file: 'assets/audio/02-other.mp3' };
+
+      expect(validateCatalogue({ albums: [{ ...validAlbum, songs: [validSong, other, single] }] })).toEqual([
+        { path: 'albums[0].songs[1].title', message: 'duplicates albums[0].songs[0].title' },
+        { path: 'albums[0].songs[1].sources[1].src', message: 'duplicates albums[0].songs[0].sources[1].src' },
+        { path: 'albums[0].songs[2].file', message: 'duplicates albums[0].songs[1].sources[0].src' }
+      ]);
+    });
+
+    it('should allow the same song title on different albums', () => {
+      const live = { title: 'live album', songs: [{ ...validSong, sources: [{ src: 'assets/audio/live/01-test.mp3', type: 'audio/mpeg' }] }] };
+      expect(validateCatalogue({ albums: [validAlbum, live] })).toEqual([]);
+    });
+
+    it('should reject duplicate album titles and audio paths shared between albums', () => {
+      const copy = { ...validAlbum, year: 2025 };
+      expect(validateCatalogue({ albums: [validAlbum, copy] })).toEqual([
+        { path: 'albums[1].title', message: 'duplicates albums[0].title' },
+        { path: 'albums[1].songs[0].sources[0].src', message: 'duplicates albums[0].songs[0].sources[0].src' },
+        { path: 'albums[1].songs[0].sources[1].src', message: 'duplicates albums[0].songs[0].sources[1].src' }
+      ]);
+    });
+
+    it('should prefix errors with their position in the catalogue', () => {
+      const second = { title: '02 b', artist: '', file: 'assets/audio/02-b.mp3' };
+      expect(validateCatalogue({ albums: [{ title: 'other', songs: [second] }, { ...validAlbum, songs: [validSong, second] }] })).toEqual([
+        { path: 'albums[0].songs[0].artist', message: 'must be a non-empty string' },
+        { path: 'albums[1].songs[1].artist', message: 'must be a non-empty string' },
+        { path: 'albums[1].songs[1].file', message: 'duplicates albums[0].songs[0].file' }
+      ]);
+    });
   });
 });
@@ -0,0 +1,253 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  EQ_FREQUENCIES,
+  EQ_PRESETS,
+  EQ_MAX_GAIN,
+  AudioGraph,
+  clampGain,
+  getFilterType,
+  getBandQ,
+  createFilterSettings,
+  findPreset,
+  formatFrequency
+} from '../scripts/equalizer.js';
+
+function createParam(value = 0) {
+  return { value };
+}
+
+function createNode(extra = {}) {
+  return { connect: vi.fn(), disconnect: vi.fn(), ...extra };
+}
+
+// Records the graph built by AudioGraph without any real Web Audio
+function createFakeContext() {
+  return {
+    state: 'running',
+    destination: createNode(),
+    resume: vi.fn(() => Promise.resolve()),
+    createGain: vi.fn(() => createNode({ gain: createParam(1) })),
+    createBiquadFilter: vi.fn(() => createNode({
+      type: 'lowpass',
+      frequency: createParam(350),
+      Q: createParam(1),
+      gain: createParam(0)
+    })),
+    createMediaElementSource: vi.fn(audio => createNode({ mediaElement: audio })),
+    createAnalyser: vi.fn(() => createNode({ fftSize: 2048 })),
+    createChannelSplitter: vi.fn(() => createNode())
+  };
+}
+
+describe('Equalizer Module', () => {
+  describe('filter math', () => {
+    it('should clamp band gains', () => {
+      expect(clampGain(5)).toBe(5);
+      expect(clampGain(40)).toBe(EQ_MAX_GAIN);
+      expect(clampGain(-40)).toBe(-EQ_MAX_GAIN);
+      expect(clampGain(NaN)).toBe(0);
+    });
+
+    it('should use shelves for the outer bands and peaking filters between', () => {
+      expect([0, 1, 2, 3, 4].map(index => getFilterType(index, 5))).toEqual([
+        'lowshelf', 'peaking', 'peaking', 'peaking', 'highshelf'
+      ]);
+    });
+
+    it('should size peaking bands to reach halfway to their neighbours', () => {
+      // Neighbours two octaves either side give a two-octave band (Q = 2/3)
+      expect(getBandQ([250, 1000, 4000], 1)).toBeCloseTo(2 / 3);
+      // One octave either side gives a one-octave band
+      expect(getBandQ([500, 1000, 2000], 1)).toBeCloseTo(Math.SQRT2);
+      expect(getBandQ([500, 1000, 2000], 0)).toBeCloseTo(Math.SQRT1_2);
+    });
+
+    it('should build settings for every band', () => {
+      const settings = createFilterSettings(EQ_FREQUENCIES, [3, 0, 0, 0, 99]);
+
+      expect(settings).toHaveLength(EQ_FREQUENCIES.length);
+      expect(settings[0]).toMatchObject({ type: 'lowshelf', frequency: 60, gain: 3 });
+      expect(settings[4]).toMatchObject({ type: 'highshelf', frequency: 14000, gain: EQ_MAX_GAIN });
+      settings.forEach(setting => expect(setting.Q).toBeGreaterThan(0));
+    });
+
+    it('should format band frequencies', () => {
+      expect(formatFrequency(60)).toBe('60 Hz');
+      expect(formatFrequency(3600)).toBe('3.6 kHz');
+      expect(formatFrequency(14000)).toBe('14 kHz');
+    });
+  });
+
+  describe('presets', () => {
+    it('should define the named presets with one gain per band', () => {
+      expect(Object.values(EQ_PRESETS).map(preset => preset.name)).toEqual([
+        'Flat', 'Bass Boost', 'Vocal', 'Lo-fi "Jukebox"'
+      ]);
+      Object.values(EQ_PRESETS).forEach((preset) => {
+        expect(preset.gains).toHaveLength(EQ_FREQUENCIES.length);
+        preset.gains.forEach(gain => expect(Math.abs(gain)).toBeLessThanOrEqual(EQ_MAX_GAIN));
+      });
+    });
+
+    it('should find the preset matching a set of gains', () => {
+      expect(findPreset([0, 0, 0, 0, 0])).toBe('flat');
+      expect(findPreset(EQ_PRESETS.jukebox.gains)).toBe('jukebox');
+      expect(findPreset([1, 0, 0, 0, 0])).toBe(null);
+    });
+  });
+
+  describe('AudioGraph', () => {
+    let context;
+    let graph;
+
+    beforeEach(() => {
+      context = createFakeContext();
+      graph = new AudioGraph({ createContext: () => context });
+    });
+
+    it('should not create a context until a song is connected', () => {
+      const createContext = vi.fn(() => context);
+      graph = new AudioGraph({ createContext });
+
+      expect(createContext).not.toHaveBeenCalled();
+      graph.connect({});
+      graph.connect({});
+      expect(createContext).toHaveBeenCalledTimes(1);
+    });
+
+    it('should chain the master gain through the filter bank to the speakers', () => {
+      graph.connect({});
+
+      expect(graph.filters).toHaveLength(EQ_FREQUENCIES.length);
+      expect(graph.masterGain.connect).toHaveBeenCalledWith(graph.filters[0]);
+      expect(graph.filters[0].connect).toHaveBeenCalledWith(graph.filters[1]);
+      expect(graph.filters[4].connect).toHaveBeenCalledWith(context.destination);
+      expect(graph.filters.map(filter => filter.frequency.value)).toEqual(EQ_FREQUENCIES);
+    });
+
+    it('should tap the EQ output with whole-mix and per-channel analysers', () => {
+      expect(graph.getAnalyser()).toBe(null);
+
+      graph.connect({});
+
+      const output = graph.filters[4];
+      const analyser = graph.getAnalyser();
+      const splitter = context.createChannelSplitter.mock.results[0].value;
+      expect(output.connect).toHaveBeenCalledWith(analyser);
+      expect(output.connect).toHaveBeenCalledWith(splitter);
+      expect(splitter.connect).toHaveBeenCalledWith(graph.getChannelAnalysers()[0], 0);
+      expect(splitter.connect).toHaveBeenCalledWith(graph.getChannelAnalysers()[1], 1);
+      expect(analyser.connect).not.toHaveBeenCalled();
+    });
+
+    it('should give each song its own source and gain node', () => {
+      const audio = {};
+      graph.connect(audio);
+
+      const { source, gain } = graph.elements.get(audio);
+      expect(context.createMediaElementSource).toHaveBeenCalledWith(audio);
+      expect(source.connect).toHaveBeenCalledWith(gain);
+      expect(gain.connect).toHaveBeenCalledWith(graph.masterGain);
+
+      graph.setElementVolume(audio, 0.3);
+      expect(gain.gain.value).toBe(0.3);
+    });
+
+    it('should only create one source per element and release it on disconnect', () => {
+      const audio = {};
+      graph.connect(audio);
+      graph.connect(audio);
+      const { source, gain } = graph.elements.get(audio);
+
+      graph.disconnect(audio);
+
+      expect(context.createMediaElementSource).toHaveBeenCalledTimes(1);
+      expect(source.disconnect).toHaveBeenCalled();
+      expect(gain.disconnect).toHaveBeenCalled();
+      expect(graph.isConnected(audio)).toBe(false);
+    });
+
+    it('should resume a suspended context', () => {
+      context.state = 'suspended';
+
+      graph.connect({});
+
+      expect(context.resume).toHaveBeenCalled();
+    });
+
+    describe('resume()', () => {
+      beforeEach(() => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+      });
+
+      afterEach(() => {
+        vi.restoreAllMocks();
+      });
+
+      it('should report a running context, or none yet, as audible', async () => {
+        expect(await graph.resume()).toBe(true);
+
+        graph.connect({});
+        expect(await graph.resume()).toBe(true);
+      });
+
+      it('should resume a suspended context and report whether it runs', async () => {
+        graph.connect({});
+        context.state = 'suspended';
+        context.resume.mockImplementation(async () => {
+          context.state = 'running';
+        });
+
+        expect(await graph.resume()).toBe(true);
+      });
+
+      it('should give up on a context that stays suspended', async () => {
+        graph.connect({});
+        context.state = 'suspended';
+        // Like browsers without a user gesture: the promise never settles
+        context.resume.mockImplementation(() => new Promise(() => {}));
+
+        expect(await graph.resume({ timeout: 1 })).toBe(false);
+      });
+
+      it('should report a context that fails to resume as suspended', async () => {
+        graph.connect({});
+        context.state = 'suspended';
+        context.resume.mockImplementation(() => Promise.reject(new Error('Not allowed')));
+
+        expect(await graph.resume()).toBe(false);
+        expect(console.warn).toHaveBeenCalledWith('Failed to resume audio context:', expect.any(Error));
+      });
+    });
+
+    it('should apply band gains set before the context exists', () => {
+      graph.applyPreset('bass-boost');
+      graph.connect({});
+
+      expect(graph.filters.map(filter => filter.gain.value)).toEqual(EQ_PRESETS['bass-boost'].gains);
+    });
+
+    it('should update filters when bands or presets change', () => {
+      graph.connect({});
+
+      graph.setBandGain(2, 20);
+      expect(graph.filters[2].gain.value).toBe(EQ_MAX_GAIN);
+
+      expect(graph.applyPreset('vocal')).toBe(true);
+      expect(graph.getGains()).toEqual(EQ_PRESETS.vocal.gains);
+      expect(graph.filters[3].gain.value).toBe(EQ_PRESETS.vocal.gains[3]);
+    });
+
+    it('should reject unknown presets and bands', () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(graph.applyPreset('loudness-war')).toBe(false);
+      graph.setBandGain(9, 3);
+
+      expect(graph.getGains()).toEqual([0, 0, 0, 0, 0]);
+      expect(consoleSpy).toHaveBeenCalledWith('Invalid equalizer preset:', 'loudness-war');
+      expect(consoleSpy).toHaveBeenCalledWith('Invalid equalizer band:', 9);
+      consoleSpy.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ErrorLog, MAX_LOG_ENTRIES, formatLogTime, initErrorLogPanel } from '../scripts/error-log.js';
+
+describe('Error Log Module', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = new Date(2026, 9, 19, 14, 3, 9);
+  });
+
+  describe('ErrorLog', () => {
+    it('should keep entries with their time and type, newest first', () => {
+      const log = new ErrorLog({ now: () => clock });
+
+      log.add('network', 'Connection lost');
+      log.add('decode', 'Damaged file');
+
+      expect(log.getEntries()).toEqual([
+        { time: clock, type: 'decode', message: 'Damaged file' },
+        { time: clock, type: 'network', message: 'Connection lost' }
+      ]);
+    });
+
+    it('should drop the oldest entries past the limit', () => {
+      const log = new ErrorLog({ limit: 2 });
+
+      log.add('app', 'one');
+      log.add('app', 'two');
+      log.add('app', 'three');
+
+      expect(log.getEntries().map(entry => entry.message)).toEqual(['three', 'two']);
+      expect(MAX_LOG_ENTRIES).toBe(100);
+    });
+
+    it('should dispatch change when entries are added or cleared', () => {
+      const log = new ErrorLog();
+      const listener = vi.fn();
+      log.addEventListener('change', listener);
+
+      log.add('offline', 'Unable to save');
+      log.clear();
+      log.clear();
+
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(log.getEntries()).toEqual([]);
+    });
+  });
+
+  describe('formatLogTime', () => {
+    it('should show the local time of day', () => {
+      expect(formatLogTime(clock)).toBe('14:03:09');
+    });
+  });
+
+  describe('initErrorLogPanel', () => {
+    let elements;
+    let log;
+
+    function createElement(tagName) {
+      return {
+        tagName,
+        children: [],
+        textContent: '',
+        appendChild(child) {
+          this.children.push(child);
+        }
+      };
+    }
+
+    beforeEach(() => {
+      elements = {
+        'error-log-list': createElement('ol'),
+        'error-log-count': { textContent: '' },
+        'error-log-empty': { hidden: false },
+        'error-log-clear': { disabled: false, addEventListener: vi.fn() }
+      };
+      // Clearing textContent empties a real list
+      Object.defineProperty(elements['error-log-list'], 'textContent', {
+        set() {
+          this.children = [];
+        }
+      });
+      global.document = {
+        getElementById: vi.fn(id => elements[id] || null),
+        createElement: vi.fn(createElement)
+      };
+      log = new ErrorLog({ now: () => clock });
+    });
+
+    it('should start out empty', () => {
+      initErrorLogPanel(log);
+
+      expect(elements['error-log-list'].children).toEqual([]);
+      expect(elements['error-log-count'].textContent).toBe('0');
+      expect(elements['error-log-empty'].hidden).toBe(false);
+      expect(elements['error-log-clear'].disabled).toBe(true);
+    });
+
+    it('should list each entry as it is added', () => {
+      initErrorLogPanel(log);
+
+      log.add('network', 'Connection lost');
+      log.add('not-found', 'Missing file');
+
+      const items = elements['error-log-list'].children;
+      expect(items).toHaveLength(2);
+      expect(items[0].children.map(child => child.textContent)).toEqual(['14:03:09', 'not-found', 'Missing file']);
+      expect(items[0].children[0].dateTime).toBe(clock.toISOString());
+      expect(elements['error-log-count'].textContent).toBe('2');
+      expect(elements['error-log-empty'].hidden).toBe(true);
+      expect(elements['error-log-clear'].disabled).toBe(false);
+    });
+
+    it('should clear the log with the Clear button', () => {
+      initErrorLogPanel(log);
+      log.add('app', 'Something broke');
+
+      const onClick = elements['error-log-clear'].addEventListener.mock.calls.find(call => call[0] === 'click')[1];
+      onClick();
+
+      expect(log.getEntries()).toEqual([]);
+      expect(elements['error-log-list'].children).toEqual([]);
+      expect(elements['error-log-count'].textContent).toBe('0');
+    });
+
+    it('should work without the panel in the page', () => {
+      elements = {};
+
+      expect(() => initErrorLogPanel(log)).not.toThrow();
+    });
+  });
+});
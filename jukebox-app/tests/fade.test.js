@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_CROSSFADE,
+  clampCrossfade,
+  getFadeProgress,
+  fadeInGain,
+  fadeOutGain
+} from '../scripts/fade.js';
+
+describe('Fade Module', () => {
+  describe('clampCrossfade', () => {
+    it('should keep durations between 0 and the maximum', () => {
+      expect(clampCrossfade(5)).toBe(5);
+      expect(clampCrossfade(-3)).toBe(0);
+      expect(clampCrossfade(60)).toBe(MAX_CROSSFADE);
+      expect(MAX_CROSSFADE).toBe(12);
+    });
+
+    it('should return null for values that are not numbers', () => {
+      expect(clampCrossfade(NaN)).toBe(null);
+      expect(clampCrossfade('4')).toBe(null);
+      expect(clampCrossfade(undefined)).toBe(null);
+    });
+  });
+
+  describe('getFadeProgress', () => {
+    it('should measure progress from the start of the fade', () => {
+      expect(getFadeProgress(174, 174, 6)).toBe(0);
+      expect(getFadeProgress(177, 174, 6)).toBe(0.5);
+      expect(getFadeProgress(180, 174, 6)).toBe(1);
+    });
+
+    it('should clamp positions outside the fade', () => {
+      expect(getFadeProgress(170, 174, 6)).toBe(0);
+      expect(getFadeProgress(200, 174, 6)).toBe(1);
+    });
+
+    it('should treat a zero-length fade as finished', () => {
+      expect(getFadeProgress(10, 10, 0)).toBe(1);
+    });
+  });
+
+  describe('fade curves', () => {
+    it('should start and end at the right gains', () => {
+      expect(fadeInGain(0)).toBe(0);
+      expect(fadeInGain(1)).toBe(1);
+      expect(fadeOutGain(0)).toBe(1);
+      expect(fadeOutGain(1)).toBe(0);
+    });
+
+    it('should keep constant power throughout the fade', () => {
+      for (let progress = 0; progress <= 1; progress += 0.1) {
+        const power = fadeInGain(progress) ** 2 + fadeOutGain(progress) ** 2;
+        expect(power).toBeCloseTo(1);
+      }
+    });
+
+    it('should rise and fall monotonically', () => {
+      let previousIn = -1;
+      let previousOut = 2;
+      for (let progress = 0; progress <= 1; progress += 0.05) {
+        expect(fadeInGain(progress)).toBeGreaterThan(previousIn);
+        expect(fadeOutGain(progress)).toBeLessThan(previousOut);
+        previousIn = fadeInGain(progress);
+        previousOut = fadeOutGain(progress);
+      }
+    });
+
+    it('should clamp progress outside 0-1', () => {
+      expect(fadeInGain(-0.5)).toBe(0);
+      expect(fadeInGain(1.5)).toBe(1);
+      expect(fadeOutGain(Infinity)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import { vi } from 'vitest';
+
+// Just enough of the DOM for the panel tests: class selectors (including
+// comma-separated lists), dataset, attributes, a parent chain for
+// closest() and one listener per event type in `handlers`
+export function createElement(tagName) {
+  const classes = new Set();
+  const element = {
+    tagName,
+    children: [],
+    parentNode: null,
+    dataset: {},
+    attributes: {},
+    handlers: {},
+    hidden: false,
+    disabled: false,
+    scrollIntoView: vi.fn(),
+    classList: {
+      add: (...names) => names.forEach(name => classes.add(name)),
+      remove: (...names) => names.forEach(name => classes.delete(name)),
+      contains: name => classes.has(name)
+    },
+    get className() {
+      return [...classes].join(' ');
+    },
+    set className(value) {
+      classes.clear();
+      value.split(' ').filter(Boolean).forEach(name => classes.add(name));
+    },
+    get textContent() {
+      return this.text || this.children.map(child => child.textContent).join('');
+    },
+    set textContent(value) {
+      this.text = value;
+      this.children = [];
+    },
+    appendChild(child) {
+      child.parentNode = this;
+      this.children.push(child);
+    },
+    setAttribute(name, value) {
+      this.attributes[name] = value;
+    },
+    getAttribute(name) {
+      return this.attributes[name];
+    },
+    removeAttribute(name) {
+      delete this.attributes[name];
+    },
+    addEventListener(type, handler) {
+      this.handlers[type] = handler;
+    },
+    focus() {
+      document.activeElement = element;
+    },
+    matches(selector) {
+      return selector.split(',').some(part => classes.has(part.trim().slice(1)));
+    },
+    closest(selector) {
+      for (let node = element; node; node = node.parentNode) {
+        if (node.matches && node.matches(selector)) return node;
+      }
+      return null;
+    },
+    querySelectorAll(selector) {
+      const found = [];
+      const visit = (node) => {
+        node.children.forEach((child) => {
+          if (!child.matches) return;
+          if (child.matches(selector)) found.push(child);
+          visit(child);
+        });
+      };
+      visit(element);
+      return found;
+    }
+  };
+  return element;
+}
+
+export function createTextNode(text) {
+  return { textContent: text };
+}
+
+// A document whose getElementById() finds the entries of `elements`,
+// looked up on each call so tests can add or delete them
+export function createDocument(elements) {
+  return {
+    activeElement: null,
+    createElement,
+    createTextNode,
+    getElementById: vi.fn(id => elements[id] || null)
+  };
+}
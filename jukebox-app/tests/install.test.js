@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { isStandalone, initInstallButton } from '../scripts/install.js';
+
+describe('Install Module', () => {
+  let listeners;
+  let win;
+  let installButton;
+
+  function emit(type, event = {}) {
+    (listeners[type] || []).forEach(listener => listener({ type, ...event }));
+  }
+
+  function click() {
+    installButton.addEventListener.mock.calls.find(call => call[0] === 'click')[1]();
+  }
+
+  function createPromptEvent() {
+    return {
+      preventDefault: vi.fn(),
+      prompt: vi.fn(() => Promise.resolve()),
+      userChoice: Promise.resolve({ outcome: 'accepted' })
+    };
+  }
+
+  beforeEach(() => {
+    listeners = {};
+    win = {
+      navigator: {},
+      matchMedia: vi.fn(() => ({ matches: false })),
+      addEventListener: vi.fn((type, listener) => {
+        (listeners[type] = listeners[type] || []).push(listener);
+      })
+    };
+    installButton = { hidden: false, addEventListener: vi.fn() };
+    global.document = {
+      getElementById: vi.fn(id => (id === 'install-btn' ? installButton : null)),
+      dispatchEvent: vi.fn()
+    };
+  });
+
+  describe('isStandalone', () => {
+    it('should detect the standalone display mode', () => {
+      expect(isStandalone(win)).toBe(false);
+
+      win.matchMedia.mockReturnValue({ matches: true });
+      expect(isStandalone(win)).toBe(true);
+      expect(win.matchMedia).toHaveBeenCalledWith('(display-mode: standalone)');
+    });
+
+    it('should detect iOS home screen apps', () => {
+      win.navigator.standalone = true;
+
+      expect(isStandalone(win)).toBe(true);
+    });
+  });
+
+  describe('initInstallButton', () => {
+    it('should keep the button hidden until the browser offers installation', () => {
+      initInstallButton(win);
+      expect(installButton.hidden).toBe(true);
+
+      const event = createPromptEvent();
+      emit('beforeinstallprompt', event);
+
+      expect(event.preventDefault).toHaveBeenCalled();
+      expect(installButton.hidden).toBe(false);
+    });
+
+    it('should show the saved prompt once when clicked', () => {
+      initInstallButton(win);
+      const event = createPromptEvent();
+      emit('beforeinstallprompt', event);
+
+      click();
+      click();
+
+      expect(event.prompt).toHaveBeenCalledTimes(1);
+      expect(installButton.hidden).toBe(true);
+    });
+
+    it('should offer installation again when the browser fires a new prompt', () => {
+      initInstallButton(win);
+      emit('beforeinstallprompt', createPromptEvent());
+      click();
+
+      emit('beforeinstallprompt', createPromptEvent());
+
+      expect(installButton.hidden).toBe(false);
+    });
+
+    it('should hide the button for good once installed', () => {
+      initInstallButton(win);
+      emit('beforeinstallprompt', createPromptEvent());
+
+      emit('appinstalled');
+      emit('beforeinstallprompt', createPromptEvent());
+
+      expect(installButton.hidden).toBe(true);
+      expect(document.dispatchEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'installchange', detail: { installed: true } })
+      );
+    });
+
+    it('should never show the button when already running as an app', () => {
+      win.matchMedia.mockReturnValue({ matches: true });
+      initInstallButton(win);
+
+      emit('beforeinstallprompt', createPromptEvent());
+
+      expect(installButton.hidden).toBe(true);
+    });
+
+    it('should do nothing without the button', () => {
+      document.getElementById.mockReturnValue(null);
+
+      initInstallButton(win);
+
+      expect(win.addEventListener).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  getAlbumSlug,
+  getAlbumLabel,
+  findAlbumBySlug,
+  findAlbumByTitle,
+  resolveAlbumPoint,
+  selectAlbum,
+  initAlbumPicker
+} from '../scripts/library.js';
+
+describe('Library Module', () => {
+  const studio = {
+    title: 'you know?',
+    artist: 'oneish',
+    cover: 'assets/artwork.svg',
+    songs: [{ title: '01 a' }, { title: '02 b' }, { title: '03 c' }]
+  };
+  const live = {
+    title: 'Live at Home',
+    year: 2025,
+    songs: [{ title: '01 a' }]
+  };
+  const albums = [studio, live];
+
+  describe('getAlbumSlug', () => {
+    it('should slugify the title', () => {
+      expect(getAlbumSlug(studio)).toBe('you-know');
+      expect(getAlbumSlug(live)).toBe('live-at-home');
+    });
+  });
+
+  describe('getAlbumLabel', () => {
+    it('should add the year when it is known', () => {
+      expect(getAlbumLabel(live)).toBe('Live at Home (2025)');
+      expect(getAlbumLabel(studio)).toBe('you know?');
+    });
+  });
+
+  describe('findAlbumBySlug / findAlbumByTitle', () => {
+    it('should find albums', () => {
+      expect(findAlbumBySlug(albums, 'live-at-home')).toBe(live);
+      expect(findAlbumByTitle(albums, 'you know?')).toBe(studio);
+    });
+
+    it('should return null for unknown albums', () => {
+      expect(findAlbumBySlug(albums, 'b-sides')).toBeNull();
+      expect(findAlbumByTitle(albums, 'B-Sides')).toBeNull();
+    });
+  });
+
+  describe('resolveAlbumPoint', () => {
+    it('should find the album of a saved point by title', () => {
+      expect(resolveAlbumPoint(albums, { index: 0, position: 12, album: 'Live at Home' })).toEqual({
+        album: live,
+        index: 0,
+        position: 12
+      });
+    });
+
+    it('should put points without an album on the current album', () => {
+      expect(resolveAlbumPoint(albums, { index: 2, position: 5 })).toEqual({ album: studio, index: 2, position: 5 });
+      expect(resolveAlbumPoint(albums, { index: 0, position: 5 }, live)).toEqual({ album: live, index: 0, position: 5 });
+    });
+
+    it('should drop points whose album or song is gone', () => {
+      expect(resolveAlbumPoint(albums, null)).toBeNull();
+      expect(resolveAlbumPoint(albums, { index: 0, position: 5, album: 'B-Sides' })).toBeNull();
+      expect(resolveAlbumPoint(albums, { index: 1, position: 5, album: 'Live at Home' })).toBeNull();
+    });
+  });
+
+  describe('selectAlbum', () => {
+    it('should swap the song list to another album', () => {
+      const player = { album: studio, setSongList: vi.fn() };
+
+      selectAlbum(player, live);
+
+      expect(player.setSongList).toHaveBeenCalledWith(live.songs, { album: live });
+    });
+
+    it('should leave the player alone when the album is already loaded', () => {
+      const player = { album: studio, setSongList: vi.fn() };
+
+      selectAlbum(player, studio);
+
+      expect(player.setSongList).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('initAlbumPicker', () => {
+    let elements;
+    let playerListeners;
+    let player;
+
+    function emit(type) {
+      (playerListeners[type] || []).forEach(listener => listener({ type }));
+    }
+
+    beforeEach(() => {
+      playerListeners = {};
+      elements = {
+        'album-select': { value: '', children: [], appendChild: vi.fn(function (child) { this.children.push(child); }), addEventListener: vi.fn() },
+        'album-title': { textContent: '' },
+        'album-cover': { src: '', hidden: false }
+      };
+      global.document = {
+        getElementById: vi.fn(id => elements[id] || null),
+        createElement: vi.fn(() => ({}))
+      };
+      player = {
+        album: studio,
+        setSongList: vi.fn((songs, { album }) => {
+          player.album = album;
+          emit('album');
+        }),
+        on: vi.fn((type, listener) => {
+          (playerListeners[type] = playerListeners[type] || []).push(listener);
+          return () => {};
+        })
+      };
+    });
+
+    it('should list every album', () => {
+      initAlbumPicker(player, albums);
+
+      expect(elements['album-select'].children).toEqual([
+        { value: '0', textContent: 'you know?' },
+        { value: '1', textContent: 'Live at Home (2025)' }
+      ]);
+    });
+
+    it('should show the current album', () => {
+      initAlbumPicker(player, albums);
+
+      expect(elements['album-select'].value).toBe('0');
+      expect(elements['album-title'].textContent).toBe('you know?');
+      expect(elements['album-cover']).toMatchObject({ src: 'assets/artwork.svg', hidden: false });
+    });
+
+    it('should switch albums when another is picked', () => {
+      initAlbumPicker(player, albums);
+      const select = elements['album-select'];
+      const onChange = select.addEventListener.mock.calls.find(call => call[0] === 'change')[1];
+
+      select.value = '1';
+      onChange();
+
+      expect(player.setSongList).toHaveBeenCalledWith(live.songs, { album: live });
+      expect(elements['album-title'].textContent).toBe('Live at Home');
+    });
+
+    it('should hide the cover for albums without one', () => {
+      initAlbumPicker(player, albums);
+
+      player.album = live;
+      emit('album');
+
+      expect(elements['album-select'].value).toBe('1');
+      expect(elements['album-cover'].hidden).toBe(true);
+    });
+
+    it('should work without the picker in the page', () => {
+      elements = {};
+
+      expect(() => initAlbumPicker(player, albums)).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,266 @@
+import { describe, it, expect } from 'vitest';
+import {
+  REFERENCE_LOUDNESS,
+  parseWav,
+  getKWeightingCoefficients,
+  getBlockEnergies,
+  getGatedLoudness,
+  toReplayGain,
+  updateSongGains,
+  updateCatalogueGains
+} from '../tools/loudness.js';
+
+// Builds a WAV file in memory from channel arrays of -1..1 samples
+function createWav(channels, sampleRate, { bitsPerSample = 16, float = false } = {}) {
+  const bytesPerSample = bitsPerSample / 8;
+  const frameCount = channels[0].length;
+  const dataSize = frameCount * channels.length * bytesPerSample;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+  const writeTag = (offset, tag) => [...tag].forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+
+  writeTag(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeTag(8, 'WAVE');
+  writeTag(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, float ? 3 : 1, true);
+  view.setUint16(22, channels.length, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channels.length * bytesPerSample, true);
+  view.setUint16(32, channels.length * bytesPerSample, true);
+  view.setUint16(34, bitsPerSample, true);
+  writeTag(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    channels.forEach((samples, channel) => {
+      const offset = 44 + (frame * channels.length + channel) * bytesPerSample;
+      if (float) {
+        view.setFloat32(offset, samples[frame], true);
+      } else if (bitsPerSample === 16) {
+        view.setInt16(offset, Math.round(samples[frame] * 32767), true);
+      } else {
+        const value = Math.round(samples[frame] * 8388607);
+        view.setUint8(offset, value & 0xFF);
+        view.setUint8(offset + 1, (value >> 8) & 0xFF);
+        view.setInt8(offset + 2, value >> 16);
+      }
+    });
+  }
+
+  return new Uint8Array(view.buffer);
+}
+
+function sine(frequency, dbfs, seconds, sampleRate) {
+  const amplitude = Math.pow(10, dbfs / 20);
+  return Float32Array.from({ length: Math.round(seconds * sampleRate) }, (_, i) => (
+    amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate)
+  ));
+}
+
+function measure(channels, sampleRate) {
+  return getGatedLoudness(getBlockEnergies(channels, sampleRate));
+}
+
+describe('Loudness Module', () => {
+  describe('parseWav', () => {
+    it('should read 16-bit stereo PCM', () => {
+      const wav = createWav([[0, 0.5, -0.5], [0.25, -1, 1]], 44100);
+
+      const { sampleRate, channels } = parseWav(wav);
+
+      expect(sampleRate).toBe(44100);
+      expect(channels).toHaveLength(2);
+      expect(Array.from(channels[0]).map(value => Number(value.toFixed(3)))).toEqual([0, 0.5, -0.5]);
+      expect(channels[1][1]).toBeCloseTo(-1, 3);
+    });
+
+    it('should read 24-bit PCM and 32-bit float', () => {
+      const samples = [[0.1, -0.75]];
+
+      expect(parseWav(createWav(samples, 48000, { bitsPerSample: 24 })).channels[0][1]).toBeCloseTo(-0.75, 5);
+      expect(parseWav(createWav(samples, 48000, { bitsPerSample: 32, float: true })).channels[0][0]).toBeCloseTo(0.1, 6);
+    });
+
+    it('should reject files that are not WAV', () => {
+      expect(() => parseWav(new Uint8Array(64))).toThrow('Not a WAV file');
+    });
+  });
+
+  describe('getKWeightingCoefficients', () => {
+    it('should match the BS.1770 coefficients at 48 kHz', () => {
+      const [shelf, highPass] = getKWeightingCoefficients(48000);
+
+      expect(shelf.b[0]).toBeCloseTo(1.53512485958697, 6);
+      expect(shelf.b[1]).toBeCloseTo(-2.69169618940638, 6);
+      expect(shelf.b[2]).toBeCloseTo(1.19839281085285, 6);
+      expect(shelf.a[1]).toBeCloseTo(-1.69065929318241, 6);
+      expect(shelf.a[2]).toBeCloseTo(0.73248077421585, 6);
+      expect(highPass.b).toEqual([1, -2, 1]);
+      expect(highPass.a[1]).toBeCloseTo(-1.99004745483398, 6);
+      expect(highPass.a[2]).toBeCloseTo(0.99007225036621, 6);
+    });
+  });
+
+  describe('getGatedLoudness', () => {
+    const sampleRate = 48000;
+
+    it('should measure a -23 dBFS stereo 1 kHz tone as -23 LUFS', () => {
+      const tone = sine(1000, -23, 5, sampleRate);
+
+      expect(measure([tone, tone], sampleRate)).toBeCloseTo(-23, 1);
+    });
+
+    it('should gate out quiet passages', () => {
+      const loud = sine(1000, -20, 4, sampleRate);
+      const withQuietEnd = Float32Array.from([...loud, ...sine(1000, -60, 4, sampleRate)]);
+
+      expect(measure([withQuietEnd], sampleRate)).toBeCloseTo(measure([loud], sampleRate), 0);
+    });
+
+    it('should return -Infinity for silence', () => {
+      expect(measure([new Float32Array(sampleRate)], sampleRate)).toBe(-Infinity);
+    });
+
+    it('should pool blocks across tracks for album loudness', () => {
+      const quiet = getBlockEnergies([sine(1000, -30, 3, sampleRate)], sampleRate);
+      const loud = getBlockEnergies([sine(1000, -20, 3, sampleRate)], sampleRate);
+      const album = getGatedLoudness([...quiet, ...loud]);
+
+      expect(album).toBeGreaterThan(getGatedLoudness(quiet));
+      expect(album).toBeLessThan(getGatedLoudness(loud));
+    });
+  });
+
+  describe('toReplayGain', () => {
+    it('should bring loudness to the reference level', () => {
+      expect(REFERENCE_LOUDNESS).toBe(-18);
+      expect(toReplayGain(-14)).toBe(-4);
+      expect(toReplayGain(-23.456)).toBe(5.46);
+      expect(toReplayGain(-Infinity)).toBe(0);
+    });
+  });
+
+  describe('updateSongGains', () => {
+    const source = [
+      'export const songs = [',
+      '  {',
+      '    title: \'One\',',
+      '    file: \'assets/audio/01.wav\',',
+      '    key: \'Am\'',
+      '  },',
+      '  {',
+      '    title: \'Two\',',
+      '    file: \'assets/audio/02.wav\',',
+      '    trackGain: 1.5,',
+      '    albumGain: 0.5',
+      '  }',
+      '];'
+    ].join('\n');
+
+    it('should add gains after the last property', () => {
+      const updated = updateSongGains(source, {
+        'assets/audio/01.wav': { trackGain: -3.21, albumGain: -2.5 }
+      });
+
+      expect(updated).toContain([
+        '    key: \'Am\',',
+        '    trackGain: -3.21,',
+        '    albumGain: -2.5',
+        '  },'
+      ].join('\n'));
+    });
+
+    it('should replace existing gains and leave other songs alone', () => {
+      const updated = updateSongGains(source, {
+        'assets/audio/02.wav': { trackGain: -1, albumGain: -2.5 }
+      });
+
+      expect(updated).toContain('    key: \'Am\'\n  },');
+      expect(updated).toContain([
+        '    file: \'assets/audio/02.wav\',',
+        '    trackGain: -1,',
+        '    albumGain: -2.5',
+        '  }'
+      ].join('\n'));
+      expect(updated).not.toContain('1.5');
+    });
+
+    it('should match songs by one of their sources', () => {
+      const withSources = [
+        '  {',
+        '    title: \'One\',',
+        '    sources: [',
+        '      { src: \'assets/audio/01.mp3\', type: \'audio/mpeg\' },',
+        '      { src: \'assets/audio/01.wav\', type: \'audio/wav\' }',
+        '    ],',
+        '    key: \'Am\'',
+        '  }'
+      ].join('\n');
+
+      const updated = updateSongGains(withSources, {
+        'assets/audio/01.wav': { trackGain: -3, albumGain: -2 }
+      });
+
+      expect(updated).toContain('    ],\n    key: \'Am\',\n    trackGain: -3,\n    albumGain: -2\n  }');
+    });
+
+    it('should produce importable JavaScript', async () => {
+      const updated = updateSongGains(source, {
+        'assets/audio/01.wav': { trackGain: -3, albumGain: -2 },
+        'assets/audio/02.wav': { trackGain: 1, albumGain: -2 }
+      });
+      const module = await import(`data:text/javascript,${encodeURIComponent(updated)}`);
+
+      expect(module.songs.map(song => song.trackGain)).toEqual([-3, 1]);
+    });
+  });
+
+  describe('updateCatalogueGains', () => {
+    const catalogue = {
+      albums: [
+        {
+          title: 'First',
+          songs: [
+            { title: 'One', sources: [{ src: 'assets/audio/01.mp3', type: 'audio/mpeg' }, { src: 'assets/audio/01.wav', type: 'audio/wav' }] },
+            { title: 'Two', file: 'assets/audio/02.wav', trackGain: 1.5, albumGain: 0.5 }
+          ]
+        },
+        {
+          title: 'Second',
+          songs: [
+            { title: 'Three', file: 'assets/audio/03.wav' },
+            { title: 'Four', file: 'assets/audio/04.wav' }
+          ]
+        }
+      ]
+    };
+
+    it('should set gains on songs matched by file or source', () => {
+      const updated = updateCatalogueGains(catalogue, {
+        'assets/audio/01.wav': { trackGain: -3, albumGain: -2 },
+        'assets/audio/02.wav': { trackGain: -1, albumGain: -2 }
+      });
+
+      expect(updated.albums[0].songs[0]).toMatchObject({ title: 'One', trackGain: -3, albumGain: -2 });
+      expect(updated.albums[0].songs[1]).toMatchObject({ title: 'Two', trackGain: -1, albumGain: -2 });
+      expect(updated.albums[1].songs[0]).toBe(catalogue.albums[1].songs[0]);
+    });
+
+    it('should update songs on every album and keep album fields', () => {
+      const updated = updateCatalogueGains(catalogue, {
+        'assets/audio/02.wav': { trackGain: -1, albumGain: -2 },
+        'assets/audio/04.wav': { trackGain: 2, albumGain: 1 }
+      });
+
+      expect(updated.albums.map(album => album.title)).toEqual(['First', 'Second']);
+      expect(updated.albums[1].songs[1]).toMatchObject({ title: 'Four', trackGain: 2, albumGain: 1 });
+    });
+
+    it('should leave the original catalogue unchanged', () => {
+      updateCatalogueGains(catalogue, { 'assets/audio/02.wav': { trackGain: -1, albumGain: -2 } });
+
+      expect(catalogue.albums[0].songs[1].trackGain).toBe(1.5);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import { parseTimestamp, parseLrc, findActiveLine } from '../scripts/lrc.js';
+
+describe('LRC Module', () => {
+  describe('parseTimestamp', () => {
+    it('should convert minutes and seconds to seconds', () => {
+      expect(parseTimestamp('01', '32')).toBe(92);
+      expect(parseTimestamp('0', '05')).toBe(5);
+    });
+
+    it('should scale fractions by their number of digits', () => {
+      expect(parseTimestamp('00', '01', '5')).toBeCloseTo(1.5);
+      expect(parseTimestamp('00', '01', '50')).toBeCloseTo(1.5);
+      expect(parseTimestamp('00', '01', '500')).toBeCloseTo(1.5);
+      expect(parseTimestamp('00', '01', '05')).toBeCloseTo(1.05);
+    });
+  });
+
+  describe('parseLrc', () => {
+    it('should parse timed lines in order', () => {
+      const { lines } = parseLrc('[00:12.00]First line\n[00:17.20]Second line');
+
+      expect(lines).toEqual([
+        { time: 12, text: 'First line' },
+        { time: 17.2, text: 'Second line' }
+      ]);
+    });
+
+    it('should read metadata tags', () => {
+      const { metadata, lines } = parseLrc('[ti:Incognito]\n[ar:oneish]\n[al:you know?]\n[00:01.00]Hi');
+
+      expect(metadata).toEqual({ ti: 'Incognito', ar: 'oneish', al: 'you know?' });
+      expect(lines).toHaveLength(1);
+    });
+
+    it('should expand lines with repeated timestamps and sort them', () => {
+      const { lines } = parseLrc('[00:10.00][00:40.00]Chorus\n[00:20.00]Verse');
+
+      expect(lines.map(line => [line.time, line.text])).toEqual([
+        [10, 'Chorus'],
+        [20, 'Verse'],
+        [40, 'Chorus']
+      ]);
+    });
+
+    it('should accept timestamps without fractions or with colon fractions', () => {
+      const { lines } = parseLrc('[01:02]No fraction\n[01:03:50]Colon fraction');
+
+      expect(lines[0].time).toBe(62);
+      expect(lines[1].time).toBeCloseTo(63.5);
+    });
+
+    it('should apply a positive offset by showing lines sooner', () => {
+      const { lines } = parseLrc('[offset:500]\n[00:10.00]Line\n[00:00.20]Intro');
+
+      expect(lines[0].time).toBe(0);
+      expect(lines[1].time).toBeCloseTo(9.5);
+    });
+
+    it('should keep empty timed lines as instrumental breaks', () => {
+      const { lines } = parseLrc('[00:05.00]Sing\n[00:09.00]');
+
+      expect(lines[1]).toEqual({ time: 9, text: '' });
+    });
+
+    it('should handle CRLF line endings and ignore untimed text', () => {
+      const { lines } = parseLrc('Just some text\r\n[00:01.00]Timed\r\n\r\n');
+
+      expect(lines).toEqual([{ time: 1, text: 'Timed' }]);
+    });
+
+    it('should return no lines for plain lyrics', () => {
+      expect(parseLrc('# Incognito\n## ~127 bpm - C\nYou were in my dream').lines).toEqual([]);
+    });
+  });
+
+  describe('findActiveLine', () => {
+    const lines = [
+      { time: 5, text: 'One' },
+      { time: 10, text: 'Two' },
+      { time: 15, text: 'Three' }
+    ];
+
+    it('should return -1 before the first line', () => {
+      expect(findActiveLine(lines, 0)).toBe(-1);
+      expect(findActiveLine(lines, 4.99)).toBe(-1);
+    });
+
+    it('should return the line whose time has most recently passed', () => {
+      expect(findActiveLine(lines, 5)).toBe(0);
+      expect(findActiveLine(lines, 9.9)).toBe(0);
+      expect(findActiveLine(lines, 10)).toBe(1);
+      expect(findActiveLine(lines, 14)).toBe(1);
+    });
+
+    it('should stay on the last line after it starts', () => {
+      expect(findActiveLine(lines, 15)).toBe(2);
+      expect(findActiveLine(lines, 999)).toBe(2);
+    });
+
+    it('should pick the last of several lines sharing a timestamp', () => {
+      const shared = [{ time: 1, text: 'a' }, { time: 1, text: 'b' }, { time: 2, text: 'c' }];
+      expect(findActiveLine(shared, 1.5)).toBe(1);
+    });
+
+    it('should return -1 for an empty list', () => {
+      expect(findActiveLine([], 10)).toBe(-1);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { initLyricsPanel } from '../scripts/lyrics.js';
+import { Player } from '../scripts/player.js';
+import { createElement, createDocument } from './fake-dom.js';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Lyrics Panel Module', () => {
+  const lrc = '[00:00.00]First line\n[00:10.00]Second line\n[00:20.00]Third line';
+  let songs;
+  let player;
+  let elements;
+  let files;
+  let reportError;
+  let consoleSpy;
+
+  const panel = () => elements.lyrics;
+  const lines = () => panel().querySelectorAll('.lyrics-line');
+  const activeLines = () => lines().filter(line => line.classList.contains('active'));
+
+  function changeSong(song) {
+    player.emit('songchange', { song });
+    return flush();
+  }
+
+  function importFile(file) {
+    const input = elements['lrc-import'];
+    input.files = [file];
+    return input.handlers.change();
+  }
+
+  beforeEach(() => {
+    songs = [
+      { title: 'Timed', artist: 'Artist', file: 'timed.mp3', lrc: 'timed.lrc', lyrics: 'timed.md' },
+      { title: 'Static', artist: 'Artist', file: 'static.mp3', lyrics: 'static.md' },
+      { title: 'Silent', artist: 'Artist', file: 'silent.mp3' }
+    ];
+    player = new Player(songs);
+    files = {
+      'timed.lrc': lrc,
+      'timed.md': '# Timed\nFirst line',
+      'static.md': '# Static\nSome words'
+    };
+    elements = {
+      lyrics: createElement('section'),
+      'lrc-import': createElement('input')
+    };
+    reportError = vi.fn();
+    consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    global.document = createDocument(elements);
+    global.fetch = vi.fn(url => Promise.resolve(url in files
+      ? { ok: true, status: 200, text: () => Promise.resolve(files[url]) }
+      : { ok: false, status: 404 }));
+  });
+
+  afterEach(() => {
+    consoleSpy.mockRestore();
+    delete global.fetch;
+  });
+
+  describe('timed lyrics', () => {
+    beforeEach(() => {
+      initLyricsPanel(player, { reportError });
+    });
+
+    it('should show one button per line and highlight the current one', async () => {
+      vi.spyOn(player, 'getPosition').mockReturnValue(12);
+
+      await changeSong(songs[0]);
+
+      expect(panel().classList.contains('timed')).toBe(true);
+      expect(lines().map(line => line.textContent)).toEqual(['First line', 'Second line', 'Third line']);
+      expect(lines()[1].getAttribute('aria-label')).toBe('Seek to 0:10: Second line');
+      expect(activeLines()).toEqual([lines()[1]]);
+      expect(lines()[1].getAttribute('aria-current')).toBe('true');
+      expect(panel().getAttribute('aria-busy')).toBe('false');
+    });
+
+    it('should follow the playback position', async () => {
+      await changeSong(songs[0]);
+      expect(activeLines()).toEqual([lines()[0]]);
+
+      player.emit('position', { position: 25 });
+
+      expect(activeLines()).toEqual([lines()[2]]);
+      expect(lines()[0].getAttribute('aria-current')).toBeUndefined();
+      expect(lines()[2].scrollIntoView).toHaveBeenCalledWith({ behavior: 'smooth', block: 'center' });
+    });
+
+    it('should not scroll again while the same line is playing', async () => {
+      await changeSong(songs[0]);
+      player.emit('position', { position: 11 });
+      player.emit('position', { position: 15 });
+
+      expect(lines()[1].scrollIntoView).toHaveBeenCalledTimes(1);
+    });
+
+    it('should seek to a line when it is clicked', async () => {
+      const seek = vi.spyOn(player, 'seek').mockImplementation(() => {});
+      await changeSong(songs[0]);
+
+      panel().handlers.click({ target: lines()[2] });
+
+      expect(seek).toHaveBeenCalledWith(20);
+    });
+
+    it('should fall back to the static lyrics when the LRC file fails', async () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      delete files['timed.lrc'];
+
+      await changeSong(songs[0]);
+
+      expect(panel().classList.contains('timed')).toBe(false);
+      expect(panel().children[0].tagName).toBe('h3');
+      expect(warnSpy).toHaveBeenCalled();
+      warnSpy.mockRestore();
+    });
+
+    it('should ignore positions when showing static lyrics', async () => {
+      await changeSong(songs[1]);
+
+      expect(() => player.emit('position', { position: 10 })).not.toThrow();
+      expect(lines()).toEqual([]);
+    });
+
+    it('should show a message for songs without lyrics', async () => {
+      await changeSong(songs[2]);
+
+      expect(panel().textContent).toBe('No lyrics available for this song.');
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should keep the lyrics of the newest song when responses arrive out of order', async () => {
+      player.emit('songchange', { song: songs[0] });
+      await changeSong(songs[1]);
+
+      expect(panel().classList.contains('timed')).toBe(false);
+      expect(panel().textContent).toBe('StaticSome words');
+    });
+  });
+
+  describe('importing LRC files', () => {
+    const lrcFile = (text, name = 'song.lrc') => ({ name, text: () => Promise.resolve(text) });
+
+    beforeEach(() => {
+      initLyricsPanel(player, { reportError });
+    });
+
+    it('should show the imported lines for the playing song', async () => {
+      await changeSong(songs[1]);
+
+      await importFile(lrcFile('[00:05.00]Imported'));
+
+      expect(lines().map(line => line.textContent)).toEqual(['Imported']);
+      expect(elements['lrc-import'].value).toBe('');
+      expect(reportError).not.toHaveBeenCalled();
+    });
+
+    it('should use the imported lines when the song plays again', async () => {
+      await changeSong(songs[2]);
+      await importFile(lrcFile('[00:05.00]Imported'));
+
+      await changeSong(songs[1]);
+      await changeSong(songs[2]);
+
+      expect(lines().map(line => line.textContent)).toEqual(['Imported']);
+    });
+
+    it('should ask for a song to be playing first', async () => {
+      await importFile(lrcFile('[00:05.00]Imported'));
+
+      expect(reportError).toHaveBeenCalledWith('lyrics', 'Play a song before importing timed lyrics.');
+      expect(lines()).toEqual([]);
+    });
+
+    it('should report files without timed lines', async () => {
+      await changeSong(songs[1]);
+
+      await importFile(lrcFile('just words', 'notes.txt'));
+
+      expect(reportError).toHaveBeenCalledWith('lyrics', 'Error: "notes.txt" does not contain any timed lyrics');
+      expect(lines()).toEqual([]);
+    });
+
+    it('should report files that cannot be read', async () => {
+      await changeSong(songs[1]);
+      const file = { name: 'broken.lrc', text: () => Promise.reject(new Error('NotReadableError')) };
+
+      await expect(importFile(file)).resolves.toBeUndefined();
+
+      expect(reportError).toHaveBeenCalledWith('lyrics', 'Error: Unable to read "broken.lrc"');
+      expect(consoleSpy).toHaveBeenCalledWith('Failed to read lyrics file:', expect.any(Error));
+      expect(lines()).toEqual([]);
+    });
+
+    it('should ignore an empty selection', async () => {
+      await changeSong(songs[1]);
+      elements['lrc-import'].files = [];
+
+      await elements['lrc-import'].handlers.change();
+
+      expect(reportError).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should clear the lyrics when playback stops', async () => {
+    initLyricsPanel(player, { reportError });
+    await changeSong(songs[0]);
+
+    player.emit('stop');
+
+    expect(lines()).toEqual([]);
+    expect(panel().classList.contains('timed')).toBe(false);
+    expect(panel().textContent).toBe('Lyrics appear here when a song is playing.');
+  });
+
+  it('should do nothing without a lyrics panel', () => {
+    delete elements.lyrics;
+
+    expect(() => initLyricsPanel(player, { reportError })).not.toThrow();
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { parseInline, parseMarkdown, renderMarkdown } from '../scripts/markdown.js';
+
+// Minimal element mock that records children in order
+function createMockElement(tagName) {
+  return {
+    tagName: tagName.toUpperCase(),
+    children: [],
+    textContent: '',
+    appendChild: vi.fn(function (child) {
+      this.children.push(child);
+      return child;
+    })
+  };
+}
+
+describe('Markdown Module', () => {
+  describe('parseInline', () => {
+    it('should return plain text as a single segment', () => {
+      expect(parseInline('She might be a scientist')).toEqual([
+        { text: 'She might be a scientist', strong: false }
+      ]);
+    });
+
+    it('should split bold text into strong segments', () => {
+      expect(parseInline('**intro** and **verse**')).toEqual([
+        { text: 'intro', strong: true },
+        { text: ' and ', strong: false },
+        { text: 'verse', strong: true }
+      ]);
+    });
+
+    it('should leave unmatched asterisks as text', () => {
+      expect(parseInline('**open')).toEqual([
+        { text: '**open', strong: false }
+      ]);
+    });
+
+    it('should return no segments for empty text', () => {
+      expect(parseInline('')).toEqual([]);
+    });
+  });
+
+  describe('parseMarkdown', () => {
+    it('should parse headings with their level', () => {
+      const blocks = parseMarkdown('# Incognito\n## ~127 bpm\t- C');
+
+      expect(blocks).toEqual([
+        { type: 'heading', level: 1, content: [{ text: 'Incognito', strong: false }] },
+        { type: 'heading', level: 2, content: [{ text: '~127 bpm\t- C', strong: false }] }
+      ]);
+    });
+
+    it('should group consecutive lines into paragraphs', () => {
+      const blocks = parseMarkdown('Line one  \nLine two  \n\nLine three  ');
+
+      expect(blocks).toHaveLength(2);
+      expect(blocks[0].type).toBe('paragraph');
+      expect(blocks[0].lines).toEqual([
+        [{ text: 'Line one', strong: false }],
+        [{ text: 'Line two', strong: false }]
+      ]);
+      expect(blocks[1].lines).toEqual([[{ text: 'Line three', strong: false }]]);
+    });
+
+    it('should handle CRLF line endings', () => {
+      const blocks = parseMarkdown('# Title\r\nFirst  \r\nSecond  \r\n\r\nThird');
+
+      expect(blocks).toHaveLength(3);
+      expect(blocks[1].lines).toHaveLength(2);
+      expect(blocks[1].lines[0][0].text).toBe('First');
+    });
+
+    it('should preserve leading tabs in chord lines', () => {
+      const blocks = parseMarkdown('**verse**  \n\t\tAm\tEm\tDm\tAm  ');
+
+      expect(blocks[0].lines[0]).toEqual([{ text: 'verse', strong: true }]);
+      expect(blocks[0].lines[1]).toEqual([{ text: '\t\tAm\tEm\tDm\tAm', strong: false }]);
+    });
+
+    it('should not treat a hash without a space as a heading', () => {
+      const blocks = parseMarkdown('#hashtag');
+
+      expect(blocks[0].type).toBe('paragraph');
+    });
+
+    it('should return no blocks for empty input', () => {
+      expect(parseMarkdown('')).toEqual([]);
+      expect(parseMarkdown('\n\n')).toEqual([]);
+    });
+  });
+
+  describe('renderMarkdown', () => {
+    beforeEach(() => {
+      global.document = {
+        createElement: vi.fn(createMockElement),
+        createTextNode: vi.fn((text) => ({ nodeType: 3, textContent: text }))
+      };
+    });
+
+    it('should render headings and paragraphs as elements', () => {
+      const container = createMockElement('div');
+      renderMarkdown(container, parseMarkdown('# Title\nLine one\nLine two'));
+
+      expect(container.children).toHaveLength(2);
+      expect(container.children[0].tagName).toBe('H1');
+      expect(container.children[0].children[0].textContent).toBe('Title');
+
+      const paragraph = container.children[1];
+      expect(paragraph.tagName).toBe('P');
+      expect(paragraph.children.map(child => child.tagName || child.textContent)).toEqual([
+        'Line one', 'BR', 'Line two'
+      ]);
+    });
+
+    it('should offset heading levels and cap them at h6', () => {
+      const container = createMockElement('div');
+      renderMarkdown(container, parseMarkdown('# One\n###### Six'), 2);
+
+      expect(container.children[0].tagName).toBe('H3');
+      expect(container.children[1].tagName).toBe('H6');
+    });
+
+    it('should render bold segments as strong elements', () => {
+      const container = createMockElement('div');
+      renderMarkdown(container, parseMarkdown('**chorus**'));
+
+      const strong = container.children[0].children[0];
+      expect(strong.tagName).toBe('STRONG');
+      expect(strong.textContent).toBe('chorus');
+    });
+
+    it('should insert markup as text instead of HTML', () => {
+      const container = createMockElement('div');
+      container.innerHTML = '';
+      renderMarkdown(container, parseMarkdown('<img src=x onerror="alert(1)">'));
+
+      expect(container.innerHTML).toBe('');
+      expect(document.createElement).not.toHaveBeenCalledWith('img');
+      expect(document.createTextNode).toHaveBeenCalledWith('<img src=x onerror="alert(1)">');
+    });
+
+    it('should clear existing content before rendering', () => {
+      const container = createMockElement('div');
+      container.textContent = 'old lyrics';
+      renderMarkdown(container, []);
+
+      expect(container.textContent).toBe('');
+      expect(container.appendChild).not.toHaveBeenCalled();
+    });
+  });
+});
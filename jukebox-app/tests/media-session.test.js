@@ -0,0 +1,274 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  ALBUM_TITLE,
+  ARTWORK,
+  COVER_SIZE,
+  getArtwork,
+  getSongMetadata,
+  getPositionState,
+  getSessionPlaybackState,
+  initMediaSession
+} from '../scripts/media-session.js';
+import { PLAYBACK_STATES } from '../scripts/playback-state.js';
+
+describe('Media Session Module', () => {
+  let listeners;
+  let mediaSession;
+  let handlers;
+  let player;
+  const song = { title: 'First Song', artist: 'Artist A', file: 'song1.mp3' };
+
+  function emit(type, detail) {
+    (listeners[type] || []).forEach(listener => listener({ type, detail }));
+  }
+
+  function init() {
+    initMediaSession(player, {
+      mediaSession,
+      createMetadata: init => ({ ...init, isMetadata: true })
+    });
+  }
+
+  beforeEach(() => {
+    listeners = {};
+
+    handlers = {};
+    mediaSession = {
+      metadata: null,
+      playbackState: 'none',
+      setActionHandler: vi.fn((action, handler) => {
+        handlers[action] = handler;
+      }),
+      setPositionState: vi.fn()
+    };
+
+    player = {
+      getCurrentSong: vi.fn(() => song),
+      getPosition: vi.fn(() => 30),
+      getDuration: vi.fn(() => 180),
+      playAll: vi.fn(),
+      resume: vi.fn(),
+      pause: vi.fn(),
+      stop: vi.fn(),
+      seek: vi.fn(),
+      next: vi.fn(),
+      previous: vi.fn(),
+      hasNext: vi.fn(() => true),
+      hasPrevious: vi.fn(() => true),
+      on: vi.fn((type, listener) => {
+        (listeners[type] = listeners[type] || []).push(listener);
+        return () => {};
+      })
+    };
+  });
+
+  describe('getSongMetadata', () => {
+    it('should describe the song as part of the album', () => {
+      expect(getSongMetadata(song)).toEqual({
+        title: 'First Song',
+        artist: 'Artist A',
+        album: 'you know?',
+        artwork: ARTWORK
+      });
+      expect(ALBUM_TITLE).toBe('you know?');
+    });
+
+    it('should use the title and cover of the song\'s album', () => {
+      const album = { title: 'Live at Home', cover: 'assets/live.jpg', songs: [song] };
+
+      expect(getSongMetadata(song, album)).toEqual({
+        title: 'First Song',
+        artist: 'Artist A',
+        album: 'Live at Home',
+        artwork: [{ src: 'assets/live.jpg', sizes: '512x512', type: 'image/jpeg' }]
+      });
+      expect(getSongMetadata(song, { title: 'No Cover', songs: [song] }).artwork).toBe(ARTWORK);
+    });
+  });
+
+  describe('getArtwork', () => {
+    it('should let SVG artwork scale to any size', () => {
+      expect(getArtwork('assets/artwork.svg')).toEqual({ src: 'assets/artwork.svg', sizes: 'any', type: 'image/svg+xml' });
+      expect(ARTWORK).toEqual([getArtwork('assets/artwork.svg')]);
+    });
+
+    it('should give raster covers the cover size and their image type', () => {
+      expect(getArtwork('assets/cover.PNG')).toEqual({ src: 'assets/cover.PNG', sizes: COVER_SIZE, type: 'image/png' });
+      expect(getArtwork('covers/live.jpeg?v=2').type).toBe('image/jpeg');
+      expect(getArtwork('covers/live.webp').type).toBe('image/webp');
+    });
+
+    it('should leave out the type of unknown images', () => {
+      expect(getArtwork('covers/live')).toEqual({ src: 'covers/live', sizes: COVER_SIZE });
+    });
+  });
+
+  describe('getSessionPlaybackState', () => {
+    it('should map each player state', () => {
+      expect(PLAYBACK_STATES.map(getSessionPlaybackState)).toEqual([
+        'none', 'playing', 'playing', 'paused', 'playing', 'paused', 'paused'
+      ]);
+    });
+  });
+
+  describe('getPositionState', () => {
+    it('should clamp the position to the song', () => {
+      expect(getPositionState(30, 180)).toEqual({ duration: 180, playbackRate: 1, position: 30 });
+      expect(getPositionState(200, 180).position).toBe(180);
+      expect(getPositionState(-1, 180).position).toBe(0);
+    });
+
+    it('should return null while the duration is unknown', () => {
+      expect(getPositionState(0, NaN)).toBe(null);
+      expect(getPositionState(0, Infinity)).toBe(null);
+      expect(getPositionState(0, 0)).toBe(null);
+    });
+  });
+
+  describe('initMediaSession', () => {
+    it('should do nothing without a media session', () => {
+      initMediaSession(player, { mediaSession: null });
+
+      expect(player.on).not.toHaveBeenCalled();
+    });
+
+    it('should register the transport actions', () => {
+      init();
+
+      expect(Object.keys(handlers)).toEqual(['play', 'pause', 'stop', 'previoustrack', 'nexttrack', 'seekto']);
+    });
+
+    it('should control the player from the actions', () => {
+      init();
+
+      handlers.play();
+      handlers.pause();
+      handlers.stop();
+      handlers.previoustrack();
+      handlers.nexttrack();
+      handlers.seekto({ action: 'seekto', seekTime: 92 });
+
+      expect(player.resume).toHaveBeenCalled();
+      expect(player.pause).toHaveBeenCalled();
+      expect(player.stop).toHaveBeenCalled();
+      expect(player.previous).toHaveBeenCalled();
+      expect(player.next).toHaveBeenCalled();
+      expect(player.seek).toHaveBeenCalledWith(92);
+    });
+
+    it('should start Play All when play is pressed with nothing loaded', () => {
+      player.getCurrentSong.mockReturnValue(null);
+      init();
+
+      handlers.play();
+
+      expect(player.playAll).toHaveBeenCalled();
+      expect(player.resume).not.toHaveBeenCalled();
+    });
+
+    it('should ignore track keys with nowhere to go', () => {
+      player.hasNext.mockReturnValue(false);
+      player.hasPrevious.mockReturnValue(false);
+      init();
+
+      handlers.nexttrack();
+      handlers.previoustrack();
+
+      expect(player.next).not.toHaveBeenCalled();
+      expect(player.previous).not.toHaveBeenCalled();
+    });
+
+    it('should keep going when an action is not supported', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      mediaSession.setActionHandler.mockImplementation((action, handler) => {
+        if (action === 'stop') throw new TypeError('Unknown action');
+        handlers[action] = handler;
+      });
+
+      init();
+
+      expect(handlers.seekto).toBeDefined();
+      expect(warnSpy).toHaveBeenCalledWith('Media session action "stop" is not supported:', expect.any(TypeError));
+      warnSpy.mockRestore();
+    });
+
+    it('should publish metadata and position when a song starts', () => {
+      init();
+
+      emit('songchange', { index: 0, song });
+
+      expect(mediaSession.metadata).toEqual({ ...getSongMetadata(song), isMetadata: true });
+      expect(mediaSession.setPositionState).toHaveBeenCalledWith({ duration: 180, playbackRate: 1, position: 30 });
+    });
+
+    it('should name the album from the songchange event', () => {
+      const album = { title: 'Live at Home', cover: 'assets/live.jpg', songs: [song] };
+      init();
+
+      emit('songchange', { index: 0, song, album });
+
+      expect(mediaSession.metadata).toEqual({ ...getSongMetadata(song, album), isMetadata: true });
+      expect(mediaSession.metadata.album).toBe('Live at Home');
+    });
+
+    it('should follow the playback state', () => {
+      init();
+
+      emit('statechange', { previous: 'idle', next: 'loading' });
+      expect(mediaSession.playbackState).toBe('playing');
+
+      emit('statechange', { previous: 'playing', next: 'paused' });
+      expect(mediaSession.playbackState).toBe('paused');
+
+      emit('statechange', { previous: 'paused', next: 'playing' });
+      expect(mediaSession.playbackState).toBe('playing');
+
+      emit('statechange', { previous: 'playing', next: 'idle' });
+      expect(mediaSession.playbackState).toBe('none');
+    });
+
+    it('should show a song that ended, failed or was blocked as paused', () => {
+      init();
+
+      ['ended', 'error'].forEach((next) => {
+        emit('statechange', { previous: 'playing', next: 'loading' });
+        emit('statechange', { previous: 'playing', next });
+        expect(mediaSession.playbackState).toBe('paused');
+      });
+
+      // A blocked song waits in the paused state
+      emit('statechange', { previous: 'idle', next: 'loading' });
+      emit('statechange', { previous: 'loading', next: 'paused' });
+      expect(mediaSession.playbackState).toBe('paused');
+    });
+
+    it('should update the position on pause and resume, and clear the session on stop', () => {
+      init();
+      emit('songchange', { index: 0, song });
+      mediaSession.setPositionState.mockClear();
+
+      emit('pause', { index: 0, song });
+      emit('play', { index: 0, song });
+      expect(mediaSession.setPositionState).toHaveBeenCalledTimes(2);
+
+      emit('stop');
+      expect(mediaSession.metadata).toBe(null);
+      expect(mediaSession.setPositionState).toHaveBeenLastCalledWith();
+    });
+
+    it('should update the position as the song plays', () => {
+      init();
+
+      emit('position', { position: 95, duration: 200 });
+
+      expect(mediaSession.setPositionState).toHaveBeenLastCalledWith({ duration: 200, playbackRate: 1, position: 95 });
+    });
+
+    it('should work without setPositionState', () => {
+      delete mediaSession.setPositionState;
+      init();
+
+      expect(() => emit('position', { position: 95, duration: 200 })).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { parseSongHeader, parseLyricsMetadata, formatSongMeta } from '../scripts/metadata.js';
+import { songs } from '../scripts/data.js';
+
+const appRoot = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+describe('Metadata Module', () => {
+  describe('parseSongHeader', () => {
+    // Second line of each file in /lyrics, verbatim
+    const headers = [
+      ['## ~127 bpm\t- Am', { bpm: 127, bpmApproximate: true, key: 'Am' }],
+      ['## ~127 bpm\t- C', { bpm: 127, bpmApproximate: true, key: 'C' }],
+      ['## ~107 bpm\t- Gm', { bpm: 107, bpmApproximate: true, key: 'Gm' }],
+      ['# ~137 bpm - Bb', { bpm: 137, bpmApproximate: true, key: 'Bb' }],
+      ['## 119 bpm - Am', { bpm: 119, bpmApproximate: false, key: 'Am' }],
+      ['## ~129 bpm\t- C', { bpm: 129, bpmApproximate: true, key: 'C' }],
+      ['## ~109 bpm - Gm', { bpm: 109, bpmApproximate: true, key: 'Gm' }],
+      ['## ~99 bpm - Bb', { bpm: 99, bpmApproximate: true, key: 'Bb' }],
+      ['## ~121 bpm - Am', { bpm: 121, bpmApproximate: true, key: 'Am' }],
+      ['## ~131 bpm - C', { bpm: 131, bpmApproximate: true, key: 'C' }],
+      ['## ~111 bpm - Gm', { bpm: 111, bpmApproximate: true, key: 'Gm' }]
+    ];
+
+    headers.forEach(([header, expected]) => {
+      it(`should parse ${JSON.stringify(header)}`, () => {
+        expect(parseSongHeader(header)).toEqual(expected);
+      });
+    });
+
+    it('should tolerate trailing whitespace and carriage returns', () => {
+      expect(parseSongHeader('## ~127 bpm\t- Am  \r')).toEqual({
+        bpm: 127, bpmApproximate: true, key: 'Am'
+      });
+    });
+
+    it('should accept sharps, uppercase BPM and no heading marker', () => {
+      expect(parseSongHeader('~90 BPM - F#m')).toEqual({
+        bpm: 90, bpmApproximate: true, key: 'F#m'
+      });
+    });
+
+    it('should return partial metadata when only one field is present', () => {
+      expect(parseSongHeader('## 120 bpm')).toEqual({ bpm: 120, bpmApproximate: false, key: null });
+      expect(parseSongHeader('## - Gm')).toEqual({ bpm: null, bpmApproximate: false, key: 'Gm' });
+    });
+
+    it('should return null for lines without metadata', () => {
+      expect(parseSongHeader('She might be a scientist')).toBeNull();
+      expect(parseSongHeader('')).toBeNull();
+      expect(parseSongHeader(undefined)).toBeNull();
+    });
+  });
+
+  describe('parseLyricsMetadata', () => {
+    it('should read metadata from the line below the title', () => {
+      const source = '# Incognito\r\n## ~127 bpm\t- C\r\nYou were in my dream last night  \r\n';
+      expect(parseLyricsMetadata(source)).toEqual({ bpm: 127, bpmApproximate: true, key: 'C' });
+    });
+
+    it('should match the metadata stored in data.js for every song', () => {
+      songs.forEach((song) => {
+        const source = readFileSync(resolve(appRoot, song.lyrics), 'utf8');
+        expect(parseLyricsMetadata(source)).toEqual({
+          bpm: song.bpm,
+          bpmApproximate: song.bpmApproximate,
+          key: song.key
+        });
+      });
+    });
+  });
+
+  describe('formatSongMeta', () => {
+    it('should format approximate and exact tempos', () => {
+      expect(formatSongMeta({ bpm: 127, bpmApproximate: true, key: 'Am' })).toBe('~127 BPM · Am');
+      expect(formatSongMeta({ bpm: 119, bpmApproximate: false, key: 'Am' })).toBe('119 BPM · Am');
+    });
+
+    it('should return an empty string for songs without metadata', () => {
+      expect(formatSongMeta({ title: 'Song 1', artist: 'Artist 1' })).toBe('');
+    });
+  });
+});
@@ -0,0 +1,313 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { readdirSync, readFileSync } from 'fs';
+import { runInNewContext } from 'vm';
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  SHELL_FILES,
+  AUDIO_CACHE,
+  getOptionalFiles,
+  cacheOptionalFiles,
+  parseRange,
+  createRangeResponse,
+  sliceStream,
+  pinSong,
+  unpinSong,
+  isSongPinned
+} from '../scripts/offline-cache.js';
+
+const appRoot = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+const chunksOf = strings => strings.map(chunk => new TextEncoder().encode(chunk));
+
+// In-memory CacheStorage; `missing` lists URLs the "network" 404s on
+function createCacheStorage(missing = []) {
+  const caches = new Map();
+
+  return {
+    caches,
+    async open(name) {
+      if (!caches.has(name)) {
+        const entries = new Map();
+        caches.set(name, {
+          entries,
+          async add(url) {
+            if (missing.includes(url)) throw new TypeError(`Request failed: ${url}`);
+            entries.set(url, new Response(`audio of ${url}`));
+          },
+          async delete(url) {
+            return entries.delete(url);
+          },
+          async match(url) {
+            return entries.get(url);
+          }
+        });
+      }
+      return caches.get(name);
+    }
+  };
+}
+
+describe('Offline Cache Module', () => {
+  describe('SHELL_FILES', () => {
+    it('should precache every script in the app', () => {
+      const scripts = readdirSync(resolve(appRoot, 'scripts')).map(file => `scripts/${file}`);
+
+      scripts.forEach((script) => {
+        expect(SHELL_FILES).toContain(script);
+      });
+    });
+  });
+
+  describe('classic service worker', () => {
+    it('should not use module syntax in sw.js', () => {
+      const source = readFileSync(resolve(appRoot, 'sw.js'), 'utf8');
+
+      expect(source).not.toMatch(/^\s*(import|export)\b/m);
+      expect(source).toContain('importScripts(\'scripts/worker-cache.js\')');
+    });
+
+    it('should run worker-cache.js as a classic script', () => {
+      const source = readFileSync(resolve(appRoot, 'scripts/worker-cache.js'), 'utf8');
+      const scope = {};
+
+      runInNewContext(source, scope);
+
+      expect(scope.jukeboxWorkerCache.SHELL_FILES).toEqual(SHELL_FILES);
+      expect(scope.jukeboxWorkerCache.AUDIO_CACHE).toBe(AUDIO_CACHE);
+    });
+  });
+
+  describe('getOptionalFiles', () => {
+    it('should list each album cover once', () => {
+      const files = getOptionalFiles([
+        { title: 'First', cover: 'assets/artwork.svg', songs: [{ title: 'A', lyrics: '../lyrics/01-A.md' }] },
+        { title: 'Second', cover: 'assets/second.jpg', songs: [{ title: 'B' }] },
+        { title: 'Third', cover: 'assets/artwork.svg', songs: [{ title: 'C' }] },
+        { title: 'Fourth', songs: [{ title: 'D' }] }
+      ]);
+
+      expect(files).toEqual(['assets/artwork.svg', 'assets/second.jpg']);
+    });
+
+    it('should leave out lyrics, which are outside the worker\'s scope', () => {
+      const files = getOptionalFiles([{
+        title: 'Album',
+        songs: [{ title: 'B', lyrics: '../lyrics/02-B.md', lrc: '../lyrics/02-B.lrc' }]
+      }]);
+
+      expect(files).toEqual([]);
+    });
+
+    it('should skip anything that is not a path', () => {
+      expect(getOptionalFiles(undefined)).toEqual([]);
+      expect(getOptionalFiles([null, { cover: 42 }, { cover: '' }, { cover: 'assets/a.png' }])).toEqual(['assets/a.png']);
+    });
+  });
+
+  describe('cacheOptionalFiles', () => {
+    it('should cache the files it can and skip the others', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const cacheStorage = createCacheStorage(['assets/gone.jpg']);
+      const cache = await cacheStorage.open('shell');
+
+      const cached = await cacheOptionalFiles(cache, ['assets/artwork.svg', 'assets/gone.jpg', 'assets/second.jpg']);
+
+      expect(cached).toEqual(['assets/artwork.svg', 'assets/second.jpg']);
+      expect([...cache.entries.keys()]).toEqual(['assets/artwork.svg', 'assets/second.jpg']);
+      expect(console.warn).toHaveBeenCalledWith('Could not precache optional file:', 'assets/gone.jpg', expect.any(TypeError));
+      vi.restoreAllMocks();
+    });
+  });
+
+
+
+  describe('parseRange', () => {
+    it('should parse closed and open-ended ranges', () => {
+      expect(parseRange('bytes=0-99', 1000)).toEqual({ start: 0, end: 99 });
+      expect(parseRange('bytes=500-', 1000)).toEqual({ start: 500, end: 999 });
+    });
+
+    it('should parse suffix ranges', () => {
+      expect(parseRange('bytes=-100', 1000)).toEqual({ start: 900, end: 999 });
+      expect(parseRange('bytes=-5000', 1000)).toEqual({ start: 0, end: 999 });
+    });
+
+    it('should clamp the end to the body', () => {
+      expect(parseRange('bytes=900-2000', 1000)).toEqual({ start: 900, end: 999 });
+    });
+
+    it('should mark ranges past the end as unsatisfiable', () => {
+      const range = parseRange('bytes=1000-', 1000);
+
+      expect(range.start).toBeGreaterThan(range.end);
+    });
+
+    it('should return null for headers it does not handle', () => {
+      expect(parseRange(null, 1000)).toBe(null);
+      expect(parseRange('bytes=-', 1000)).toBe(null);
+      expect(parseRange('bytes=0-1,5-6', 1000)).toBe(null);
+      expect(parseRange('items=0-5', 1000)).toBe(null);
+    });
+  });
+
+  describe('createRangeResponse', () => {
+    const body = '0123456789';
+
+    function cached() {
+      return new Response(body, { headers: { 'Content-Type': 'audio/mpeg' } });
+    }
+
+    it('should return a byte range as 206 Partial Content', async () => {
+      const response = await createRangeResponse(cached(), 'bytes=2-5');
+
+      expect(response.status).toBe(206);
+      expect(response.headers.get('Content-Range')).toBe('bytes 2-5/10');
+      expect(response.headers.get('Content-Length')).toBe('4');
+      expect(response.headers.get('Content-Type')).toBe('audio/mpeg');
+      expect(await response.text()).toBe('2345');
+    });
+
+    it('should return the whole body without a Range header', async () => {
+      const response = await createRangeResponse(cached(), null);
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('Accept-Ranges')).toBe('bytes');
+      expect(await response.text()).toBe(body);
+    });
+
+    it('should answer 416 for unsatisfiable ranges', async () => {
+      const response = await createRangeResponse(cached(), 'bytes=20-');
+
+      expect(response.status).toBe(416);
+      expect(response.headers.get('Content-Range')).toBe('bytes */10');
+    });
+
+    describe('with a Content-Length', () => {
+      // `body` in chunks of three bytes
+      function streamed() {
+        const source = { chunks: chunksOf(['012', '345', '678', '9']), cancelled: false };
+        const stream = new ReadableStream({
+          pull(controller) {
+            if (source.chunks.length > 0) {
+              controller.enqueue(source.chunks.shift());
+            } else {
+              controller.close();
+            }
+          },
+          cancel() {
+            source.cancelled = true;
+          }
+        });
+        const response = new Response(stream, {
+          headers: { 'Content-Type': 'audio/mpeg', 'Content-Length': String(body.length) }
+        });
+        return { response, source };
+      }
+
+      it('should stream the range without reading the rest of the song', async () => {
+        const { response: stored, source } = streamed();
+
+        const response = await createRangeResponse(stored, 'bytes=4-6');
+
+        expect(response.status).toBe(206);
+        expect(response.headers.get('Content-Range')).toBe('bytes 4-6/10');
+        expect(response.headers.get('Content-Length')).toBe('3');
+        expect(await response.text()).toBe('456');
+        expect(source.cancelled).toBe(true);
+      });
+
+      it('should stream ranges running to the end', async () => {
+        const response = await createRangeResponse(streamed().response, 'bytes=-4');
+
+        expect(response.headers.get('Content-Range')).toBe('bytes 6-9/10');
+        expect(await response.text()).toBe('6789');
+      });
+
+      it('should stream the whole song without a Range header', async () => {
+        const response = await createRangeResponse(streamed().response, null);
+
+        expect(response.status).toBe(200);
+        expect(response.headers.get('Content-Length')).toBe('10');
+        expect(await response.text()).toBe(body);
+      });
+
+      it('should answer 416 from the header alone', async () => {
+        const response = await createRangeResponse(streamed().response, 'bytes=10-');
+
+        expect(response.status).toBe(416);
+        expect(response.headers.get('Content-Range')).toBe('bytes */10');
+      });
+    });
+  });
+
+  describe('sliceStream', () => {
+    function streamOf(chunks) {
+      return new ReadableStream({
+        start(controller) {
+          chunksOf(chunks).forEach(chunk => controller.enqueue(chunk));
+          controller.close();
+        }
+      });
+    }
+
+    const read = stream => new Response(stream).text();
+
+    it('should cut ranges across chunk boundaries', async () => {
+      expect(await read(sliceStream(streamOf(['01', '2345', '67', '89']), 3, 6))).toBe('3456');
+      expect(await read(sliceStream(streamOf(['01', '2345', '67', '89']), 2, 5))).toBe('2345');
+      expect(await read(sliceStream(streamOf(['0123456789']), 0, 0))).toBe('0');
+    });
+
+    it('should stop at the end of a shorter body', async () => {
+      expect(await read(sliceStream(streamOf(['01', '23']), 2, 9))).toBe('23');
+    });
+  });
+
+  describe('pinning songs', () => {
+    const song = {
+      title: 'Multi',
+      artist: 'Artist',
+      sources: [
+        { src: 'a.ogg', type: 'audio/ogg' },
+        { src: 'a.mp3', type: 'audio/mpeg' },
+        { src: 'a.wav', type: 'audio/wav' }
+      ]
+    };
+    // No Ogg, like Safari
+    const canPlayType = type => (type === 'audio/ogg' ? '' : 'maybe');
+    let cacheStorage;
+
+    beforeEach(() => {
+      cacheStorage = createCacheStorage(['a.mp3']);
+    });
+
+    it('should cache the first playable source the network delivers', async () => {
+      const src = await pinSong(song, { cacheStorage, canPlayType });
+      const cache = await cacheStorage.open(AUDIO_CACHE);
+
+      expect(src).toBe('a.wav');
+      expect([...cache.entries.keys()]).toEqual(['a.wav']);
+      expect(await isSongPinned(song, { cacheStorage })).toBe(true);
+    });
+
+    it('should fail when no source can be cached', async () => {
+      await expect(pinSong(song, { cacheStorage, canPlayType: () => '' }))
+        .rejects.toThrow('No playable source for "Multi"');
+      await expect(pinSong({ ...song, sources: [song.sources[1]] }, { cacheStorage, canPlayType }))
+        .rejects.toThrow('Request failed: a.mp3');
+    });
+
+    it('should remove every source when unpinned', async () => {
+      await pinSong(song, { cacheStorage, canPlayType });
+
+      await unpinSong(song, { cacheStorage });
+
+      expect(await isSongPinned(song, { cacheStorage })).toBe(false);
+    });
+
+    it('should report songs that were never pinned', async () => {
+      expect(await isSongPinned({ title: 'Single', file: 'b.mp3' }, { cacheStorage })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,294 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { Player } from '../scripts/player.js';
+import {
+  STORAGE_KEY,
+  createMemoryStorage,
+  loadState,
+  saveState,
+  captureState,
+  initPersistence
+} from '../scripts/persistence.js';
+
+class MockAudio {
+  constructor(src) {
+    this.src = src;
+    this.volume = 1;
+    this.currentTime = 0;
+    this.duration = 180;
+  }
+
+  addEventListener() {}
+
+  async play() {}
+
+  pause() {}
+}
+
+global.Audio = MockAudio;
+
+describe('Persistence Module', () => {
+  let listeners;
+  let storage;
+  let player;
+  const mockSongs = [
+    { title: 'First Song', artist: 'Artist A', file: 'song1.mp3' },
+    { title: 'Second Song', artist: 'Artist B', file: 'song2.mp3' },
+    { title: 'Third Song', artist: 'Artist C', file: 'song3.mp3' }
+  ];
+
+  // Stands in for an event from the player, without waiting for audio
+  function emit(type) {
+    player.dispatchEvent(new CustomEvent(type, { detail: {} }));
+  }
+
+  function emitDocument(type) {
+    (listeners[type] || []).forEach(listener => listener({ type }));
+  }
+
+  function saved() {
+    return JSON.parse(storage.getItem(STORAGE_KEY));
+  }
+
+  beforeEach(() => {
+    listeners = {};
+    global.document = {
+      visibilityState: 'visible',
+      addEventListener: vi.fn((type, listener) => {
+        (listeners[type] = listeners[type] || []).push(listener);
+      })
+    };
+    storage = createMemoryStorage();
+    player = new Player(mockSongs);
+  });
+
+  describe('createMemoryStorage', () => {
+    it('should behave like Web Storage', () => {
+      const memory = createMemoryStorage({ a: '1' });
+
+      expect(memory.getItem('a')).toBe('1');
+      expect(memory.getItem('missing')).toBe(null);
+      memory.setItem('b', 2);
+      expect(memory.getItem('b')).toBe('2');
+      memory.removeItem('a');
+      expect(memory.getItem('a')).toBe(null);
+    });
+  });
+
+  describe('loadState', () => {
+    it('should return null when nothing was saved', () => {
+      expect(loadState(storage)).toBe(null);
+    });
+
+    it('should round-trip saved state', () => {
+      const state = {
+        volume: 0.4,
+        isMuted: true,
+        mode: 'shuffle',
+        crossfade: 6,
+        gapless: true,
+        normalization: 'album',
+        index: 2,
+        position: 61.5
+      };
+      saveState(storage, state);
+
+      expect(loadState(storage)).toEqual(state);
+    });
+
+    it('should drop malformed fields and keep valid ones', () => {
+      storage.setItem(STORAGE_KEY, JSON.stringify({
+        volume: 3, isMuted: 'yes', mode: 'loop-forever', crossfade: 30, gapless: 1, index: 1, position: -5
+      }));
+
+      expect(loadState(storage)).toEqual({ index: 1, position: 0 });
+    });
+
+    it('should keep the album of the saved song', () => {
+      saveState(storage, { index: 1, position: 20, album: 'you know?' });
+      expect(loadState(storage)).toEqual({ index: 1, position: 20, album: 'you know?' });
+
+      saveState(storage, { index: 1, position: 20, album: 7 });
+      expect(loadState(storage)).toEqual({ index: 1, position: 20 });
+    });
+
+    it('should ignore unreadable JSON', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      storage.setItem(STORAGE_KEY, '{not json');
+
+      expect(loadState(storage)).toBe(null);
+      expect(warnSpy).toHaveBeenCalled();
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('saveState', () => {
+    it('should not throw when storage is full', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const fullStorage = {
+        setItem: () => {
+          throw new Error('QuotaExceededError');
+        }
+      };
+
+      expect(() => saveState(fullStorage, { volume: 1 })).not.toThrow();
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('captureState', () => {
+    it('should capture settings without a song when nothing is playing', () => {
+      player.setVolume(0.3);
+
+      expect(captureState(player)).toEqual({
+        volume: 0.3, isMuted: false, mode: 'normal', crossfade: 0, gapless: false, normalization: 'off'
+      });
+    });
+
+    it('should capture the current song and position', () => {
+      player.play(1);
+      player.audio.currentTime = 75;
+
+      expect(captureState(player)).toMatchObject({ index: 1, position: 75 });
+    });
+
+    it('should save a finished song as starting from the beginning', () => {
+      player.play(1);
+      player.audio.currentTime = 179.8;
+
+      expect(captureState(player).position).toBe(0);
+    });
+
+    it('should capture the album of the current song', () => {
+      const albumPlayer = new Player(mockSongs, { album: { title: 'you know?', songs: mockSongs } });
+      albumPlayer.play(1);
+
+      expect(captureState(albumPlayer)).toMatchObject({ index: 1, album: 'you know?' });
+    });
+  });
+
+  describe('initPersistence', () => {
+    it('should restore volume, mute and mode without playing anything', () => {
+      saveState(storage, {
+        volume: 0.25,
+        isMuted: true,
+        mode: 'repeat-all',
+        crossfade: 4,
+        gapless: true,
+        normalization: 'track',
+        index: 2,
+        position: 40
+      });
+
+      const resumePoint = initPersistence(player, { storage });
+
+      expect(player.volume).toBe(0.25);
+      expect(player.isMuted).toBe(true);
+      expect(player.mode).toBe('repeat-all');
+      expect(player.crossfade).toBe(4);
+      expect(player.gapless).toBe(true);
+      expect(player.normalization).toBe('track');
+      expect(player.audio).toBe(null);
+      expect(player.currentIndex).toBe(null);
+      expect(resumePoint).toEqual({ index: 2, position: 40 });
+    });
+
+    it('should not offer to resume a song that no longer exists', () => {
+      saveState(storage, { index: 7, position: 10 });
+
+      expect(initPersistence(player, { storage })).toBe(null);
+    });
+
+    it('should check resume points against the current album', () => {
+      const albumPlayer = new Player(mockSongs, { album: { title: 'you know?', songs: mockSongs } });
+
+      saveState(storage, { index: 2, position: 40, album: 'you know?' });
+      expect(initPersistence(albumPlayer, { storage })).toEqual({ index: 2, position: 40 });
+
+      saveState(storage, { index: 7, position: 40, album: 'you know?' });
+      expect(initPersistence(albumPlayer, { storage })).toBe(null);
+    });
+
+    it('should leave resume points on other albums for the caller to check', () => {
+      const albumPlayer = new Player(mockSongs, { album: { title: 'you know?', songs: mockSongs } });
+      saveState(storage, { index: 7, position: 40, album: 'Live at Home' });
+
+      expect(initPersistence(albumPlayer, { storage })).toEqual({ index: 7, position: 40, album: 'Live at Home' });
+    });
+
+    it('should save when settings change', () => {
+      initPersistence(player, { storage });
+
+      player.setMode('shuffle');
+
+      expect(saved()).toMatchObject({ volume: 1, isMuted: false, mode: 'shuffle' });
+
+      player.setCrossfade(8);
+
+      expect(saved().crossfade).toBe(8);
+
+      player.mute();
+
+      expect(saved().isMuted).toBe(true);
+    });
+
+    it('should save the volume as soon as it changes', () => {
+      initPersistence(player, { storage });
+
+      player.setVolume(0.6);
+
+      expect(saved().volume).toBe(0.6);
+    });
+
+    it('should save the position when the page is hidden', () => {
+      initPersistence(player, { storage });
+      player.play(1);
+      emit('songchange');
+      player.audio.currentTime = 42;
+
+      document.visibilityState = 'hidden';
+      emitDocument('visibilitychange');
+
+      expect(saved()).toMatchObject({ index: 1, position: 42 });
+    });
+
+    it('should keep the resume point until another song plays', () => {
+      saveState(storage, { index: 2, position: 40 });
+      initPersistence(player, { storage });
+
+      player.setVolume(0.5);
+      player.mute();
+      expect(saved()).toMatchObject({ volume: 0.5, isMuted: true, index: 2, position: 40 });
+
+      player.play(0);
+      emit('songchange');
+      expect(saved()).toMatchObject({ index: 0, position: 0 });
+    });
+
+    it('should forget the song once playback is stopped', () => {
+      saveState(storage, { index: 2, position: 40 });
+      initPersistence(player, { storage });
+
+      emit('stop');
+
+      expect(saved().index).toBeUndefined();
+    });
+
+    it('should throttle position saves', () => {
+      const nowSpy = vi.spyOn(Date, 'now').mockReturnValue(10000);
+      initPersistence(player, { storage, saveInterval: 5000 });
+      player.play(0);
+      emit('songchange');
+
+      player.audio.currentTime = 2;
+      nowSpy.mockReturnValue(12000);
+      emit('position');
+      expect(saved().position).toBe(0);
+
+      player.audio.currentTime = 6;
+      nowSpy.mockReturnValue(15000);
+      emit('position');
+      expect(saved().position).toBe(6);
+      nowSpy.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  ERROR_TYPES,
+  MEDIA_ERROR_CODES,
+  MAX_NETWORK_RETRIES,
+  classifyMediaError,
+  fetchSourceStatus,
+  isMissingStatus,
+  getRetryDelay,
+  describePlaybackError,
+  describeRetry
+} from '../scripts/playback-errors.js';
+
+describe('Playback Errors Module', () => {
+  const song = { title: '03 the time machine', artist: 'oneish' };
+
+  it('should list the error types', () => {
+    expect(ERROR_TYPES).toEqual(['network', 'decode', 'unsupported', 'blocked', 'not-found']);
+  });
+
+  describe('classifyMediaError', () => {
+    it('should map MediaError codes to error types', () => {
+      expect(classifyMediaError({ code: MEDIA_ERROR_CODES.NETWORK })).toBe('network');
+      expect(classifyMediaError({ code: MEDIA_ERROR_CODES.DECODE })).toBe('decode');
+      expect(classifyMediaError({ code: MEDIA_ERROR_CODES.SRC_NOT_SUPPORTED })).toBe('unsupported');
+    });
+
+    it('should keep aborted loads apart from the error types', () => {
+      expect(classifyMediaError({ code: MEDIA_ERROR_CODES.ABORTED })).toBe('aborted');
+      expect(ERROR_TYPES).not.toContain('aborted');
+    });
+
+    it('should call errors without a known code decode errors', () => {
+      expect(classifyMediaError(null)).toBe('decode');
+      expect(classifyMediaError(new Error('Playback failed'))).toBe('decode');
+      expect(classifyMediaError({ code: 99 })).toBe('decode');
+    });
+  });
+
+  describe('fetchSourceStatus / isMissingStatus', () => {
+    it('should send a HEAD request and resolve to its status', async () => {
+      const fetchSource = vi.fn(async () => ({ status: 404 }));
+
+      await expect(fetchSourceStatus('music/03.mp3', fetchSource)).resolves.toBe(404);
+      expect(fetchSource).toHaveBeenCalledWith('music/03.mp3', { method: 'HEAD' });
+    });
+
+    it('should treat 404 and 410 as missing', () => {
+      expect(isMissingStatus(404)).toBe(true);
+      expect(isMissingStatus(410)).toBe(true);
+      expect(isMissingStatus(200)).toBe(false);
+      expect(isMissingStatus(500)).toBe(false);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('should double the wait for each attempt', () => {
+      expect([1, 2, 3].map(attempt => getRetryDelay(attempt))).toEqual([1000, 2000, 4000]);
+    });
+
+    it('should cap the wait', () => {
+      expect(getRetryDelay(10)).toBe(8000);
+      expect(getRetryDelay(3, { base: 500, max: 1500 })).toBe(1500);
+    });
+
+    it('should retry a few times by default', () => {
+      expect(MAX_NETWORK_RETRIES).toBe(3);
+    });
+  });
+
+  describe('describePlaybackError', () => {
+    it('should name the song and the reason', () => {
+      expect(describePlaybackError('network', song)).toBe('Error: Unable to play "03 the time machine" by oneish (network problem)');
+      expect(describePlaybackError('decode', song)).toBe('Error: Unable to play "03 the time machine" by oneish (the file is damaged)');
+      expect(describePlaybackError('unsupported', song)).toBe('Error: Unable to play "03 the time machine" by oneish (no supported audio format)');
+      expect(describePlaybackError('not-found', song)).toBe('Error: Unable to play "03 the time machine" by oneish (the file is missing)');
+    });
+
+    it('should describe blocked songs as waiting rather than failed', () => {
+      expect(describePlaybackError('blocked', song)).toBe('"03 the time machine" is waiting for a tap to start');
+    });
+  });
+
+  describe('describeRetry', () => {
+    it('should say when the next attempt comes', () => {
+      expect(describeRetry({ song, attempt: 2, delay: 2000 })).toBe('Connection lost: retrying "03 the time machine" in 2s (attempt 2 of 3)');
+    });
+  });
+});
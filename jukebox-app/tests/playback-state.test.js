@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PLAYBACK_STATES,
+  STATE_TRANSITIONS,
+  canTransition,
+  isPlayingState,
+  isPausableState
+} from '../scripts/playback-state.js';
+
+// Every allowed transition, spelled out again so a change to the table
+// has to be made on purpose
+const ALLOWED = [
+  'idle -> loading',
+  'loading -> playing',
+  'loading -> paused',
+  'loading -> error',
+  'loading -> idle',
+  'playing -> paused',
+  'playing -> buffering',
+  'playing -> ended',
+  'playing -> error',
+  'playing -> idle',
+  'playing -> loading',
+  'paused -> playing',
+  'paused -> error',
+  'paused -> idle',
+  'paused -> loading',
+  'buffering -> playing',
+  'buffering -> paused',
+  'buffering -> ended',
+  'buffering -> error',
+  'buffering -> idle',
+  'buffering -> loading',
+  'error -> idle',
+  'error -> loading',
+  'ended -> playing',
+  'ended -> idle',
+  'ended -> loading'
+];
+
+describe('Playback State Module', () => {
+  it('should list the seven states', () => {
+    expect(PLAYBACK_STATES).toEqual(['idle', 'loading', 'playing', 'paused', 'buffering', 'error', 'ended']);
+    expect(Object.isFrozen(PLAYBACK_STATES)).toBe(true);
+  });
+
+  it('should have a frozen row for every state', () => {
+    expect(Object.keys(STATE_TRANSITIONS)).toEqual(PLAYBACK_STATES);
+    PLAYBACK_STATES.forEach((state) => {
+      expect(Object.isFrozen(STATE_TRANSITIONS[state])).toBe(true);
+    });
+    expect(Object.isFrozen(STATE_TRANSITIONS)).toBe(true);
+  });
+
+  describe('canTransition', () => {
+    PLAYBACK_STATES.forEach((from) => {
+      PLAYBACK_STATES.forEach((to) => {
+        const allowed = ALLOWED.includes(`${from} -> ${to}`);
+
+        it(`should ${allowed ? 'allow' : 'reject'} ${from} -> ${to}`, () => {
+          expect(canTransition(from, to)).toBe(allowed);
+        });
+      });
+    });
+
+    it('should only lead to known states', () => {
+      Object.values(STATE_TRANSITIONS).flat().forEach((state) => {
+        expect(PLAYBACK_STATES).toContain(state);
+      });
+    });
+
+    it('should reject unknown states', () => {
+      expect(canTransition('stopped', 'idle')).toBe(false);
+      expect(canTransition('idle', 'stopped')).toBe(false);
+      expect(canTransition('toString', 'idle')).toBe(false);
+    });
+  });
+
+  describe('isPlayingState', () => {
+    it('should count buffering as playing', () => {
+      expect(PLAYBACK_STATES.filter(isPlayingState)).toEqual(['playing', 'buffering']);
+    });
+  });
+
+  describe('isPausableState', () => {
+    it('should let a loading song be paused too', () => {
+      expect(PLAYBACK_STATES.filter(isPausableState)).toEqual(['loading', 'playing', 'buffering']);
+    });
+  });
+});
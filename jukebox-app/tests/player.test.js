@@ -1,5 +1,5 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { Player } from '../scripts/player.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Player, PLAYER_EVENTS, PLAYER_EVENTS_VERSION, isAutoplayBlocked } from '../scripts/player.js';
 
 // Mock Audio constructor
 class MockAudio {
@@ -47,6 +47,17 @@ class MockAudio {
     this.paused = true;
   }
 
+  load() {
+    this.currentTime = 0;
+    this.ended = false;
+  }
+
+  removeAttribute(name) {
+    if (name === 'src') {
+      this.src = '';
+    }
+  }
+
   triggerEnded() {
     this.ended = true;
     this.dispatchEvent(new Event('ended'));
@@ -63,6 +74,17 @@ global.Audio = MockAudio;
 describe('Player Class', () => {
   let player;
   let mockSongs;
+  let events;
+
+  // Records every event `target` dispatches, in order. State changes have
+  // tests of their own.
+  function recordEvents(target) {
+    const recorded = [];
+    PLAYER_EVENTS.filter(type => type !== 'statechange').forEach((type) => {
+      target.on(type, event => recorded.push({ type, detail: event.detail }));
+    });
+    return recorded;
+  }
 
   beforeEach(() => {
     mockSongs = [
@@ -71,12 +93,64 @@ describe('Player Class', () => {
       { title: 'Song 3', artist: 'Artist 3', file: 'song3.mp3' }
     ];
     player = new Player(mockSongs);
-    
-    // Mock document.getElementById and document.dispatchEvent
-    global.document = {
-      getElementById: vi.fn(() => ({ textContent: '' })),
-      dispatchEvent: vi.fn()
-    };
+    events = recordEvents(player);
+  });
+
+  describe('events', () => {
+    it('should publish a versioned list of event names', () => {
+      expect(PLAYER_EVENTS_VERSION).toBe(1);
+      expect(PLAYER_EVENTS).toEqual(expect.arrayContaining([
+        'songchange', 'play', 'pause', 'stop', 'ended', 'error', 'volume', 'mute', 'mode', 'queue'
+      ]));
+      expect(Object.isFrozen(PLAYER_EVENTS)).toBe(true);
+    });
+
+    it('should be an EventTarget', () => {
+      const listener = vi.fn();
+      player.addEventListener('mode', listener);
+
+      player.setMode('shuffle');
+
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ type: 'mode', detail: { mode: 'shuffle' } }));
+    });
+
+    it('should unsubscribe with off() or the function on() returns', () => {
+      const first = vi.fn();
+      const second = vi.fn();
+      const unsubscribe = player.on('volume', first);
+      player.on('volume', second);
+
+      unsubscribe();
+      player.off('volume', second);
+      player.setVolume(0.5);
+
+      expect(first).not.toHaveBeenCalled();
+      expect(second).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown event names', () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const listener = vi.fn();
+
+      const unsubscribe = player.on('volumechange', listener);
+      player.setVolume(0.5);
+
+      expect(consoleSpy).toHaveBeenCalledWith('Invalid player event:', 'volumechange');
+      expect(listener).not.toHaveBeenCalled();
+      expect(() => unsubscribe()).not.toThrow();
+      consoleSpy.mockRestore();
+    });
+
+    it('should run without a document', async () => {
+      expect(typeof document).toBe('undefined');
+
+      player.play(0);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      player.pause();
+      player.stop();
+
+      expect(events.map(event => event.type)).toEqual(['songchange', 'play', 'pause', 'stop']);
+    });
   });
 
   describe('Constructor', () => {
@@ -84,6 +158,7 @@ describe('Player Class', () => {
       expect(player.songs).toBe(mockSongs);
       expect(player.audio).toBeNull();
       expect(player.currentIndex).toBeNull();
+      expect(player.state).toBe('idle');
       expect(player.isPlaying).toBe(false);
       expect(player.isMuted).toBe(false);
       expect(player.volume).toBe(1.0);
@@ -133,19 +208,31 @@ describe('Player Class', () => {
       expect(player.isSequence).toBe(false);
     });
 
-    it('should dispatch songchange event', async () => {
+    it('should start part-way through when given startAt', async () => {
+      await player.play(1, false, { startAt: 42.5 });
+
+      expect(player.audio.currentTime).toBe(42.5);
+    });
+
+    it('should dispatch songchange and play events', async () => {
       await player.play(0);
       await new Promise(resolve => setTimeout(resolve, 1));
       
-      expect(document.dispatchEvent).toHaveBeenCalledWith(
-        expect.objectContaining({
-          type: 'songchange',
-          detail: expect.objectContaining({
-            index: 0,
-            song: mockSongs[0]
-          })
-        })
-      );
+      expect(events).toEqual([
+        { type: 'songchange', detail: { index: 0, song: mockSongs[0], album: null } },
+        { type: 'play', detail: { index: 0, song: mockSongs[0] } }
+      ]);
+    });
+
+    it('should dispatch ended before moving on', async () => {
+      player.playAll();
+      await new Promise(resolve => setTimeout(resolve, 1));
+      events.length = 0;
+
+      player.audio.triggerEnded();
+
+      expect(events[0]).toEqual({ type: 'ended', detail: { index: 0, song: mockSongs[0] } });
+      expect(player.currentIndex).toBe(1);
     });
   });
 
@@ -163,6 +250,38 @@ describe('Player Class', () => {
       player.pause();
       expect(player.audio).toBeNull();
     });
+
+    it('should dispatch pause event', async () => {
+      await player.play(0);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      player.pause();
+
+      expect(events).toContainEqual({ type: 'pause', detail: { index: 0, song: mockSongs[0] } });
+    });
+
+    it('should hold back a song that is still loading', async () => {
+      player.play(1);
+      expect(player.state).toBe('loading');
+
+      player.pause();
+      await new Promise(resolve => setTimeout(resolve, 1));
+
+      expect(player.state).toBe('paused');
+      expect(player.audio.paused).toBe(true);
+      expect(events).toEqual([{ type: 'pause', detail: { index: 1, song: mockSongs[1] } }]);
+    });
+
+    it('should start a song paused while loading when it is resumed', async () => {
+      player.play(1);
+      player.pause();
+      await new Promise(resolve => setTimeout(resolve, 1));
+
+      player.resume();
+      await new Promise(resolve => setTimeout(resolve, 1));
+
+      expect(player.state).toBe('playing');
+      expect(events.map(event => event.type)).toEqual(['pause', 'songchange', 'play']);
+    });
   });
 
   describe('resume() method', () => {
@@ -176,6 +295,75 @@ describe('Player Class', () => {
       
       expect(player.isPlaying).toBe(true);
     });
+
+    it('should dispatch play event', async () => {
+      await player.play(0);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      player.pause();
+      events.length = 0;
+
+      player.resume();
+      await new Promise(resolve => setTimeout(resolve, 1));
+
+      expect(events).toEqual([{ type: 'play', detail: { index: 0, song: mockSongs[0] } }]);
+    });
+  });
+
+  describe('togglePause() method', () => {
+    it('should alternate between pause and resume', async () => {
+      await player.play(0);
+      await new Promise(resolve => setTimeout(resolve, 1));
+
+      player.togglePause();
+      expect(player.isPlaying).toBe(false);
+      expect(player.audio.paused).toBe(true);
+
+      player.togglePause();
+      await new Promise(resolve => setTimeout(resolve, 1));
+      expect(player.isPlaying).toBe(true);
+    });
+
+    it('should pause a song that is still loading', async () => {
+      player.play(0);
+
+      player.togglePause();
+      await new Promise(resolve => setTimeout(resolve, 1));
+
+      expect(player.state).toBe('paused');
+    });
+  });
+
+  describe('restart() method', () => {
+    it('should rewind the current song and keep playing', async () => {
+      await player.play(0);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      player.audio.duration = 180;
+      player.audio.currentTime = 75;
+
+      player.restart();
+
+      expect(player.audio.currentTime).toBe(0);
+      expect(player.isPlaying).toBe(true);
+      expect(player.currentIndex).toBe(0);
+    });
+
+    it('should resume a paused song from the start', async () => {
+      await player.play(1);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      player.audio.currentTime = 40;
+      player.pause();
+
+      player.restart();
+      await new Promise(resolve => setTimeout(resolve, 1));
+
+      expect(player.audio.currentTime).toBe(0);
+      expect(player.isPlaying).toBe(true);
+    });
+
+    it('should do nothing without a current song', () => {
+      expect(() => player.restart()).not.toThrow();
+      expect(player.audio).toBeNull();
+    });
   });
 
   describe('stop() method', () => {
@@ -187,6 +375,88 @@ describe('Player Class', () => {
       expect(player.currentIndex).toBeNull();
       expect(player.isPlaying).toBe(false);
       expect(player.isSequence).toBe(false);
+      expect(events).toContainEqual({ type: 'stop', detail: {} });
+    });
+
+    it('should not dispatch stop when nothing is loaded', () => {
+      player.stop();
+
+      expect(events).toEqual([]);
+    });
+  });
+
+  describe('seek() and position methods', () => {
+    it('should report zero position and duration without audio', () => {
+      expect(player.getPosition()).toBe(0);
+      expect(player.getDuration()).toBe(0);
+    });
+
+    it('should report duration only once it is known', async () => {
+      await player.play(0);
+
+      player.audio.duration = NaN;
+      expect(player.getDuration()).toBe(0);
+
+      player.audio.duration = 180;
+      expect(player.getDuration()).toBe(180);
+    });
+
+    it('should seek to the given position', async () => {
+      await player.play(0);
+      player.audio.duration = 180;
+
+      player.seek(92);
+
+      expect(player.audio.currentTime).toBe(92);
+      expect(player.getPosition()).toBe(92);
+    });
+
+    it('should clamp seeking to the track bounds', async () => {
+      await player.play(0);
+      player.audio.duration = 180;
+
+      player.seek(-10);
+      expect(player.getPosition()).toBe(0);
+
+      player.seek(500);
+      expect(player.getPosition()).toBe(180);
+    });
+
+    it('should ignore seeks without audio or with invalid positions', async () => {
+      expect(() => player.seek(10)).not.toThrow();
+
+      await player.play(0);
+      player.seek(NaN);
+      expect(player.getPosition()).toBe(0);
+    });
+
+    it('should dispatch position immediately after seeking', async () => {
+      await player.play(0);
+      player.audio.duration = 180;
+      events.length = 0;
+
+      player.seek(30);
+
+      expect(events).toEqual([{ type: 'position', detail: { position: 30, duration: 180 } }]);
+    });
+
+    it('should throttle position events from timeupdate', async () => {
+      vi.useFakeTimers();
+      await player.play(0);
+      player.audio.duration = 180;
+      events.length = 0;
+
+      const countPositionEvents = () => events.filter(event => event.type === 'position').length;
+
+      player.audio.dispatchEvent(new Event('timeupdate'));
+      player.audio.dispatchEvent(new Event('timeupdate'));
+      expect(countPositionEvents()).toBe(1);
+
+      vi.advanceTimersByTime(player.positionInterval);
+      player.audio.dispatchEvent(new Event('timeupdate'));
+      expect(countPositionEvents()).toBe(2);
+
+      vi.useRealTimers();
     });
   });
 
@@ -208,6 +478,12 @@ describe('Player Class', () => {
       
       expect(player.audio.volume).toBe(0.7);
     });
+
+    it('should dispatch volume with the clamped level', () => {
+      player.setVolume(1.5);
+
+      expect(events).toEqual([{ type: 'volume', detail: { volume: 1, muted: false } }]);
+    });
   });
 
   describe('mute/unmute functionality', () => {
@@ -230,6 +506,131 @@ describe('Player Class', () => {
       player.toggleMute();
       expect(player.isMuted).toBe(false);
     });
+
+    it('should dispatch mute', () => {
+      player.setVolume(0.4);
+      events.length = 0;
+
+      player.mute();
+      player.unmute();
+
+      expect(events).toEqual([
+        { type: 'mute', detail: { muted: true, volume: 0.4 } },
+        { type: 'mute', detail: { muted: false, volume: 0.4 } }
+      ]);
+    });
+  });
+
+  describe('audio graph routing', () => {
+    let audioGraph;
+
+    beforeEach(() => {
+      const connected = new Set();
+      audioGraph = {
+        connect: vi.fn(audio => connected.add(audio)),
+        disconnect: vi.fn(audio => connected.delete(audio)),
+        isConnected: vi.fn(audio => connected.has(audio)),
+        setElementVolume: vi.fn(),
+        resume: vi.fn(() => Promise.resolve(true))
+      };
+      player = new Player(mockSongs, { audioGraph });
+    });
+
+    it('should connect each song and set its volume through the graph', async () => {
+      player.setVolume(0.4);
+      await player.play(0);
+
+      expect(audioGraph.connect).toHaveBeenCalledWith(player.audio);
+      expect(player.audio.volume).toBe(1);
+      expect(audioGraph.setElementVolume).toHaveBeenLastCalledWith(player.audio, 0.4);
+
+      player.mute();
+      expect(audioGraph.setElementVolume).toHaveBeenLastCalledWith(player.audio, 0);
+    });
+
+    it('should release songs that are replaced or stopped', async () => {
+      await player.play(0);
+      const firstAudio = player.audio;
+
+      await player.play(1);
+      expect(audioGraph.disconnect).toHaveBeenCalledWith(firstAudio);
+
+      const secondAudio = player.audio;
+      player.stop();
+      expect(audioGraph.disconnect).toHaveBeenCalledWith(secondAudio);
+    });
+  });
+
+  describe('loudness normalization', () => {
+    beforeEach(() => {
+      mockSongs[0].trackGain = -6;
+      mockSongs[0].albumGain = -3;
+      mockSongs[1].trackGain = 4;
+    });
+
+    it('should leave volume untouched when off', async () => {
+      await player.play(0);
+
+      expect(player.normalization).toBe('off');
+      expect(player.getNormalizationGain(mockSongs[0])).toBe(1);
+      expect(player.audio.volume).toBe(1);
+    });
+
+    it('should apply track gain in track mode', async () => {
+      player.setNormalization('track');
+      player.setVolume(0.8);
+      await player.play(0);
+
+      expect(player.getNormalizationGain(mockSongs[0])).toBeCloseTo(0.501, 3);
+      expect(player.audio.volume).toBeCloseTo(0.8 * 0.501, 3);
+    });
+
+    it('should prefer album gain in album mode and fall back to track gain', () => {
+      player.setNormalization('album');
+
+      expect(player.getNormalizationGain(mockSongs[0])).toBeCloseTo(0.708, 3);
+      expect(player.getNormalizationGain(mockSongs[1])).toBeCloseTo(1.585, 3);
+    });
+
+    it('should raise quiet songs as far as the volume setting allows', async () => {
+      player.setNormalization('track');
+      player.setVolume(0.5);
+      await player.play(1);
+
+      expect(player.getNormalizationGain(mockSongs[1])).toBeCloseTo(1.585, 3);
+      expect(player.audio.volume).toBeCloseTo(0.5 * 1.585, 3);
+    });
+
+    it('should never boost beyond full volume', async () => {
+      player.setNormalization('track');
+      await player.play(1);
+
+      expect(player.audio.volume).toBe(1);
+    });
+
+    it('should treat songs without gain values as unity', () => {
+      player.setNormalization('track');
+
+      expect(player.getNormalizationGain(mockSongs[2])).toBe(1);
+    });
+
+    it('should update the playing song and dispatch normalization', async () => {
+      await player.play(0);
+      player.setNormalization('track');
+
+      expect(player.audio.volume).toBeCloseTo(0.501, 3);
+      expect(events).toContainEqual({ type: 'normalization', detail: { normalization: 'track' } });
+    });
+
+    it('should reject unknown modes', () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      player.setNormalization('loud');
+
+      expect(consoleSpy).toHaveBeenCalledWith('Invalid normalization mode:', 'loud');
+      expect(player.normalization).toBe('off');
+      consoleSpy.mockRestore();
+    });
   });
 
   describe('playAll() method', () => {
@@ -250,6 +651,96 @@ describe('Player Class', () => {
       
       consoleSpy.mockRestore();
     });
+
+    it('should dispatch sequence when Play All starts and ends', async () => {
+      const sequenceEvents = () => events.filter(event => event.type === 'sequence').map(event => event.detail);
+
+      await player.playAll();
+      await player.playAll();
+      expect(sequenceEvents()).toEqual([{ sequence: true }]);
+
+      player.stop();
+      expect(sequenceEvents()).toEqual([{ sequence: true }, { sequence: false }]);
+    });
+
+    it('should end Play All when a song is picked', async () => {
+      await player.playAll();
+
+      await player.play(2);
+
+      expect(player.isSequence).toBe(false);
+      expect(events.filter(event => event.type === 'sequence').map(event => event.detail.sequence)).toEqual([true, false]);
+    });
+  });
+
+  describe('albums', () => {
+    let otherAlbum;
+
+    beforeEach(() => {
+      otherAlbum = {
+        title: 'Other Album',
+        year: 2020,
+        songs: [
+          { title: 'Other 1', artist: 'Artist 4', file: 'other1.mp3' },
+          { title: 'Other 2', artist: 'Artist 4', file: 'other2.mp3' }
+        ]
+      };
+    });
+
+    it('should include the album in songchange events', async () => {
+      const album = { title: 'First Album', songs: mockSongs };
+      const albumPlayer = new Player(mockSongs, { album });
+      const albumEvents = recordEvents(albumPlayer);
+
+      albumPlayer.play(1);
+      await new Promise(resolve => setTimeout(resolve, 1));
+
+      expect(albumEvents).toContainEqual({ type: 'songchange', detail: { index: 1, song: mockSongs[1], album } });
+    });
+
+    it('should swap in another song list and stop playback', async () => {
+      player.play(0);
+      await new Promise(resolve => setTimeout(resolve, 1));
+
+      player.setSongList(otherAlbum.songs, { album: otherAlbum });
+
+      expect(player.songs).toBe(otherAlbum.songs);
+      expect(player.album).toBe(otherAlbum);
+      expect(player.audio).toBeNull();
+      expect(player.currentIndex).toBeNull();
+      expect(events.slice(-2)).toEqual([
+        { type: 'stop', detail: {} },
+        { type: 'album', detail: { album: otherAlbum, songs: otherAlbum.songs } }
+      ]);
+    });
+
+    it('should clear the queue and history of the old list', async () => {
+      player.play(0);
+      player.play(1);
+      player.enqueue(2);
+      await new Promise(resolve => setTimeout(resolve, 1));
+
+      player.setSongList(otherAlbum.songs, { album: otherAlbum });
+
+      expect(player.getQueue()).toEqual([]);
+      expect(player.history).toEqual([]);
+      expect(player.hasPrevious()).toBe(false);
+    });
+
+    it('should scope Play All to the new song list', async () => {
+      player.setSongList(otherAlbum.songs, { album: otherAlbum });
+
+      player.playAll();
+      await new Promise(resolve => setTimeout(resolve, 1));
+
+      expect(player.getCurrentSong()).toBe(otherAlbum.songs[0]);
+      player.audio.triggerEnded();
+      await new Promise(resolve => setTimeout(resolve, 1));
+
+      expect(player.getCurrentSong()).toBe(otherAlbum.songs[1]);
+      player.audio.triggerEnded();
+      expect(player.isSequence).toBe(false);
+    });
   });
 
   describe('sequential playback', () => {
@@ -282,38 +773,19 @@ describe('Player Class', () => {
       await player.play(0);
       player.audio.triggerError();
       
-      expect(document.getElementById).toHaveBeenCalledWith('error-msg');
       expect(consoleSpy).toHaveBeenCalledWith('Audio error:', expect.any(Event));
       
       consoleSpy.mockRestore();
     });
 
-    it('should display user-friendly error message with song details', async () => {
-      const mockErrorElement = { textContent: '' };
-      vi.mocked(document.getElementById).mockReturnValue(mockErrorElement);
-      
-      await player.play(0);
-      player.audio.triggerError();
+    it('should dispatch error with the song that failed', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
       
-      expect(mockErrorElement.textContent).toBe('Error: Unable to play "Song 1" by Artist 1');
-    });
-
-    it('should clear error message after 5 seconds', async () => {
-      const mockErrorElement = { textContent: '' };
-      vi.mocked(document.getElementById).mockReturnValue(mockErrorElement);
-      vi.useFakeTimers();
-      
-      await player.play(0);
+      await player.play(1);
       player.audio.triggerError();
       
-      expect(mockErrorElement.textContent).toBe('Error: Unable to play "Song 1" by Artist 1');
-      
-      // Fast-forward 5 seconds
-      vi.advanceTimersByTime(5000);
-      
-      expect(mockErrorElement.textContent).toBe('');
-      
-      vi.useRealTimers();
+      expect(events).toContainEqual({ type: 'error', detail: { index: 1, song: mockSongs[1], type: 'decode' } });
+      vi.mocked(console.error).mockRestore();
     });
 
     it('should skip to next song during sequential playback on error', async () => {
@@ -364,6 +836,374 @@ describe('Player Class', () => {
     });
   });
 
+  describe('playback state', () => {
+    let states;
+
+    async function tick() {
+      await new Promise(resolve => setTimeout(resolve, 1));
+    }
+
+    beforeEach(() => {
+      states = [];
+      player.on('statechange', event => states.push(event.detail));
+    });
+
+    it('should move through loading to playing', async () => {
+      player.play(0);
+      expect(player.state).toBe('loading');
+      expect(player.isPlaying).toBe(false);
+
+      await tick();
+
+      expect(player.state).toBe('playing');
+      expect(states).toEqual([
+        { previous: 'idle', next: 'loading' },
+        { previous: 'loading', next: 'playing' }
+      ]);
+    });
+
+    it('should change state before the other events', async () => {
+      const order = [];
+      player.on('statechange', event => order.push(event.detail.next));
+      player.on('songchange', () => order.push('songchange'));
+
+      player.play(0);
+      await tick();
+
+      expect(order).toEqual(['loading', 'playing', 'songchange']);
+    });
+
+    it('should pause, resume and stop', async () => {
+      player.play(0);
+      await tick();
+
+      player.pause();
+      expect(player.state).toBe('paused');
+      player.resume();
+      await tick();
+      expect(player.state).toBe('playing');
+      player.stop();
+
+      expect(player.state).toBe('idle');
+      expect(states.map(change => change.next)).toEqual(['loading', 'playing', 'paused', 'playing', 'idle']);
+    });
+
+    it('should buffer while the audio waits for data', async () => {
+      player.play(0);
+      await tick();
+
+      player.audio.dispatchEvent(new Event('waiting'));
+      expect(player.state).toBe('buffering');
+      expect(player.isPlaying).toBe(true);
+
+      player.audio.dispatchEvent(new Event('playing'));
+      expect(player.state).toBe('playing');
+    });
+
+    it('should ignore waiting before the song has started', () => {
+      player.play(0);
+
+      player.audio.dispatchEvent(new Event('waiting'));
+
+      expect(player.state).toBe('loading');
+    });
+
+    it('should end when nothing follows the song', async () => {
+      player.play(0);
+      await tick();
+
+      player.audio.triggerEnded();
+
+      expect(player.state).toBe('ended');
+      expect(player.currentIndex).toBe(0);
+    });
+
+    it('should play an ended song again on resume', async () => {
+      player.play(0);
+      await tick();
+      player.audio.triggerEnded();
+
+      player.resume();
+      await tick();
+
+      expect(player.state).toBe('playing');
+    });
+
+    it('should load the next song straight from ended', async () => {
+      player.playAll();
+      await tick();
+
+      player.audio.triggerEnded();
+
+      expect(states.slice(-2)).toEqual([
+        { previous: 'playing', next: 'ended' },
+        { previous: 'ended', next: 'loading' }
+      ]);
+    });
+
+    it('should go to error when a song cannot be played', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      player.play(0);
+      await tick();
+
+      player.audio.triggerError();
+
+      expect(player.state).toBe('error');
+      expect(player.isPlaying).toBe(false);
+      vi.restoreAllMocks();
+    });
+
+    it('should not resume a song that failed', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      player.play(0);
+      await tick();
+      player.audio.triggerError();
+
+      player.resume();
+      await tick();
+
+      expect(player.state).toBe('error');
+      vi.restoreAllMocks();
+    });
+
+    it('should stop from error back to idle', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      player.play(0);
+      await tick();
+      player.audio.triggerError();
+
+      player.stop();
+
+      expect(player.state).toBe('idle');
+      expect(player.currentIndex).toBeNull();
+      expect(events.map(event => event.type)).toContain('stop');
+      vi.restoreAllMocks();
+    });
+
+    it('should pause when the browser refuses to start the song', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      vi.spyOn(MockAudio.prototype, 'play').mockRejectedValueOnce(new Error('NotAllowedError'));
+
+      player.play(0);
+      await tick();
+
+      expect(player.state).toBe('paused');
+      expect(player.audio).not.toBeNull();
+      vi.restoreAllMocks();
+    });
+
+    it('should stay idle when a song is stopped before it starts', async () => {
+      player.play(0);
+      player.stop();
+      await tick();
+
+      expect(player.state).toBe('idle');
+      expect(events.map(event => event.type)).toEqual(['stop']);
+    });
+
+    it('should only play the last of several songs picked while loading', async () => {
+      player.play(0);
+      player.play(1);
+      await tick();
+
+      expect(player.state).toBe('playing');
+      expect(events.filter(event => event.type === 'songchange')).toEqual([
+        { type: 'songchange', detail: { index: 1, song: mockSongs[1], album: null } }
+      ]);
+      expect(states).toEqual([
+        { previous: 'idle', next: 'loading' },
+        { previous: 'loading', next: 'playing' }
+      ]);
+    });
+
+    it('should reject transitions the table does not allow', () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(player.setState('playing')).toBe(false);
+
+      expect(player.state).toBe('idle');
+      expect(states).toEqual([]);
+      expect(consoleSpy).toHaveBeenCalledWith('Invalid state transition:', 'idle', '->', 'playing');
+      consoleSpy.mockRestore();
+    });
+
+    it('should not dispatch statechange when the state stays the same', () => {
+      expect(player.setState('idle')).toBe(true);
+      expect(states).toEqual([]);
+    });
+  });
+
+  describe('autoplay policy', () => {
+    const notAllowed = () => new DOMException('play() can only be initiated by a user gesture', 'NotAllowedError');
+
+    async function tick() {
+      await new Promise(resolve => setTimeout(resolve, 1));
+    }
+
+    beforeEach(() => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('should tell autoplay refusals from other failures', () => {
+      expect(isAutoplayBlocked(notAllowed())).toBe(true);
+      expect(isAutoplayBlocked(new DOMException('No supported source', 'NotSupportedError'))).toBe(false);
+      expect(isAutoplayBlocked(new Error('Network error'))).toBe(false);
+      expect(isAutoplayBlocked(undefined)).toBe(false);
+    });
+
+    it('should dispatch blocked when the browser refuses to start a song', async () => {
+      vi.spyOn(MockAudio.prototype, 'play').mockRejectedValueOnce(notAllowed());
+
+      player.play(1);
+      await tick();
+
+      expect(events).toEqual([{ type: 'blocked', detail: { index: 1, song: mockSongs[1] } }]);
+      expect(player.state).toBe('paused');
+      expect(console.error).not.toHaveBeenCalled();
+    });
+
+    describe('with a suspended audio graph', () => {
+      let audioGraph;
+      let running;
+
+      beforeEach(() => {
+        running = false;
+        audioGraph = {
+          connect: vi.fn(),
+          disconnect: vi.fn(),
+          isConnected: vi.fn(() => true),
+          setElementVolume: vi.fn(),
+          resume: vi.fn(() => Promise.resolve(running))
+        };
+        player = new Player(mockSongs, { audioGraph });
+        events = recordEvents(player);
+      });
+
+      it('should treat a silent start as blocked', async () => {
+        player.play(1);
+        await tick();
+
+        expect(audioGraph.resume).toHaveBeenCalled();
+        expect(player.audio.paused).toBe(true);
+        expect(player.state).toBe('paused');
+        expect(events).toEqual([{ type: 'blocked', detail: { index: 1, song: mockSongs[1] } }]);
+      });
+
+      it('should start the song once the context runs', async () => {
+        player.play(1);
+        await tick();
+
+        running = true;
+        player.retryBlocked();
+        await tick();
+
+        expect(player.state).toBe('playing');
+        expect(events.map(event => event.type)).toEqual(['blocked', 'songchange', 'play']);
+      });
+
+      it('should treat a silent resume as blocked', async () => {
+        running = true;
+        player.play(1);
+        await tick();
+        player.pause();
+
+        running = false;
+        events.length = 0;
+        player.resume();
+        await tick();
+
+        expect(player.state).toBe('paused');
+        expect(player.audio.paused).toBe(true);
+        expect(events).toEqual([{ type: 'blocked', detail: { index: 1, song: mockSongs[1] } }]);
+
+        running = true;
+        player.retryBlocked();
+        await tick();
+        expect(player.state).toBe('playing');
+      });
+    });
+
+    it('should only log other playback failures', async () => {
+      vi.spyOn(MockAudio.prototype, 'play').mockRejectedValueOnce(new DOMException('Aborted', 'AbortError'));
+
+      player.play(1);
+      await tick();
+
+      expect(events).toEqual([]);
+      expect(console.error).toHaveBeenCalledWith('Playback failed:', expect.any(DOMException));
+      expect(player.retryBlocked()).toBe(false);
+    });
+
+    it('should start the blocked song on retry', async () => {
+      vi.spyOn(MockAudio.prototype, 'play').mockRejectedValueOnce(notAllowed());
+      player.play(1, false, { startAt: 30 });
+      await tick();
+      const audio = player.audio;
+
+      expect(player.retryBlocked()).toBe(true);
+      await tick();
+
+      expect(player.audio).toBe(audio);
+      expect(audio.currentTime).toBe(30);
+      expect(player.state).toBe('playing');
+      expect(events.map(event => event.type)).toEqual(['blocked', 'songchange', 'play']);
+      expect(player.retryBlocked()).toBe(false);
+    });
+
+    it('should start a blocked song from resume(), with songchange', async () => {
+      vi.spyOn(MockAudio.prototype, 'play').mockRejectedValueOnce(notAllowed());
+      player.play(1, false, { startAt: 30 });
+      await tick();
+
+      player.resume();
+      await tick();
+
+      expect(player.state).toBe('playing');
+      expect(player.audio.currentTime).toBe(30);
+      expect(events).toEqual([
+        { type: 'blocked', detail: { index: 1, song: mockSongs[1] } },
+        { type: 'songchange', detail: { index: 1, song: mockSongs[1], album: null } },
+        { type: 'play', detail: { index: 1, song: mockSongs[1] } }
+      ]);
+      expect(player.retryBlocked()).toBe(false);
+    });
+
+    it('should retry a blocked resume', async () => {
+      player.play(0);
+      await tick();
+      player.pause();
+      vi.spyOn(MockAudio.prototype, 'play').mockRejectedValueOnce(notAllowed());
+
+      player.resume();
+      await tick();
+      expect(events.at(-1)).toEqual({ type: 'blocked', detail: { index: 0, song: mockSongs[0] } });
+
+      player.retryBlocked();
+      await tick();
+
+      expect(player.state).toBe('playing');
+      expect(events.at(-1).type).toBe('play');
+    });
+
+    it('should forget the blocked song once another is picked or playback stops', async () => {
+      vi.spyOn(MockAudio.prototype, 'play').mockRejectedValue(notAllowed());
+
+      player.play(0);
+      await tick();
+      player.play(1);
+      expect(player.retryBlocked()).toBe(false);
+
+      await tick();
+      player.stop();
+      expect(player.retryBlocked()).toBe(false);
+    });
+  });
+
   describe('utility methods', () => {
     it('should return current song', async () => {
       await player.play(1);
@@ -384,11 +1224,16 @@ describe('Player Class', () => {
       const state = player.getPlaybackState();
       
       expect(state).toEqual({
+        state: 'playing',
         isPlaying: true,
         currentIndex: 1,
         volume: 0.8,
         isMuted: false,
         isSequence: false,
+        mode: 'normal',
+        crossfade: 0,
+        gapless: false,
+        normalization: 'off',
         currentSong: mockSongs[1]
       });
     });
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { Buffer } from 'buffer';
+import { inflateSync } from 'zlib';
+import { crc32, encodePng } from '../tools/png.js';
+
+// Splits a PNG file into its chunks
+function readChunks(png) {
+  const chunks = [];
+  let offset = 8;
+  while (offset < png.length) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('ascii', offset + 4, offset + 8);
+    const data = png.subarray(offset + 8, offset + 8 + length);
+    const crc = png.readUInt32BE(offset + 8 + length);
+    chunks.push({ type, data, crc, typeAndData: png.subarray(offset + 4, offset + 8 + length) });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+describe('PNG Module', () => {
+  it('should compute the standard CRC-32', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xCBF43926);
+    expect(crc32(Buffer.alloc(0))).toBe(0);
+  });
+
+  it('should write an RGBA image with valid chunks', () => {
+    // 2x2: red, green / blue, transparent
+    const rgba = new Uint8Array([
+      255, 0, 0, 255, 0, 255, 0, 255,
+      0, 0, 255, 255, 0, 0, 0, 0
+    ]);
+
+    const png = encodePng(2, 2, rgba);
+    const chunks = readChunks(png);
+
+    expect([...png.subarray(0, 8)]).toEqual([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+    expect(chunks.map(chunk => chunk.type)).toEqual(['IHDR', 'IDAT', 'IEND']);
+    chunks.forEach((chunk) => {
+      expect(chunk.crc).toBe(crc32(chunk.typeAndData));
+    });
+
+    const header = chunks[0].data;
+    expect(header.readUInt32BE(0)).toBe(2);
+    expect(header.readUInt32BE(4)).toBe(2);
+    expect([...header.subarray(8)]).toEqual([8, 6, 0, 0, 0]);
+
+    const scanlines = inflateSync(chunks[1].data);
+    expect([...scanlines]).toEqual([
+      0, 255, 0, 0, 255, 0, 255, 0, 255,
+      0, 0, 0, 255, 255, 0, 0, 0, 0
+    ]);
+  });
+
+  it('should reject pixel data of the wrong size', () => {
+    expect(() => encodePng(2, 2, new Uint8Array(4))).toThrow('Expected 16 bytes of RGBA data, got 4');
+  });
+});
@@ -0,0 +1,229 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { initQueuePanel } from '../scripts/queue.js';
+import { Player } from '../scripts/player.js';
+import { createElement, createDocument } from './fake-dom.js';
+
+describe('Queue Panel Module', () => {
+  let songs;
+  let player;
+  let elements;
+
+  const items = () => elements['queue-list'].querySelectorAll('.queue-item');
+  const titles = () => items().map(item => item.children[0].textContent);
+
+  function keydown(target, key, { altKey = false } = {}) {
+    const event = { target, key, altKey, preventDefault: vi.fn() };
+    elements['queue-list'].handlers.keydown(event);
+    return event;
+  }
+
+  function dragEvent(target) {
+    return {
+      target,
+      preventDefault: vi.fn(),
+      dataTransfer: { setData: vi.fn(), effectAllowed: null, dropEffect: null }
+    };
+  }
+
+  beforeEach(() => {
+    songs = ['A', 'B', 'C', 'D'].map(title => ({ title, artist: 'Artist', file: `${title}.mp3` }));
+    player = new Player(songs);
+    elements = {
+      'queue-list': createElement('ol'),
+      'queue-empty': createElement('p'),
+      'clear-queue': createElement('button')
+    };
+
+    global.document = createDocument(elements);
+  });
+
+  describe('rendering', () => {
+    it('should show the queued songs in play order', () => {
+      player.enqueue(2);
+      player.enqueue(0);
+
+      initQueuePanel(player);
+
+      expect(titles()).toEqual(['C', 'A']);
+      expect(items()[1].getAttribute('aria-label'))
+        .toBe('2 of 2: A by Artist. Alt plus arrow keys to move, Delete to remove');
+      expect(elements['queue-empty'].hidden).toBe(true);
+      expect(elements['clear-queue'].disabled).toBe(false);
+    });
+
+    it('should show the empty message with nothing queued', () => {
+      initQueuePanel(player);
+
+      expect(items()).toEqual([]);
+      expect(elements['queue-empty'].hidden).toBe(false);
+      expect(elements['clear-queue'].disabled).toBe(true);
+    });
+
+    it('should re-render on queue events', () => {
+      initQueuePanel(player);
+
+      player.enqueue(1);
+      player.insertNext(3);
+
+      expect(titles()).toEqual(['D', 'B']);
+
+      player.clearQueue();
+
+      expect(items()).toEqual([]);
+      expect(elements['queue-empty'].hidden).toBe(false);
+    });
+
+    it('should do nothing without a queue list', () => {
+      delete elements['queue-list'];
+
+      expect(() => initQueuePanel(player)).not.toThrow();
+    });
+  });
+
+  describe('removing songs', () => {
+    beforeEach(() => {
+      [0, 1, 2].forEach(index => player.enqueue(index));
+      initQueuePanel(player);
+    });
+
+    it('should remove a song with its ✕ button', () => {
+      const removeButton = items()[1].children[1];
+
+      elements['queue-list'].handlers.click({ target: removeButton });
+
+      expect(player.getQueue()).toEqual([0, 2]);
+      expect(titles()).toEqual(['A', 'C']);
+    });
+
+    it('should ignore clicks elsewhere in the list', () => {
+      elements['queue-list'].handlers.click({ target: items()[1].children[0] });
+
+      expect(player.getQueue()).toEqual([0, 1, 2]);
+    });
+
+    it('should remove the focused song with Delete and focus the next one', () => {
+      const event = keydown(items()[1], 'Delete');
+
+      expect(event.preventDefault).toHaveBeenCalled();
+      expect(player.getQueue()).toEqual([0, 2]);
+      expect(document.activeElement).toBe(items()[1]);
+    });
+
+    it('should clear the queue with the Clear Queue button', () => {
+      elements['clear-queue'].handlers.click();
+
+      expect(player.getQueue()).toEqual([]);
+      expect(elements['clear-queue'].disabled).toBe(true);
+    });
+  });
+
+  describe('keyboard reordering', () => {
+    beforeEach(() => {
+      [0, 1, 2].forEach(index => player.enqueue(index));
+      initQueuePanel(player);
+    });
+
+    it('should move a song up with Alt+ArrowUp and keep it focused', () => {
+      keydown(items()[2], 'ArrowUp', { altKey: true });
+
+      expect(titles()).toEqual(['A', 'C', 'B']);
+      expect(document.activeElement).toBe(items()[1]);
+    });
+
+    it('should move a song down with Alt+ArrowDown', () => {
+      keydown(items()[0], 'ArrowDown', { altKey: true });
+
+      expect(titles()).toEqual(['B', 'A', 'C']);
+      expect(document.activeElement).toBe(items()[1]);
+    });
+
+    it('should not move songs past either end', () => {
+      const moveInQueue = vi.spyOn(player, 'moveInQueue');
+
+      keydown(items()[0], 'ArrowUp', { altKey: true });
+      keydown(items()[2], 'ArrowDown', { altKey: true });
+
+      expect(moveInQueue).not.toHaveBeenCalled();
+      expect(titles()).toEqual(['A', 'B', 'C']);
+    });
+
+    it('should only move focus without Alt', () => {
+      keydown(items()[0], 'ArrowDown');
+      expect(document.activeElement).toBe(items()[1]);
+
+      keydown(items()[1], 'End');
+      expect(document.activeElement).toBe(items()[2]);
+
+      keydown(items()[2], 'Home');
+      expect(document.activeElement).toBe(items()[0]);
+
+      expect(titles()).toEqual(['A', 'B', 'C']);
+    });
+
+    it('should ignore other keys', () => {
+      const event = keydown(items()[0], 'Enter');
+
+      expect(event.preventDefault).not.toHaveBeenCalled();
+      expect(titles()).toEqual(['A', 'B', 'C']);
+    });
+  });
+
+  describe('drag-and-drop reordering', () => {
+    beforeEach(() => {
+      [0, 1, 2, 3].forEach(index => player.enqueue(index));
+      initQueuePanel(player);
+    });
+
+    it('should move the dragged song to where it is dropped', () => {
+      const list = elements['queue-list'];
+      const dragged = items()[0];
+
+      const start = dragEvent(dragged);
+      list.handlers.dragstart(start);
+      expect(start.dataTransfer.setData).toHaveBeenCalledWith('text/plain', '0');
+      expect(dragged.classList.contains('dragging')).toBe(true);
+
+      const over = dragEvent(items()[2].children[0]);
+      list.handlers.dragover(over);
+      expect(over.preventDefault).toHaveBeenCalled();
+      expect(items()[2].classList.contains('drop-target')).toBe(true);
+
+      list.handlers.drop(dragEvent(items()[2].children[0]));
+      list.handlers.dragend();
+
+      expect(titles()).toEqual(['B', 'C', 'A', 'D']);
+    });
+
+    it('should move the song to the end when dropped below the list', () => {
+      const list = elements['queue-list'];
+
+      list.handlers.dragstart(dragEvent(items()[1]));
+      list.handlers.drop(dragEvent(list));
+
+      expect(titles()).toEqual(['A', 'C', 'D', 'B']);
+    });
+
+    it('should clear the drag highlights when the drag ends', () => {
+      const list = elements['queue-list'];
+      const dragged = items()[1];
+
+      list.handlers.dragstart(dragEvent(dragged));
+      list.handlers.dragover(dragEvent(items()[3]));
+      list.handlers.dragend();
+
+      expect(dragged.classList.contains('dragging')).toBe(false);
+      expect(items()[3].classList.contains('drop-target')).toBe(false);
+    });
+
+    it('should ignore drops that did not start in the queue', () => {
+      const list = elements['queue-list'];
+      const drop = dragEvent(items()[0]);
+
+      list.handlers.dragover(dragEvent(items()[0]));
+      list.handlers.drop(drop);
+
+      expect(drop.preventDefault).not.toHaveBeenCalled();
+      expect(titles()).toEqual(['A', 'B', 'C', 'D']);
+    });
+  });
+});
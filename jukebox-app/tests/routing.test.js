@@ -0,0 +1,333 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  slugify,
+  formatSongHash,
+  getSongUrl,
+  parseHash,
+  findSongBySlug,
+  resolveHash,
+  getLinkAlbum,
+  initRouting,
+  copySongLink
+} from '../scripts/routing.js';
+import { songs, albums as builtInAlbums } from '../scripts/data.js';
+
+describe('Routing Module', () => {
+  const testSongs = [
+    { title: '01 i am a strange loop' },
+    { title: '05 the cosmic serpent' }
+  ];
+  const otherSongs = [
+    { title: '01 intro' },
+    { title: '05 the cosmic serpent' }
+  ];
+  const testAlbum = { title: 'you know?', songs: testSongs };
+  const otherAlbum = { title: 'Live at Home', songs: otherSongs };
+  const library = [testAlbum, otherAlbum];
+
+  describe('slugify', () => {
+    it('should join lowercase words with hyphens', () => {
+      expect(slugify('05 the cosmic serpent')).toBe('05-the-cosmic-serpent');
+      expect(slugify('03 LSD and the Mind of the Universe')).toBe('03-lsd-and-the-mind-of-the-universe');
+    });
+
+    it('should collapse punctuation and trim hyphens from the ends', () => {
+      expect(slugify('  Hello, World!  ')).toBe('hello-world');
+      expect(slugify('rock & roll -- live')).toBe('rock-roll-live');
+    });
+
+    it('should strip accents', () => {
+      expect(slugify('Café Déjà Vu')).toBe('cafe-deja-vu');
+    });
+
+    it('should give every song a unique slug', () => {
+      const slugs = songs.map(song => slugify(song.title));
+      expect(new Set(slugs).size).toBe(songs.length);
+      slugs.forEach(slug => expect(slug).toMatch(/^[a-z0-9]+(-[a-z0-9]+)*$/));
+    });
+  });
+
+  describe('formatSongHash', () => {
+    it('should link to the song', () => {
+      expect(formatSongHash(testSongs[1])).toBe('#/song/05-the-cosmic-serpent');
+    });
+
+    it('should add whole seconds as a timestamp', () => {
+      expect(formatSongHash(testSongs[1], 92.7)).toBe('#/song/05-the-cosmic-serpent?t=92');
+    });
+
+    it('should leave out a zero timestamp', () => {
+      expect(formatSongHash(testSongs[1], 0)).toBe('#/song/05-the-cosmic-serpent');
+      expect(formatSongHash(testSongs[1], 0.4)).toBe('#/song/05-the-cosmic-serpent');
+    });
+
+    it('should name the album when given one', () => {
+      expect(formatSongHash(otherSongs[0], 30, otherAlbum)).toBe('#/album/live-at-home/song/01-intro?t=30');
+      expect(formatSongHash(testSongs[1], 0, testAlbum)).toBe('#/album/you-know/song/05-the-cosmic-serpent');
+    });
+  });
+
+  describe('getSongUrl', () => {
+    it('should replace any existing hash on the page URL', () => {
+      expect(getSongUrl('https://example.com/jukebox/#/song/01-i-am-a-strange-loop', testSongs[1], 92))
+        .toBe('https://example.com/jukebox/#/song/05-the-cosmic-serpent?t=92');
+      expect(getSongUrl('https://example.com/jukebox/index.html', testSongs[0]))
+        .toBe('https://example.com/jukebox/index.html#/song/01-i-am-a-strange-loop');
+      expect(getSongUrl('https://example.com/jukebox/', otherSongs[0], 0, otherAlbum))
+        .toBe('https://example.com/jukebox/#/album/live-at-home/song/01-intro');
+    });
+  });
+
+  describe('parseHash', () => {
+    it('should parse a song link with a timestamp', () => {
+      expect(parseHash('#/song/05-the-cosmic-serpent?t=92')).toEqual({ album: null, slug: '05-the-cosmic-serpent', time: 92 });
+    });
+
+    it('should parse the album of a song link', () => {
+      expect(parseHash('#/album/live-at-home/song/01-intro?t=30')).toEqual({ album: 'live-at-home', slug: '01-intro', time: 30 });
+      expect(parseHash('#/album/live-at-home/song/01-intro')).toEqual({ album: 'live-at-home', slug: '01-intro', time: 0 });
+    });
+
+    it('should parse a song link without a timestamp', () => {
+      expect(parseHash('#/song/05-the-cosmic-serpent')).toEqual({ album: null, slug: '05-the-cosmic-serpent', time: 0 });
+      expect(parseHash('/song/05-the-cosmic-serpent')).toEqual({ album: null, slug: '05-the-cosmic-serpent', time: 0 });
+    });
+
+    it('should ignore malformed or negative timestamps', () => {
+      expect(parseHash('#/song/05-the-cosmic-serpent?t=abc').time).toBe(0);
+      expect(parseHash('#/song/05-the-cosmic-serpent?t=-5').time).toBe(0);
+      expect(parseHash('#/song/05-the-cosmic-serpent?t=').time).toBe(0);
+    });
+
+    it('should accept fractional timestamps and other parameters', () => {
+      expect(parseHash('#/song/05-the-cosmic-serpent?x=1&t=92.5')).toEqual({ album: null, slug: '05-the-cosmic-serpent', time: 92.5 });
+    });
+
+    it('should decode the slug', () => {
+      expect(parseHash('#/song/caf%C3%A9').slug).toBe('café');
+    });
+
+    it('should report slugs that are not valid URL encoding', () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(parseHash('#/song/%E0%A4%A')).toBeNull();
+      expect(parseHash('#/album/%E0%A4%A/song/01-intro')).toBeNull();
+      expect(consoleSpy).toHaveBeenCalledWith('Invalid song link:', '%E0%A4%A', expect.any(URIError));
+
+      consoleSpy.mockRestore();
+    });
+
+    it('should return null for anything other than a song link', () => {
+      expect(parseHash('')).toBeNull();
+      expect(parseHash(undefined)).toBeNull();
+      expect(parseHash('#')).toBeNull();
+      expect(parseHash('#/song/')).toBeNull();
+      expect(parseHash('#/album/you-know')).toBeNull();
+      expect(parseHash('#/album//song/01-intro')).toBeNull();
+      expect(parseHash('#/song/01-intro/extra')).toBeNull();
+      expect(parseHash('#main-content')).toBeNull();
+    });
+  });
+
+  describe('findSongBySlug', () => {
+    it('should find the song index by slug', () => {
+      expect(findSongBySlug(testSongs, '05-the-cosmic-serpent')).toBe(1);
+      expect(findSongBySlug(testSongs, 'missing')).toBe(-1);
+    });
+  });
+
+  describe('resolveHash', () => {
+    it('should resolve a link to an album, song index and position', () => {
+      expect(resolveHash('#/song/05-the-cosmic-serpent?t=92', library)).toEqual({ album: testAlbum, index: 1, position: 92 });
+      expect(resolveHash('#/album/live-at-home/song/05-the-cosmic-serpent', library)).toEqual({ album: otherAlbum, index: 1, position: 0 });
+    });
+
+    it('should search every album when the link names none', () => {
+      expect(resolveHash('#/song/01-intro', library)).toEqual({ album: otherAlbum, index: 0, position: 0 });
+    });
+
+    it('should report links to unknown songs', () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(resolveHash('#/song/not-a-song', library)).toBeNull();
+      expect(resolveHash('#/album/live-at-home/song/01-i-am-a-strange-loop', library)).toBeNull();
+      expect(resolveHash('#/album/unknown/song/01-intro', library)).toBeNull();
+      expect(consoleSpy).toHaveBeenCalledWith('Invalid song link:', 'not-a-song');
+      expect(consoleSpy).toHaveBeenCalledWith('Invalid song link:', 'live-at-home/01-i-am-a-strange-loop');
+
+      consoleSpy.mockRestore();
+    });
+
+    it('should round-trip every song', () => {
+      songs.forEach((song, index) => {
+        expect(resolveHash(formatSongHash(song, 61), builtInAlbums)).toEqual({ album: builtInAlbums[0], index, position: 61 });
+      });
+    });
+  });
+
+  describe('getLinkAlbum', () => {
+    it('should only name the album when the library has several', () => {
+      expect(getLinkAlbum([testAlbum], testAlbum)).toBeNull();
+      expect(getLinkAlbum(library, otherAlbum)).toBe(otherAlbum);
+    });
+  });
+
+  describe('initRouting', () => {
+    let playerListeners;
+    let winListeners;
+    let win;
+    let player;
+
+    function changeSong(index, album = testAlbum) {
+      playerListeners.songchange.forEach(listener => listener({ detail: { index, song: album.songs[index], album } }));
+    }
+
+    function navigate(hash) {
+      win.location.hash = hash;
+      winListeners.popstate.forEach(listener => listener({}));
+    }
+
+    beforeEach(() => {
+      playerListeners = {};
+      winListeners = {};
+      win = {
+        location: { hash: '' },
+        history: {
+          pushState: vi.fn((state, title, hash) => { win.location.hash = hash; }),
+          replaceState: vi.fn((state, title, hash) => { win.location.hash = hash; })
+        },
+        addEventListener: vi.fn((type, listener) => {
+          (winListeners[type] = winListeners[type] || []).push(listener);
+        })
+      };
+      player = {
+        songs: testSongs,
+        album: testAlbum,
+        currentIndex: null,
+        play: vi.fn(),
+        seek: vi.fn(),
+        setSongList: vi.fn((songList, { album }) => {
+          player.songs = songList;
+          player.album = album;
+        }),
+        on: vi.fn((type, listener) => {
+          (playerListeners[type] = playerListeners[type] || []).push(listener);
+          return () => {};
+        })
+      };
+    });
+
+    it('should return the song linked on load without playing it', () => {
+      win.location.hash = '#/song/05-the-cosmic-serpent?t=92';
+
+      expect(initRouting(player, [testAlbum], win)).toEqual({ album: testAlbum, index: 1, position: 92 });
+      expect(player.play).not.toHaveBeenCalled();
+    });
+
+    it('should return null when the page has no song link', () => {
+      expect(initRouting(player, [testAlbum], win)).toBeNull();
+    });
+
+    it('should push a history entry for each song played', () => {
+      initRouting(player, [testAlbum], win);
+
+      changeSong(0);
+      changeSong(1);
+
+      expect(win.history.pushState).toHaveBeenNthCalledWith(1, null, '', '#/song/01-i-am-a-strange-loop');
+      expect(win.history.pushState).toHaveBeenNthCalledWith(2, null, '', '#/song/05-the-cosmic-serpent');
+    });
+
+    it('should name the album in links when the library has several', () => {
+      initRouting(player, library, win);
+
+      changeSong(1);
+      changeSong(1, otherAlbum);
+
+      expect(win.history.pushState).toHaveBeenNthCalledWith(1, null, '', '#/album/you-know/song/05-the-cosmic-serpent');
+      expect(win.history.pushState).toHaveBeenNthCalledWith(2, null, '', '#/album/live-at-home/song/05-the-cosmic-serpent');
+    });
+
+    it('should replace the linked entry when the linked song plays', () => {
+      win.location.hash = '#/song/05-the-cosmic-serpent?t=92';
+      initRouting(player, [testAlbum], win);
+
+      changeSong(1);
+
+      expect(win.history.pushState).not.toHaveBeenCalled();
+      expect(win.history.replaceState).toHaveBeenCalledWith(null, '', '#/song/05-the-cosmic-serpent');
+    });
+
+    it('should leave the history alone when the hash already matches', () => {
+      win.location.hash = '#/song/05-the-cosmic-serpent';
+      initRouting(player, [testAlbum], win);
+
+      changeSong(1);
+
+      expect(win.history.pushState).not.toHaveBeenCalled();
+      expect(win.history.replaceState).not.toHaveBeenCalled();
+    });
+
+    it('should play the song navigated to with back/forward', () => {
+      initRouting(player, [testAlbum], win);
+      player.currentIndex = 1;
+
+      navigate('#/song/01-i-am-a-strange-loop');
+
+      expect(player.setSongList).not.toHaveBeenCalled();
+      expect(player.play).toHaveBeenCalledWith(0, false, { startAt: 0 });
+    });
+
+    it('should switch albums to play a song on another album', () => {
+      initRouting(player, library, win);
+      player.currentIndex = 1;
+
+      navigate('#/album/live-at-home/song/05-the-cosmic-serpent?t=12');
+
+      expect(player.setSongList).toHaveBeenCalledWith(otherSongs, { album: otherAlbum });
+      expect(player.play).toHaveBeenCalledWith(1, false, { startAt: 12 });
+    });
+
+    it('should seek within the current song when only the timestamp changes', () => {
+      initRouting(player, [testAlbum], win);
+      player.currentIndex = 1;
+
+      navigate('#/song/05-the-cosmic-serpent?t=30');
+      navigate('#/song/05-the-cosmic-serpent');
+
+      expect(player.play).not.toHaveBeenCalled();
+      expect(player.seek).toHaveBeenCalledTimes(1);
+      expect(player.seek).toHaveBeenCalledWith(30);
+    });
+
+    it('should ignore navigation to other hashes', () => {
+      initRouting(player, [testAlbum], win);
+
+      navigate('');
+      navigate('#main-content');
+
+      expect(player.play).not.toHaveBeenCalled();
+      expect(player.seek).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('copySongLink', () => {
+    it('should write the song link to the clipboard', async () => {
+      const clipboard = { writeText: vi.fn(() => Promise.resolve()) };
+      const win = { location: { href: 'https://example.com/jukebox/#/song/01-i-am-a-strange-loop' } };
+
+      await copySongLink(testSongs[1], 92, { clipboard, win });
+
+      expect(clipboard.writeText).toHaveBeenCalledWith('https://example.com/jukebox/#/song/05-the-cosmic-serpent?t=92');
+    });
+
+    it('should name the album when given one', async () => {
+      const clipboard = { writeText: vi.fn(() => Promise.resolve()) };
+      const win = { location: { href: 'https://example.com/jukebox/' } };
+
+      await copySongLink(otherSongs[0], 0, { album: otherAlbum, clipboard, win });
+
+      expect(clipboard.writeText).toHaveBeenCalledWith('https://example.com/jukebox/#/album/live-at-home/song/01-intro');
+    });
+  });
+});
@@ -1,5 +1,20 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { Player } from '../scripts/player.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Player, PLAYER_EVENTS } from '../scripts/player.js';
+import { createShuffleOrder } from '../scripts/shuffle.js';
+import { fadeInGain, fadeOutGain } from '../scripts/fade.js';
+import { MEDIA_ERROR_CODES } from '../scripts/playback-errors.js';
+
+// Deterministic stand-in for Math.random (mulberry32)
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
 
 // Mock Audio constructor with enhanced sequencing simulation
 class MockAudio {
@@ -39,6 +54,10 @@ class MockAudio {
   }
 
   async play() {
+    // Like a real element, there is nothing to play once the source is gone
+    if (!this.src) {
+      throw new DOMException('The element has no supported sources.', 'NotSupportedError');
+    }
     this.paused = false;
     this.playCount++;
     await new Promise(resolve => setTimeout(resolve, 0));
@@ -54,6 +73,12 @@ class MockAudio {
     this.ended = false;
   }
 
+  removeAttribute(name) {
+    if (name === 'src') {
+      this.src = '';
+    }
+  }
+
   triggerEnded() {
     this.ended = true;
     this.paused = true;
@@ -71,17 +96,22 @@ class MockAudio {
   }
 }
 
-// Mock document for DOM operations
-global.document = {
-  getElementById: vi.fn(() => ({ textContent: '' })),
-  dispatchEvent: vi.fn()
-};
-
 // Global Audio mock
 global.Audio = MockAudio;
 
+// Records every event `target` dispatches, in order
+function recordEvents(target) {
+  const recorded = [];
+  // State changes have tests of their own
+  PLAYER_EVENTS.filter(type => type !== 'statechange').forEach((type) => {
+    target.on(type, event => recorded.push({ type, detail: event.detail }));
+  });
+  return recorded;
+}
+
 describe('Advanced Sequencing Logic', () => {
   let player;
+  let events;
   const mockSongs = [
     { title: 'First Song', artist: 'Artist A', file: 'song1.mp3' },
     { title: 'Second Song', artist: 'Artist B', file: 'song2.mp3' },
@@ -92,6 +122,7 @@ describe('Advanced Sequencing Logic', () => {
 
   beforeEach(() => {
     player = new Player(mockSongs);
+    events = recordEvents(player);
     vi.clearAllMocks();
   });
 
@@ -256,115 +287,1306 @@ describe('Advanced Sequencing Logic', () => {
     });
   });
 
-  describe('Sequence Error Handling', () => {
-    it('should skip to next song on error during sequence', async () => {
-      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
-      
+  describe('Track Navigation', () => {
+    it('should do nothing when no song is loaded', () => {
+      expect(player.hasNext()).toBe(false);
+      expect(player.hasPrevious()).toBe(false);
+
+      player.next();
+      player.previous();
+
+      expect(player.currentIndex).toBe(null);
+      expect(player.audio).toBe(null);
+    });
+
+    it('should go to the next song outside Play All without starting a sequence', async () => {
+      await player.play(1);
+
+      player.next();
+
+      expect(player.currentIndex).toBe(2);
+      expect(player.isSequence).toBe(false);
+    });
+
+    it('should stay on the last song when skipping forward outside Play All', async () => {
+      await player.play(4);
+
+      expect(player.hasNext()).toBe(false);
+      player.next();
+
+      expect(player.currentIndex).toBe(4);
+      expect(player.audio).not.toBe(null);
+    });
+
+    it('should keep Play All active when skipping forward', async () => {
       await player.playAll();
-      expect(player.currentIndex).toBe(0);
-      
-      // Trigger error on first song
-      player.audio.triggerError();
-      await new Promise(resolve => setTimeout(resolve, 600)); // Increased delay for async handling
-      
+
+      player.next();
+
       expect(player.currentIndex).toBe(1);
       expect(player.isSequence).toBe(true);
-      expect(consoleSpy).toHaveBeenCalled();
-      
-      consoleSpy.mockRestore();
     });
 
-    it('should end sequence if error occurs on last song', async () => {
-      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
-      
+    it('should end Play All when skipping past the last song', async () => {
       await player.playAll();
-      
-      // Jump to last song
       for (let i = 0; i < mockSongs.length - 1; i++) {
-        player.audio.triggerEnded();
-        await new Promise(resolve => setTimeout(resolve, 5));
+        player.next();
       }
-      
-      expect(player.currentIndex).toBe(mockSongs.length - 1);
-      
-      // Trigger error on last song
-      player.audio.triggerError();
-      await new Promise(resolve => setTimeout(resolve, 15));
-      
+      expect(player.currentIndex).toBe(4);
+      expect(player.hasNext()).toBe(true);
+
+      player.next();
+
       expect(player.isSequence).toBe(false);
-      
-      consoleSpy.mockRestore();
+      expect(player.currentIndex).toBe(null);
+      expect(player.audio).toBe(null);
     });
 
-    it('should handle multiple consecutive errors in sequence', async () => {
-      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
-      
-      await player.playAll();
-      
-      // Trigger errors on first 3 songs with proper timing
-      for (let i = 0; i < 3; i++) {
-        if (player.audio && player.isSequence) {
-          player.audio.triggerError();
-          await new Promise(resolve => setTimeout(resolve, 600)); // Wait for async error handling
-        }
-      }
-      
+    it('should restart the song when previous is pressed after 3 seconds', async () => {
+      await player.play(2);
+      player.audio.simulateProgress(42);
+
+      player.previous();
+
+      expect(player.currentIndex).toBe(2);
+      expect(player.audio.currentTime).toBe(0);
+    });
+
+    it('should go back to the previously played song within the first 3 seconds', async () => {
+      await player.play(3);
+      await player.play(1);
+      player.audio.simulateProgress(2);
+
+      player.previous();
+
       expect(player.currentIndex).toBe(3);
+    });
+
+    it('should walk back through history in reverse order', async () => {
+      await player.play(0);
+      await player.play(4);
+      await player.play(2);
+
+      player.previous();
+      expect(player.currentIndex).toBe(4);
+
+      player.previous();
+      expect(player.currentIndex).toBe(0);
+      expect(player.history).toEqual([]);
+    });
+
+    it('should fall back to the preceding song when history is empty', async () => {
+      player.currentIndex = 3;
+      player.audio = new MockAudio('song4.mp3');
+
+      player.previous();
+
+      expect(player.currentIndex).toBe(2);
+    });
+
+    it('should restart the first song when there is nothing before it', async () => {
+      await player.play(0);
+      const firstAudio = player.audio;
+      firstAudio.simulateProgress(1);
+
+      player.previous();
+
+      expect(player.currentIndex).toBe(0);
+      expect(player.audio).toBe(firstAudio);
+      expect(player.audio.currentTime).toBe(0);
+    });
+
+    it('should keep Play All active when going back', async () => {
+      await player.playAll();
+      player.audio.triggerEnded();
+      await new Promise(resolve => setTimeout(resolve, 5));
+      expect(player.currentIndex).toBe(1);
+
+      player.previous();
+
+      expect(player.currentIndex).toBe(0);
       expect(player.isSequence).toBe(true);
-      
-      consoleSpy.mockRestore();
     });
-  });
 
-  describe('Sequence State Management', () => {
-    it('should maintain sequence state across audio instance changes', async () => {
+    it('should record songs reached through Play All in history', async () => {
       await player.playAll();
-      const firstAudio = player.audio;
-      
       player.audio.triggerEnded();
       await new Promise(resolve => setTimeout(resolve, 5));
-      
+      player.next();
+
+      expect(player.history).toEqual([0, 1]);
+    });
+
+    it('should cap the history length', async () => {
+      player.maxHistory = 3;
+      for (let i = 0; i < mockSongs.length; i++) {
+        await player.play(i);
+      }
+
+      expect(player.history).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe('Shuffle Order', () => {
+    it('should contain every index exactly once', () => {
+      const order = createShuffleOrder(11, createSeededRandom(1));
+
+      expect(order).toHaveLength(11);
+      expect([...order].sort((a, b) => a - b)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    });
+
+    it('should be deterministic for a given random source', () => {
+      expect(createShuffleOrder(8, createSeededRandom(42)))
+        .toEqual(createShuffleOrder(8, createSeededRandom(42)));
+    });
+
+    it('should follow the injected random values (Fisher-Yates)', () => {
+      // Always picking j = 0 rotates the list left by one
+      expect(createShuffleOrder(4, () => 0)).toEqual([1, 2, 3, 0]);
+      // Always picking j = i leaves the list untouched
+      expect(createShuffleOrder(4, () => 0.999)).toEqual([0, 1, 2, 3]);
+    });
+
+    it('should put a requested song first', () => {
+      const order = createShuffleOrder(5, createSeededRandom(3), { first: 2 });
+
+      expect(order[0]).toBe(2);
+      expect(order).toHaveLength(5);
+    });
+
+    it('should never start with the song to avoid', () => {
+      for (let seed = 0; seed < 50; seed++) {
+        const order = createShuffleOrder(5, createSeededRandom(seed), { avoidFirst: 1 });
+        expect(order[0]).not.toBe(1);
+        expect(new Set(order).size).toBe(5);
+      }
+    });
+
+    it('should handle empty and single-song lists', () => {
+      expect(createShuffleOrder(0, Math.random)).toEqual([]);
+      expect(createShuffleOrder(1, Math.random, { avoidFirst: 0 })).toEqual([0]);
+    });
+  });
+
+  describe('Playback Modes', () => {
+    async function finishCurrentSong(target = player) {
+      target.audio.triggerEnded();
+      await new Promise(resolve => setTimeout(resolve, 1));
+    }
+
+    it('should default to normal mode and report it in the playback state', () => {
+      expect(player.mode).toBe('normal');
+      expect(player.getPlaybackState().mode).toBe('normal');
+    });
+
+    it('should reject unknown modes', () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      player.setMode('loop-forever');
+
+      expect(player.mode).toBe('normal');
+      expect(consoleSpy).toHaveBeenCalledWith('Invalid playback mode:', 'loop-forever');
+      consoleSpy.mockRestore();
+    });
+
+    it('should cycle through all modes and dispatch mode', () => {
+      const seen = [];
+      for (let i = 0; i < 4; i++) {
+        player.cycleMode();
+        seen.push(player.getPlaybackState().mode);
+      }
+
+      expect(seen).toEqual(['repeat-all', 'repeat-one', 'shuffle', 'normal']);
+      expect(events[0]).toEqual({ type: 'mode', detail: { mode: 'repeat-all' } });
+    });
+
+    it('should replay the same song in repeat-one mode', async () => {
+      player.setMode('repeat-one');
+      await player.play(2);
+      const firstAudio = player.audio;
+
+      await finishCurrentSong();
+
+      expect(player.currentIndex).toBe(2);
       expect(player.audio).not.toBe(firstAudio);
+      expect(player.history).toEqual([]);
+    });
+
+    it('should keep Play All active while repeating one song', async () => {
+      player.setMode('repeat-one');
+      await player.playAll();
+
+      await finishCurrentSong();
+      await finishCurrentSong();
+
+      expect(player.currentIndex).toBe(0);
       expect(player.isSequence).toBe(true);
     });
 
-    it('should properly clean up audio instances during sequence', async () => {
+    it('should still skip forward in repeat-one mode', async () => {
+      player.setMode('repeat-one');
+      await player.play(4);
+
+      expect(player.hasNext()).toBe(true);
+      player.next();
+
+      expect(player.currentIndex).toBe(0);
+    });
+
+    it('should wrap around to the first song in repeat-all mode', async () => {
+      player.setMode('repeat-all');
       await player.playAll();
-      const audioInstances = [];
-      
-      // Collect audio instances as we progress
-      audioInstances.push(player.audio);
-      
-      for (let i = 0; i < 2; i++) {
-        player.audio.triggerEnded();
-        await new Promise(resolve => setTimeout(resolve, 5));
-        if (player.audio) {
-          audioInstances.push(player.audio);
-        }
+
+      for (let i = 0; i < mockSongs.length; i++) {
+        await finishCurrentSong();
       }
-      
-      // Each should be a unique instance
-      expect(audioInstances[0]).not.toBe(audioInstances[1]);
-      expect(audioInstances[1]).not.toBe(audioInstances[2]);
+
+      expect(player.currentIndex).toBe(0);
+      expect(player.isSequence).toBe(true);
     });
 
-    it('should dispatch DOM events during sequence progression', async () => {
-      const dispatchSpy = vi.spyOn(document, 'dispatchEvent');
-      
-      await player.playAll();
-      
-      // Progress through a couple songs
-      for (let i = 0; i < 2; i++) {
-        player.audio.triggerEnded();
-        await new Promise(resolve => setTimeout(resolve, 5));
+    it('should not auto-advance a manually played song in repeat-all mode', async () => {
+      player.setMode('repeat-all');
+      await player.play(1);
+
+      await finishCurrentSong();
+
+      expect(player.currentIndex).toBe(1);
+      expect(player.isSequence).toBe(false);
+    });
+
+    it('should play every song exactly once per shuffle cycle', async () => {
+      const shufflePlayer = new Player(mockSongs, { random: createSeededRandom(7) });
+      shufflePlayer.setMode('shuffle');
+      await shufflePlayer.playAll();
+
+      const played = [shufflePlayer.currentIndex];
+      for (let i = 1; i < mockSongs.length; i++) {
+        await finishCurrentSong(shufflePlayer);
+        played.push(shufflePlayer.currentIndex);
       }
-      
-      // Should have dispatched songchange events
-      expect(dispatchSpy).toHaveBeenCalled();
-      const calls = dispatchSpy.mock.calls.filter(call => 
-        call[0].type === 'songchange'
-      );
-      expect(calls.length).toBeGreaterThanOrEqual(3); // Initial + 2 progressions
+
+      expect(new Set(played).size).toBe(mockSongs.length);
+      expect(played).toEqual(shufflePlayer.shuffleOrder);
+    });
+
+    it('should reshuffle without repeating the last song of the previous cycle', async () => {
+      for (let seed = 0; seed < 20; seed++) {
+        const shufflePlayer = new Player(mockSongs, { random: createSeededRandom(seed) });
+        shufflePlayer.setMode('shuffle');
+        await shufflePlayer.playAll();
+
+        for (let i = 1; i < mockSongs.length; i++) {
+          await finishCurrentSong(shufflePlayer);
+        }
+        const lastOfCycle = shufflePlayer.currentIndex;
+
+        await finishCurrentSong(shufflePlayer);
+
+        expect(shufflePlayer.currentIndex).not.toBe(lastOfCycle);
+        expect(shufflePlayer.shuffleOrder[0]).toBe(shufflePlayer.currentIndex);
+        expect(shufflePlayer.isSequence).toBe(true);
+      }
+    });
+
+    it('should count the current song as played when shuffle is turned on', async () => {
+      const shufflePlayer = new Player(mockSongs, { random: createSeededRandom(11) });
+      await shufflePlayer.play(3);
+
+      shufflePlayer.setMode('shuffle');
+
+      expect(shufflePlayer.shuffleOrder[0]).toBe(3);
+      shufflePlayer.next();
+      expect(shufflePlayer.currentIndex).toBe(shufflePlayer.shuffleOrder[1]);
+    });
+
+    it('should stop retrying once every song has failed in a repeat mode', async () => {
+      const consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      player.setMode('repeat-all');
+      player.isSequence = true;
+      player.currentIndex = 0;
+      player.audio = new MockAudio('song1.mp3');
+      player.state = 'playing';
+      player.consecutiveErrors = mockSongs.length - 1;
+
+      player.handlePlaybackError(mockSongs[0]);
+
+      expect(player.isSequence).toBe(false);
+      expect(player.currentIndex).toBe(null);
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('Play Queue', () => {
+    async function finishCurrentSong() {
+      player.audio.triggerEnded();
+      await new Promise(resolve => setTimeout(resolve, 1));
+    }
+
+    it('should add songs to the end or the front of the queue', () => {
+      player.enqueue(1);
+      player.enqueue(2);
+      player.insertNext(4);
+
+      expect(player.getQueue()).toEqual([4, 1, 2]);
+      expect(events[events.length - 1]).toEqual({ type: 'queue', detail: { queue: [4, 1, 2] } });
+    });
+
+    it('should reject invalid song indices', () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      player.enqueue(99);
+      player.insertNext(-1);
+
+      expect(player.getQueue()).toEqual([]);
+      expect(consoleSpy).toHaveBeenCalledWith('Invalid song index:', 99);
+      expect(events).toEqual([]);
+      consoleSpy.mockRestore();
+    });
+
+    it('should remove, reorder and clear queued songs', () => {
+      [0, 1, 2, 3].forEach(index => player.enqueue(index));
+
+      player.removeFromQueue(1);
+      expect(player.getQueue()).toEqual([0, 2, 3]);
+
+      player.moveInQueue(2, 0);
+      expect(player.getQueue()).toEqual([3, 0, 2]);
+
+      player.clearQueue();
+      expect(player.getQueue()).toEqual([]);
+    });
+
+    it('should reject invalid queue positions', () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      player.enqueue(0);
+
+      player.removeFromQueue(3);
+      player.moveInQueue(0, 5);
+
+      expect(player.getQueue()).toEqual([0]);
+      expect(consoleSpy).toHaveBeenCalledWith('Invalid queue position:', 3);
+      expect(consoleSpy).toHaveBeenCalledWith('Invalid queue move:', 0, 5);
+      consoleSpy.mockRestore();
+    });
+
+    it('should return a copy of the queue', () => {
+      player.enqueue(0);
+      player.getQueue().push(4);
+
+      expect(player.getQueue()).toEqual([0]);
+    });
+
+    it('should play queued songs after a manually played song ends', async () => {
+      await player.play(0);
+      player.enqueue(3);
+
+      await finishCurrentSong();
+
+      expect(player.currentIndex).toBe(3);
+      expect(player.getQueue()).toEqual([]);
+      expect(player.isSequence).toBe(false);
+    });
+
+    it('should play queued songs before continuing Play All', async () => {
+      await player.playAll();
+      player.enqueue(4);
+      player.enqueue(3);
+
+      await finishCurrentSong();
+      expect(player.currentIndex).toBe(4);
+      expect(player.isSequence).toBe(true);
+
+      await finishCurrentSong();
+      expect(player.currentIndex).toBe(3);
+
+      // The list picks up after the song that was playing before the queue
+      await finishCurrentSong();
+      expect(player.currentIndex).toBe(1);
+      expect(player.queueReturnIndex).toBe(null);
+    });
+
+    it('should take the next song from the queue when skipping', async () => {
+      await player.play(1);
+      player.insertNext(4);
+
+      expect(player.hasNext()).toBe(true);
+      player.next();
+
+      expect(player.currentIndex).toBe(4);
+      expect(player.getQueue()).toEqual([]);
+    });
+
+    it('should forget the return position when a song is picked manually', async () => {
+      await player.play(1);
+      player.enqueue(4);
+      player.next();
+      expect(player.queueReturnIndex).toBe(1);
+
+      await player.play(2);
+
+      expect(player.queueReturnIndex).toBe(null);
+      player.next();
+      expect(player.currentIndex).toBe(3);
+    });
+  });
+
+  describe('Gapless and Crossfade', () => {
+    async function settle() {
+      await new Promise(resolve => setTimeout(resolve, 1));
+    }
+
+    it('should clamp the crossfade to 0-12 seconds and reject non-numbers', () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      player.setCrossfade(20);
+      expect(player.crossfade).toBe(12);
+      player.setCrossfade(-1);
+      expect(player.crossfade).toBe(0);
+      player.setCrossfade('slow');
+      expect(player.crossfade).toBe(0);
+      expect(consoleSpy).toHaveBeenCalledWith('Invalid crossfade duration:', 'slow');
+
+      player.setCrossfade(4);
+      expect(events[events.length - 1]).toEqual({ type: 'transition', detail: { crossfade: 4, gapless: false } });
+      consoleSpy.mockRestore();
+    });
+
+    it('should preload the next song near the end in gapless mode and reuse it', async () => {
+      player.setGapless(true);
+      await player.playAll();
+
+      player.audio.simulateProgress(150);
+      expect(player.preloaded).toBe(null);
+
+      player.audio.simulateProgress(172);
+      expect(player.preloaded.index).toBe(1);
+      const preloadedAudio = player.preloaded.audio;
+      expect(preloadedAudio.src).toBe('song2.mp3');
+      expect(preloadedAudio.preload).toBe('auto');
+
+      player.audio.triggerEnded();
+      await settle();
+
+      expect(player.currentIndex).toBe(1);
+      expect(player.audio).toBe(preloadedAudio);
+      expect(preloadedAudio.src).toBe('song2.mp3');
+      expect(player.state).toBe('playing');
+      expect(player.preloaded).toBe(null);
+    });
+
+    it('should preload queued songs first and skip preloading without a next song', async () => {
+      player.setGapless(true);
+      await player.play(2);
+
+      player.audio.simulateProgress(175);
+      expect(player.preloaded).toBe(null);
+
+      player.enqueue(4);
+      player.audio.simulateProgress(176);
+      expect(player.preloaded.index).toBe(4);
+    });
+
+    it('should not use a preloaded song that is no longer next', async () => {
+      player.setGapless(true);
+      await player.playAll();
+      player.audio.simulateProgress(172);
+      const preloadedAudio = player.preloaded.audio;
+
+      player.insertNext(3);
+      player.audio.triggerEnded();
+      await settle();
+
+      expect(player.currentIndex).toBe(3);
+      expect(player.audio).not.toBe(preloadedAudio);
+    });
+
+    it('should overlap the next song for the crossfade duration', async () => {
+      player.setCrossfade(6);
+      await player.playAll();
+      await settle();
+      const outgoing = player.audio;
+
+      outgoing.simulateProgress(173);
+      expect(player.crossfadeState).toBe(null);
+
+      outgoing.simulateProgress(174);
+      const incoming = player.audio;
+      expect(incoming).not.toBe(outgoing);
+      expect(player.currentIndex).toBe(1);
+      expect(outgoing.paused).toBe(false);
+      expect(incoming.volume).toBe(0);
+
+      // Halfway through, both songs play at equal power
+      outgoing.currentTime = 177;
+      player.updateCrossfade();
+      expect(outgoing.volume).toBeCloseTo(Math.SQRT1_2);
+      expect(incoming.volume).toBeCloseTo(Math.SQRT1_2);
+
+      outgoing.currentTime = 180;
+      player.updateCrossfade();
+      expect(outgoing.paused).toBe(true);
+      expect(incoming.volume).toBe(1);
+      expect(player.crossfadeState).toBe(null);
+      await settle();
+      expect(player.isSequence).toBe(true);
+    });
+
+    it('should scale crossfade volumes by the player volume', async () => {
+      player.setCrossfade(4);
+      player.setVolume(0.5);
+      await player.playAll();
+      await settle();
+      const outgoing = player.audio;
+
+      outgoing.simulateProgress(176);
+      outgoing.currentTime = 177;
+      player.updateCrossfade();
+
+      expect(outgoing.volume).toBeCloseTo(0.5 * fadeOutGain(0.25));
+      expect(player.audio.volume).toBeCloseTo(0.5 * fadeInGain(0.25));
+      player.stop();
+    });
+
+    it('should not advance again when the faded-out song ends', async () => {
+      player.setCrossfade(4);
+      await player.playAll();
+      await settle();
+      const outgoing = player.audio;
+      outgoing.simulateProgress(177);
+      await settle();
+
+      outgoing.triggerEnded();
+      await settle();
+
+      expect(player.currentIndex).toBe(1);
+      expect(player.crossfadeState).toBe(null);
+      expect(outgoing.paused).toBe(true);
+    });
+
+    it('should not crossfade when nothing follows the song', async () => {
+      player.setCrossfade(4);
+      await player.play(4);
+      await settle();
+      const audio = player.audio;
+
+      audio.simulateProgress(178);
+
+      expect(player.audio).toBe(audio);
+      expect(player.crossfadeState).toBe(null);
+    });
+
+    it('should cut the fading song when playback is paused or another song is picked', async () => {
+      player.setCrossfade(4);
+      await player.playAll();
+      await settle();
+      let outgoing = player.audio;
+      outgoing.simulateProgress(177);
+      await settle();
+
+      player.pause();
+      expect(outgoing.paused).toBe(true);
+      expect(player.crossfadeState).toBe(null);
+
+      player.resume();
+      await settle();
+      outgoing = player.audio;
+      outgoing.simulateProgress(177);
+      player.play(4);
+
+      expect(outgoing.paused).toBe(true);
+      expect(player.crossfadeState).toBe(null);
+    });
+  });
+
+  describe('Source Fallback', () => {
+    // Browser without Ogg support; like a real element, loading a new src
+    // clears the previous error and starts from the beginning
+    class FormatAudio extends MockAudio {
+      get src() {
+        return this.currentSrc;
+      }
+
+      set src(value) {
+        this.currentSrc = value;
+        this.error = null;
+        this.currentTime = 0;
+      }
+
+      canPlayType(type) {
+        return { 'audio/mpeg': 'probably', 'audio/wav': 'maybe', 'audio/flac': 'maybe' }[type] || '';
+      }
+    }
+
+    const multiFormatSongs = [
+      {
+        title: 'Multi One',
+        artist: 'Artist A',
+        sources: [
+          { src: 'one.ogg', type: 'audio/ogg' },
+          { src: 'one.mp3', type: 'audio/mpeg' },
+          { src: 'one.wav', type: 'audio/wav' }
+        ]
+      },
+      {
+        title: 'Multi Two',
+        artist: 'Artist B',
+        sources: [
+          { src: 'two.flac', type: 'audio/flac' },
+          { src: 'two.wav', type: 'audio/wav' }
+        ]
+      },
+      {
+        title: 'Ogg Only',
+        artist: 'Artist C',
+        sources: [{ src: 'three.ogg', type: 'audio/ogg' }]
+      }
+    ];
+
+    async function settle() {
+      await new Promise(resolve => setTimeout(resolve, 1));
+    }
+
+    beforeEach(() => {
+      global.Audio = FormatAudio;
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      player = new Player(multiFormatSongs);
+      events = recordEvents(player);
+    });
+
+    afterEach(() => {
+      global.Audio = MockAudio;
+      vi.restoreAllMocks();
+    });
+
+    const errorEvents = () => events.filter(event => event.type === 'error');
+
+    it('should start with the first source the browser can play', () => {
+      player.play(0);
+
+      expect(player.audio.src).toBe('one.mp3');
+    });
+
+    it('should fall through to the next source on a decode error', async () => {
+      player.play(0);
+      const audio = player.audio;
+
+      audio.triggerError();
+      await settle();
+
+      expect(player.audio).toBe(audio);
+      expect(audio.src).toBe('one.wav');
+      expect(audio.playCount).toBe(2);
+      expect(player.isPlaying).toBe(true);
+      expect(errorEvents()).toEqual([]);
+    });
+
+    it('should keep the resume position when falling back', () => {
+      player.play(0, false, { startAt: 42 });
+      player.audio.currentTime = 0;
+
+      player.audio.triggerError();
+
+      expect(player.audio.currentTime).toBe(42);
+    });
+
+    it('should report the error once every source has failed', async () => {
+      player.play(0);
+
+      player.audio.triggerError();
+      player.audio.triggerError();
+      await settle();
+
+      expect(errorEvents()).toEqual([{ type: 'error', detail: { index: 0, song: multiFormatSongs[0], type: 'decode' } }]);
+    });
+
+    it('should skip to the next song when every source fails during Play All', async () => {
+      await player.playAll();
+
+      player.audio.triggerError();
+      player.audio.triggerError();
+      await new Promise(resolve => setTimeout(resolve, 600));
+
+      expect(player.currentIndex).toBe(1);
+      expect(player.audio.src).toBe('two.flac');
+    });
+
+    it('should treat a song with no playable format as an error', async () => {
+      player.play(2);
+
+      expect(player.audio).toBe(null);
+      expect(player.currentIndex).toBe(2);
+      expect(console.error).toHaveBeenCalledWith('No supported audio format for:', 'Ogg Only');
+      expect(errorEvents()).toEqual([{ type: 'error', detail: { index: 2, song: multiFormatSongs[2], type: 'unsupported' } }]);
+    });
+
+    describe('after network errors', () => {
+      function failOffline(audio) {
+        audio.error = { code: MEDIA_ERROR_CODES.NETWORK };
+        audio.dispatchEvent({ type: 'error' });
+      }
+
+      const retryEvents = () => events.filter(event => event.type === 'retry');
+
+      beforeEach(() => {
+        player.retryDelay = 5;
+      });
+
+      it('should try the next source before retrying', async () => {
+        player.play(0);
+        await settle();
+
+        failOffline(player.audio);
+        await settle();
+
+        expect(player.audio.src).toBe('one.wav');
+        expect(retryEvents()).toEqual([]);
+        expect(player.state).toBe('playing');
+      });
+
+      it('should carry on where the song broke off', async () => {
+        player.play(0);
+        await settle();
+        player.audio.currentTime = 95;
+
+        failOffline(player.audio);
+
+        expect(player.audio.src).toBe('one.wav');
+        expect(player.audio.currentTime).toBe(95);
+      });
+
+      it('should retry the last source once every source has failed', async () => {
+        player.play(0);
+        const audio = player.audio;
+        const load = vi.spyOn(audio, 'load');
+
+        failOffline(audio);
+        failOffline(audio);
+
+        expect(retryEvents()).toEqual([{ type: 'retry', detail: { index: 0, song: multiFormatSongs[0], attempt: 1, delay: 5 } }]);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        expect(load).toHaveBeenCalledTimes(1);
+        expect(audio.src).toBe('one.wav');
+        expect(player.state).toBe('playing');
+        expect(errorEvents()).toEqual([]);
+      });
+
+      it('should not retry when another source failed for another reason', () => {
+        player.play(0);
+
+        player.audio.triggerError();
+        failOffline(player.audio);
+
+        expect(retryEvents()).toEqual([]);
+        expect(errorEvents()).toEqual([{ type: 'error', detail: { index: 0, song: multiFormatSongs[0], type: 'network' } }]);
+      });
+    });
+
+    it('should fall back while preloading for gapless playback', async () => {
+      player.setGapless(true);
+      await player.playAll();
+      await settle();
+
+      player.audio.simulateProgress(175);
+      const preloaded = player.preloaded.audio;
+      expect(preloaded.src).toBe('two.flac');
+
+      preloaded.triggerError();
+      expect(preloaded.src).toBe('two.wav');
+
+      player.audio.triggerEnded();
+      expect(player.audio).toBe(preloaded);
+    });
+  });
+
+  describe('Network Retry', () => {
+    function failWith(audio, code) {
+      audio.error = { code };
+      audio.dispatchEvent({ type: 'error' });
+    }
+
+    const typesOf = type => events.filter(event => event.type === type);
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+      vi.restoreAllMocks();
+    });
+
+    it('should reload the song after a network error and carry on where it was', async () => {
+      player.play(0);
+      await vi.advanceTimersByTimeAsync(1);
+      const audio = player.audio;
+      const load = vi.spyOn(audio, 'load');
+      audio.currentTime = 42;
+
+      failWith(audio, MEDIA_ERROR_CODES.NETWORK);
+
+      expect(player.state).toBe('buffering');
+      expect(typesOf('retry')).toEqual([{ type: 'retry', detail: { index: 0, song: mockSongs[0], attempt: 1, delay: 1000 } }]);
+
+      await vi.advanceTimersByTimeAsync(999);
+      expect(load).not.toHaveBeenCalled();
+      await vi.advanceTimersByTimeAsync(2);
+
+      expect(load).toHaveBeenCalledTimes(1);
+      expect(audio.currentTime).toBe(42);
+      expect(player.audio).toBe(audio);
+      expect(player.state).toBe('playing');
+      expect(typesOf('songchange')).toHaveLength(1);
+      expect(typesOf('play')).toHaveLength(2);
+      expect(typesOf('error')).toEqual([]);
+    });
+
+    it('should wait twice as long each time, then report a network error', async () => {
+      player.play(0);
+      await vi.advanceTimersByTimeAsync(1);
+
+      for (let attempt = 1; attempt <= 3; attempt++) {
+        failWith(player.audio, MEDIA_ERROR_CODES.NETWORK);
+        await vi.advanceTimersByTimeAsync(8000);
+      }
+      failWith(player.audio, MEDIA_ERROR_CODES.NETWORK);
+
+      expect(typesOf('retry').map(event => event.detail.delay)).toEqual([1000, 2000, 4000]);
+      expect(typesOf('error')).toEqual([{ type: 'error', detail: { index: 0, song: mockSongs[0], type: 'network' } }]);
+      expect(player.state).toBe('error');
+    });
+
+    it('should reload without playing when paused during the wait', async () => {
+      player.play(0);
+      await vi.advanceTimersByTimeAsync(1);
+      const audio = player.audio;
+      const load = vi.spyOn(audio, 'load');
+
+      failWith(audio, MEDIA_ERROR_CODES.NETWORK);
+      player.pause();
+      await vi.advanceTimersByTimeAsync(1000);
+
+      expect(load).toHaveBeenCalled();
+      expect(audio.playCount).toBe(1);
+      expect(player.state).toBe('paused');
+    });
+
+    it('should give up the retry when another song is picked', async () => {
+      player.play(0);
+      await vi.advanceTimersByTimeAsync(1);
+      const audio = player.audio;
+      const load = vi.spyOn(audio, 'load');
+
+      failWith(audio, MEDIA_ERROR_CODES.NETWORK);
+      player.play(3);
+      // Once, to drop the released element's source
+      expect(load).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(1000);
+
+      expect(load).toHaveBeenCalledTimes(1);
+      expect(player.currentIndex).toBe(3);
+      expect(player.state).toBe('playing');
+    });
+
+    it('should neither retry nor report an aborted load', async () => {
+      player.play(0);
+      await vi.advanceTimersByTimeAsync(1);
+      const audio = player.audio;
+
+      failWith(audio, MEDIA_ERROR_CODES.ABORTED);
+      await vi.advanceTimersByTimeAsync(8000);
+
+      expect(typesOf('retry')).toEqual([]);
+      expect(typesOf('error')).toEqual([]);
+      expect(player.audio).toBe(audio);
+      expect(player.state).toBe('playing');
+    });
+
+    it('should report other errors right away', async () => {
+      player.play(0);
+      await vi.advanceTimersByTimeAsync(1);
+
+      failWith(player.audio, MEDIA_ERROR_CODES.DECODE);
+
+      expect(typesOf('retry')).toEqual([]);
+      expect(typesOf('error').map(event => event.detail.type)).toEqual(['decode']);
+    });
+  });
+
+  describe('Missing Files', () => {
+    const typesOf = type => events.filter(event => event.type === type);
+
+    beforeEach(() => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    async function failUnsupported(checkSource) {
+      player = new Player(mockSongs, { checkSource });
+      events = recordEvents(player);
+      player.play(1);
+      player.audio.error = { code: MEDIA_ERROR_CODES.SRC_NOT_SUPPORTED };
+      player.audio.dispatchEvent({ type: 'error' });
+      await new Promise(resolve => setTimeout(resolve, 1));
+      return typesOf('error').map(event => event.detail.type);
+    }
+
+    it('should report a source the server does not have as not found', async () => {
+      const checkSource = vi.fn(async () => 404);
+
+      expect(await failUnsupported(checkSource)).toEqual(['not-found']);
+      expect(checkSource).toHaveBeenCalledWith('song2.mp3');
+    });
+
+    it('should keep unsupported when the file is there or the check fails', async () => {
+      expect(await failUnsupported(async () => 200)).toEqual(['unsupported']);
+      expect(await failUnsupported(async () => { throw new Error('offline'); })).toEqual(['unsupported']);
+    });
+
+    it('should report unsupported right away without a check', async () => {
+      player = new Player(mockSongs, { checkSource: null });
+      events = recordEvents(player);
+      player.play(1);
+
+      player.audio.error = { code: MEDIA_ERROR_CODES.SRC_NOT_SUPPORTED };
+      player.audio.dispatchEvent({ type: 'error' });
+
+      expect(typesOf('error').map(event => event.detail.type)).toEqual(['unsupported']);
+    });
+
+    it('should drop the check result once another song is playing', async () => {
+      let answer;
+      player = new Player(mockSongs, { checkSource: () => new Promise(resolve => { answer = resolve; }) });
+      events = recordEvents(player);
+      player.play(1);
+      player.audio.error = { code: MEDIA_ERROR_CODES.SRC_NOT_SUPPORTED };
+      player.audio.dispatchEvent({ type: 'error' });
+      await Promise.resolve();
+
+      player.play(2);
+      answer(404);
+      await new Promise(resolve => setTimeout(resolve, 1));
+
+      expect(typesOf('error')).toEqual([]);
+    });
+
+    it('should report a song without any audio file as not found', () => {
+      player = new Player([{ title: 'Demo', artist: 'Artist F' }]);
+      events = recordEvents(player);
+
+      player.play(0);
+
+      expect(typesOf('error').map(event => event.detail.type)).toEqual(['not-found']);
+    });
+  });
+
+  describe('Sequence Error Handling', () => {
+    it('should skip to next song on error during sequence', async () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      
+      await player.playAll();
+      expect(player.currentIndex).toBe(0);
+      
+      // Trigger error on first song
+      player.audio.triggerError();
+      await new Promise(resolve => setTimeout(resolve, 600)); // Increased delay for async handling
+      
+      expect(player.currentIndex).toBe(1);
+      expect(player.isSequence).toBe(true);
+      expect(consoleSpy).toHaveBeenCalled();
+      
+      consoleSpy.mockRestore();
+    });
+
+    it('should end sequence if error occurs on last song', async () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      
+      await player.playAll();
+      
+      // Jump to last song
+      for (let i = 0; i < mockSongs.length - 1; i++) {
+        player.audio.triggerEnded();
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      
+      expect(player.currentIndex).toBe(mockSongs.length - 1);
+      
+      // Trigger error on last song
+      player.audio.triggerError();
+      await new Promise(resolve => setTimeout(resolve, 15));
+      
+      expect(player.isSequence).toBe(false);
+      
+      consoleSpy.mockRestore();
+    });
+
+    it('should handle multiple consecutive errors in sequence', async () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      
+      await player.playAll();
+      
+      // Trigger errors on first 3 songs with proper timing
+      for (let i = 0; i < 3; i++) {
+        if (player.audio && player.isSequence) {
+          player.audio.triggerError();
+          await new Promise(resolve => setTimeout(resolve, 600)); // Wait for async error handling
+        }
+      }
+      
+      expect(player.currentIndex).toBe(3);
+      expect(player.isSequence).toBe(true);
+      
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('Sequence State Management', () => {
+    it('should maintain sequence state across audio instance changes', async () => {
+      await player.playAll();
+      const firstAudio = player.audio;
+      
+      player.audio.triggerEnded();
+      await new Promise(resolve => setTimeout(resolve, 5));
+      
+      expect(player.audio).not.toBe(firstAudio);
+      expect(player.isSequence).toBe(true);
+    });
+
+    it('should properly clean up audio instances during sequence', async () => {
+      await player.playAll();
+      const audioInstances = [];
+      
+      // Collect audio instances as we progress
+      audioInstances.push(player.audio);
+      
+      for (let i = 0; i < 2; i++) {
+        player.audio.triggerEnded();
+        await new Promise(resolve => setTimeout(resolve, 5));
+        if (player.audio) {
+          audioInstances.push(player.audio);
+        }
+      }
+      
+      // Each should be a unique instance
+      expect(audioInstances[0]).not.toBe(audioInstances[1]);
+      expect(audioInstances[1]).not.toBe(audioInstances[2]);
+    });
+
+    it('should dispatch events during sequence progression', async () => {
+      player.playAll();
+      await new Promise(resolve => setTimeout(resolve, 1));
+      
+      // Progress through a couple songs
+      for (let i = 0; i < 2; i++) {
+        player.audio.triggerEnded();
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      
+      // Should have dispatched songchange events, and ended for each song left
+      const songChanges = events.filter(event => event.type === 'songchange');
+      expect(songChanges.length).toBeGreaterThanOrEqual(3); // Initial + 2 progressions
+      expect(events.filter(event => event.type === 'ended')).toHaveLength(2);
+    });
+  });
+
+  describe('Rapid Song Switching', () => {
+    // Each audio.play() call waits until the test settles it
+    let requests;
+
+    function settle(position, outcome = 'resolve') {
+      const request = requests[position];
+      if (outcome === 'resolve') {
+        request.resolve();
+      } else {
+        request.reject(new DOMException('The play() request was interrupted', 'AbortError'));
+      }
+      return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    const songChanges = () => events.filter(event => event.type === 'songchange').map(event => event.detail.index);
+
+    beforeEach(() => {
+      requests = [];
+      vi.spyOn(MockAudio.prototype, 'play').mockImplementation(function () {
+        this.paused = false;
+        return new Promise((resolve, reject) => requests.push({ audio: this, resolve, reject }));
+      });
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+      vi.restoreAllMocks();
+    });
+
+    it('should only let the last of three quick picks change songs', async () => {
+      player.play(0);
+      player.play(1);
+      player.play(2);
+
+      await settle(2);
+      await settle(0);
+      await settle(1);
+
+      expect(songChanges()).toEqual([2]);
+      expect(player.currentIndex).toBe(2);
+      expect(player.state).toBe('playing');
+    });
+
+    it('should ignore older requests that resolve before the latest one', async () => {
+      player.play(0);
+      player.play(1);
+      player.play(2);
+
+      await settle(0);
+      await settle(1);
+
+      expect(songChanges()).toEqual([]);
+      expect(player.state).toBe('loading');
+      expect(player.isPlaying).toBe(false);
+
+      await settle(2);
+
+      expect(songChanges()).toEqual([2]);
+      expect(events.filter(event => event.type === 'play')).toHaveLength(1);
+    });
+
+    it('should ignore an older request that fails after the latest one started', async () => {
+      player.play(0);
+      player.play(1);
+
+      await settle(1);
+      await settle(0, 'reject');
+
+      expect(player.state).toBe('playing');
+      expect(player.currentIndex).toBe(1);
+    });
+
+    it('should pause when the latest request fails', async () => {
+      player.play(0);
+      player.play(1);
+
+      await settle(0);
+      await settle(1, 'reject');
+
+      expect(player.state).toBe('paused');
+      expect(songChanges()).toEqual([]);
+    });
+
+    it('should not start a song that was stopped while loading', async () => {
+      player.play(0);
+      player.stop();
+
+      await settle(0);
+
+      expect(player.state).toBe('idle');
+      expect(player.currentIndex).toBeNull();
+      expect(songChanges()).toEqual([]);
+    });
+
+    it('should not let a resume that settles after a new pick take over', async () => {
+      player.play(0);
+      await settle(0);
+
+      player.pause();
+      player.resume();
+      player.play(2);
+      await settle(2);
+      await settle(1);
+
+      expect(player.currentIndex).toBe(2);
+      expect(events.filter(event => event.type === 'play').map(event => event.detail.index)).toEqual([0, 2]);
+    });
+
+    it('should not let a resume that settles after stop() restart playback', async () => {
+      player.play(0);
+      await settle(0);
+
+      player.pause();
+      player.resume();
+      player.stop();
+      await settle(1);
+
+      expect(player.state).toBe('idle');
+    });
+
+    it('should take its listeners off discarded audio elements', async () => {
+      player.play(0);
+      const first = player.audio;
+      player.play(1);
+
+      Object.values(first.eventListeners).forEach((listeners) => {
+        expect(listeners).toHaveLength(0);
+      });
+
+      // Late events from the old element no longer reach the player
+      first.triggerError();
+      first.triggerEnded();
+      await settle(1);
+
+      expect(events.filter(event => event.type === 'error' || event.type === 'ended')).toEqual([]);
+      expect(player.currentIndex).toBe(1);
+    });
+
+    it('should take its listeners off a stopped element', () => {
+      player.play(0);
+      const audio = player.audio;
+
+      player.stop();
+
+      Object.values(audio.eventListeners).forEach((listeners) => {
+        expect(listeners).toHaveLength(0);
+      });
+    });
+
+    it('should take its listeners off a discarded preload', async () => {
+      player.setGapless(true);
+      player.playAll();
+      await settle(0);
+      player.audio.simulateProgress(175);
+      const preloaded = player.preloaded.audio;
+
+      player.stop();
+
+      expect(preloaded.eventListeners.error).toHaveLength(0);
+    });
+
+    it('should stop released elements from downloading', async () => {
+      player.setGapless(true);
+      player.playAll();
+      await settle(0);
+      const first = player.audio;
+      first.simulateProgress(175);
+      const preloaded = player.preloaded.audio;
+      const loads = [vi.spyOn(first, 'load'), vi.spyOn(preloaded, 'load')];
+
+      player.play(3);
+
+      [first, preloaded].forEach((audio) => {
+        expect(audio.paused).toBe(true);
+        expect(audio.src).toBe('');
+      });
+      loads.forEach(load => expect(load).toHaveBeenCalledTimes(1));
+      expect(player.audio.src).toBe('song4.mp3');
+    });
+
+    it('should cancel the skip past a broken song when another is picked', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      vi.useFakeTimers();
+      player.playAll();
+      player.audio.triggerError();
+
+      player.play(3);
+      vi.advanceTimersByTime(600);
+
+      expect(player.currentIndex).toBe(3);
+      expect(requests).toHaveLength(2);
     });
   });
 
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import {
+  AUDIO_MIME_TYPES,
+  getMimeType,
+  getSongSources,
+  selectPlayableSources
+} from '../scripts/sources.js';
+
+describe('Sources Module', () => {
+  describe('getMimeType', () => {
+    it('should map known extensions regardless of case', () => {
+      expect(getMimeType('assets/audio/song.mp3')).toBe('audio/mpeg');
+      expect(getMimeType('song.OGG')).toBe('audio/ogg');
+      expect(getMimeType('song.flac')).toBe(AUDIO_MIME_TYPES.flac);
+      expect(getMimeType('song.wav')).toBe('audio/wav');
+    });
+
+    it('should return an empty string for unknown or missing extensions', () => {
+      expect(getMimeType('song.xyz')).toBe('');
+      expect(getMimeType('song')).toBe('');
+      expect(getMimeType(undefined)).toBe('');
+    });
+  });
+
+  describe('getSongSources', () => {
+    it('should return declared sources in order', () => {
+      const sources = [
+        { src: 'a.ogg', type: 'audio/ogg' },
+        { src: 'a.mp3', type: 'audio/mpeg' }
+      ];
+
+      expect(getSongSources({ sources })).toEqual(sources);
+    });
+
+    it('should skip sources without a src', () => {
+      const song = { sources: [null, { type: 'audio/ogg' }, { src: '' }, { src: 'a.wav', type: 'audio/wav' }] };
+
+      expect(getSongSources(song)).toEqual([{ src: 'a.wav', type: 'audio/wav' }]);
+    });
+
+    it('should turn a single file into a typed source', () => {
+      expect(getSongSources({ file: 'song1.mp3' })).toEqual([{ src: 'song1.mp3', type: 'audio/mpeg' }]);
+    });
+
+    it('should return an empty list for songs without audio', () => {
+      expect(getSongSources({ title: 'Silent' })).toEqual([]);
+      expect(getSongSources(null)).toEqual([]);
+    });
+  });
+
+  describe('selectPlayableSources', () => {
+    const sources = [
+      { src: 'a.flac', type: 'audio/flac' },
+      { src: 'a.ogg', type: 'audio/ogg' },
+      { src: 'a.mp3', type: 'audio/mpeg' },
+      { src: 'a.bin' }
+    ];
+
+    it('should drop types the browser cannot play and keep the order', () => {
+      // Safari-like: no Ogg Vorbis
+      const canPlayType = type => ({ 'audio/flac': 'maybe', 'audio/mpeg': 'probably' })[type] || '';
+
+      expect(selectPlayableSources(sources, canPlayType).map(source => source.src)).toEqual(['a.flac', 'a.mp3', 'a.bin']);
+    });
+
+    it('should keep untyped sources even when nothing else plays', () => {
+      expect(selectPlayableSources(sources, () => '')).toEqual([{ src: 'a.bin' }]);
+    });
+  });
+});
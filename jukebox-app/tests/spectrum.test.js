@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { getLogBinRanges, groupBins, getRmsLevel, toMeterLevel } from '../scripts/spectrum.js';
+
+describe('Spectrum Module', () => {
+  describe('getLogBinRanges', () => {
+    const options = { sampleRate: 44100, minFrequency: 40, maxFrequency: 16000 };
+
+    it('should return one range per bar', () => {
+      expect(getLogBinRanges(1024, 32, options)).toHaveLength(32);
+    });
+
+    it('should cover the bins in order without overlapping', () => {
+      const ranges = getLogBinRanges(1024, 32, options);
+
+      ranges.forEach(({ start, end }, index) => {
+        expect(end).toBeGreaterThan(start);
+        if (index > 0) {
+          expect(start).toBeGreaterThanOrEqual(ranges[index - 1].end);
+        }
+      });
+    });
+
+    it('should give higher bars more bins than lower ones', () => {
+      const ranges = getLogBinRanges(1024, 16, options);
+      const widths = ranges.map(({ start, end }) => end - start);
+
+      expect(widths[widths.length - 1]).toBeGreaterThan(widths[0]);
+      expect(widths[widths.length - 1]).toBeGreaterThan(widths[Math.floor(widths.length / 2)]);
+    });
+
+    it('should map the frequency limits to the matching bins', () => {
+      const binWidth = 22050 / 1024;
+      const ranges = getLogBinRanges(1024, 8, options);
+
+      expect(ranges[0].start).toBe(Math.floor(40 / binWidth));
+      expect(ranges[ranges.length - 1].end).toBe(Math.floor(16000 / binWidth));
+    });
+
+    it('should stay within the available bins', () => {
+      const ranges = getLogBinRanges(16, 32, { sampleRate: 8000 });
+
+      ranges.forEach(({ start, end }) => {
+        expect(start).toBeGreaterThanOrEqual(0);
+        expect(end).toBeLessThanOrEqual(16);
+      });
+    });
+
+    it('should repeat the last bin when there are more bars than bins', () => {
+      const ranges = getLogBinRanges(4, 8, { sampleRate: 8000 });
+
+      expect(ranges).toHaveLength(8);
+      expect(ranges.slice(0, 3)).toEqual([{ start: 1, end: 2 }, { start: 2, end: 3 }, { start: 3, end: 4 }]);
+      ranges.slice(3).forEach((range) => {
+        expect(range).toEqual({ start: 3, end: 4 });
+      });
+    });
+
+    it('should return no ranges for empty input', () => {
+      expect(getLogBinRanges(0, 32)).toEqual([]);
+      expect(getLogBinRanges(1024, 0)).toEqual([]);
+    });
+  });
+
+  describe('groupBins', () => {
+    it('should average each range and scale to 0-1', () => {
+      const data = [255, 255, 0, 51, 102];
+      const ranges = [{ start: 0, end: 2 }, { start: 2, end: 5 }];
+
+      const levels = groupBins(data, ranges);
+
+      expect(levels[0]).toBe(1);
+      expect(levels[1]).toBeCloseTo(0.2);
+    });
+  });
+
+  describe('getRmsLevel', () => {
+    it('should be zero for silence', () => {
+      expect(getRmsLevel(new Array(64).fill(128))).toBe(0);
+      expect(getRmsLevel([])).toBe(0);
+    });
+
+    it('should be one for a full-scale square wave', () => {
+      const square = Array.from({ length: 64 }, (_, i) => (i % 2 ? 0 : 256));
+
+      expect(getRmsLevel(square)).toBeCloseTo(1);
+    });
+
+    it('should measure a half-scale square wave as 0.5', () => {
+      const square = Array.from({ length: 64 }, (_, i) => (i % 2 ? 64 : 192));
+
+      expect(getRmsLevel(square)).toBeCloseTo(0.5);
+    });
+  });
+
+  describe('toMeterLevel', () => {
+    it('should map the decibel range onto 0-1', () => {
+      expect(toMeterLevel(1)).toBe(1);
+      expect(toMeterLevel(0)).toBe(0);
+      // -24 dB is halfway on a 48 dB meter
+      expect(toMeterLevel(Math.pow(10, -24 / 20))).toBeCloseTo(0.5);
+    });
+
+    it('should clamp quiet signals to empty', () => {
+      expect(toMeterLevel(0.0001)).toBe(0);
+      expect(toMeterLevel(0.0001, -96)).toBeGreaterThan(0);
+    });
+  });
+});
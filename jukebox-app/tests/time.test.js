@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { formatTime } from '../scripts/time.js';
+
+describe('Time Module', () => {
+  it('should format seconds as minutes and padded seconds', () => {
+    expect(formatTime(0)).toBe('0:00');
+    expect(formatTime(5)).toBe('0:05');
+    expect(formatTime(92)).toBe('1:32');
+    expect(formatTime(599.9)).toBe('9:59');
+  });
+
+  it('should include hours for long durations', () => {
+    expect(formatTime(3600)).toBe('1:00:00');
+    expect(formatTime(3725)).toBe('1:02:05');
+  });
+
+  it('should treat unknown or negative values as zero', () => {
+    expect(formatTime(NaN)).toBe('0:00');
+    expect(formatTime(Infinity)).toBe('0:00');
+    expect(formatTime(-3)).toBe('0:00');
+    expect(formatTime(undefined)).toBe('0:00');
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createToast, TOAST_DURATION } from '../scripts/toast.js';
+
+describe('Toast Module', () => {
+  let element;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    element = { textContent: '' };
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should show a message for five seconds', () => {
+    const toast = createToast(element);
+
+    toast.show('Error: Unable to play "Song"');
+    expect(element.textContent).toBe('Error: Unable to play "Song"');
+
+    vi.advanceTimersByTime(TOAST_DURATION - 1);
+    expect(element.textContent).toBe('Error: Unable to play "Song"');
+
+    vi.advanceTimersByTime(1);
+    expect(element.textContent).toBe('');
+    expect(TOAST_DURATION).toBe(5000);
+  });
+
+  it('should give a newer message its full time', () => {
+    const toast = createToast(element);
+
+    toast.show('First');
+    vi.advanceTimersByTime(4000);
+    toast.show('Second');
+    vi.advanceTimersByTime(4000);
+
+    expect(element.textContent).toBe('Second');
+    vi.advanceTimersByTime(1000);
+    expect(element.textContent).toBe('');
+  });
+
+  it('should take a duration per message, 0 keeping it', () => {
+    const toast = createToast(element, { duration: 1000 });
+
+    toast.show('Short');
+    vi.advanceTimersByTime(1000);
+    expect(element.textContent).toBe('');
+
+    toast.show('Sticky', { duration: 0 });
+    vi.advanceTimersByTime(60000);
+    expect(element.textContent).toBe('Sticky');
+  });
+
+  it('should hide right away and cancel the timer', () => {
+    const toast = createToast(element);
+    toast.show('Message');
+
+    toast.hide();
+
+    expect(element.textContent).toBe('');
+    expect(vi.getTimerCount()).toBe(0);
+  });
+
+  it('should drop messages without an element', () => {
+    const toast = createToast(null);
+
+    expect(() => toast.show('Message')).not.toThrow();
+    expect(() => toast.hide()).not.toThrow();
+  });
+});
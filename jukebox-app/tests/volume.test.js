@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach } from 'vitest';
 import { Player } from '../scripts/player.js';
 
 class MockAudio {
@@ -48,12 +48,13 @@ class MockAudio {
     this.currentTime = 0;
     this.ended = false;
   }
-}
 
-global.document = {
-  getElementById: vi.fn(() => ({ textContent: '' })),
-  dispatchEvent: vi.fn()
-};
+  removeAttribute(name) {
+    if (name === 'src') {
+      this.src = '';
+    }
+  }
+}
 
 global.Audio = MockAudio;
 
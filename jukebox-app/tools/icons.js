@@ -0,0 +1,101 @@
+// Draws the app icons (the record from assets/artwork.svg) and writes
+// them to assets/icons/ for the web app manifest.
+//
+// Usage: npm run icons
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { encodePng } from './png.js';
+
+const appRoot = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const iconDir = resolve(appRoot, 'assets/icons');
+
+// Maskable icons may be cropped to a circle of 40% of their size, so the
+// record is drawn smaller to stay inside that safe zone
+const ICONS = [
+  { file: 'icon-192.png', size: 192, discRadius: 0.45 },
+  { file: 'icon-512.png', size: 512, discRadius: 0.45 },
+  { file: 'maskable-512.png', size: 512, discRadius: 0.36 },
+  { file: 'apple-touch-icon.png', size: 180, discRadius: 0.42 }
+];
+
+// Colours from assets/artwork.svg
+const PINK = [255, 20, 147];
+const INDIGO = [75, 0, 130];
+const VINYL = [17, 17, 17];
+const GROOVE = [42, 42, 42];
+const LABEL_CENTRE = [255, 243, 160];
+const LABEL_EDGE = [255, 215, 0];
+
+// Grooves, label and spindle hole as fractions of the disc radius
+const GROOVES = [0.9, 0.8, 0.7, 0.6, 0.5];
+const GROOVE_WIDTH = 0.015;
+const LABEL_RADIUS = 0.36;
+const HOLE_RADIUS = 0.04;
+
+// Samples per pixel along each axis, for smooth edges
+const SUPERSAMPLING = 4;
+
+function mix(from, to, amount) {
+  return from.map((value, channel) => value + (to[channel] - value) * amount);
+}
+
+// Colour at (x, y), both in 0..1 across the icon
+function getColor(x, y, discRadius) {
+  const distance = Math.hypot(x - 0.5, y - 0.5) / discRadius;
+
+  if (distance < HOLE_RADIUS || distance > 1) {
+    // Sleeve gradient runs from the top-left to the bottom-right corner
+    return distance > 1 ? mix(PINK, INDIGO, (x + y) / 2) : VINYL;
+  }
+  if (distance < LABEL_RADIUS) {
+    return mix(LABEL_CENTRE, LABEL_EDGE, distance / LABEL_RADIUS);
+  }
+  if (GROOVES.some(groove => Math.abs(distance - groove) < GROOVE_WIDTH / 2)) {
+    return GROOVE;
+  }
+  return VINYL;
+}
+
+function renderIcon(size, discRadius) {
+  const rgba = new Uint8Array(size * size * 4);
+  const samples = SUPERSAMPLING * SUPERSAMPLING;
+
+  for (let py = 0; py < size; py++) {
+    for (let px = 0; px < size; px++) {
+      const sum = [0, 0, 0];
+      for (let sy = 0; sy < SUPERSAMPLING; sy++) {
+        for (let sx = 0; sx < SUPERSAMPLING; sx++) {
+          const color = getColor(
+            (px + (sx + 0.5) / SUPERSAMPLING) / size,
+            (py + (sy + 0.5) / SUPERSAMPLING) / size,
+            discRadius
+          );
+          color.forEach((value, channel) => {
+            sum[channel] += value;
+          });
+        }
+      }
+
+      const offset = (py * size + px) * 4;
+      sum.forEach((value, channel) => {
+        rgba[offset + channel] = Math.round(value / samples);
+      });
+      rgba[offset + 3] = 255;
+    }
+  }
+
+  return rgba;
+}
+
+async function main() {
+  await mkdir(iconDir, { recursive: true });
+
+  for (const { file, size, discRadius } of ICONS) {
+    const path = resolve(iconDir, file);
+    await writeFile(path, encodePng(size, size, renderIcon(size, discRadius)));
+    console.log(`Wrote ${path}`);
+  }
+}
+
+main();
@@ -0,0 +1,261 @@
+// Loudness measurement module (Node)
+//
+// ITU-R BS.1770 / EBU R128 integrated loudness, as used by ReplayGain 2.0:
+// K-weighting filters, 400 ms blocks with 75% overlap, an absolute gate at
+// -70 LUFS and a relative gate 10 LU below the ungated loudness.
+
+// ReplayGain 2.0 plays everything back at this loudness
+export const REFERENCE_LOUDNESS = -18;
+
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+const BLOCK_SECONDS = 0.4;
+const STEP_SECONDS = 0.1;
+
+// Reads a PCM (8/16/24/32-bit integer) or 32/64-bit float WAV file into
+// one Float32Array per channel, scaled to -1..1
+export function parseWav(buffer) {
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  const readTag = (offset) => String.fromCharCode(
+    view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+  );
+
+  if (buffer.byteLength < 12 || readTag(0) !== 'RIFF' || readTag(8) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let format = null;
+  let data = null;
+  let offset = 12;
+
+  while (offset + 8 <= view.byteLength) {
+    const tag = readTag(offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (tag === 'fmt ') {
+      let audioFormat = view.getUint16(body, true);
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format in its sub-format GUID
+      if (audioFormat === 0xFFFE && size >= 26) {
+        audioFormat = view.getUint16(body + 24, true);
+      }
+      format = {
+        audioFormat,
+        channelCount: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bitsPerSample: view.getUint16(body + 14, true)
+      };
+    } else if (tag === 'data') {
+      data = { offset: body, size: Math.min(size, view.byteLength - body) };
+    }
+
+    // Chunks are padded to an even length
+    offset = body + size + (size % 2);
+  }
+
+  if (!format || !data) {
+    throw new Error('WAV file is missing its fmt or data chunk');
+  }
+
+  const { audioFormat, channelCount, sampleRate, bitsPerSample } = format;
+  const bytesPerSample = bitsPerSample / 8;
+  const readSample = getSampleReader(view, audioFormat, bitsPerSample);
+  if (!readSample) {
+    throw new Error(`Unsupported WAV format ${audioFormat} with ${bitsPerSample}-bit samples`);
+  }
+
+  const frameCount = Math.floor(data.size / (bytesPerSample * channelCount));
+  const channels = Array.from({ length: channelCount }, () => new Float32Array(frameCount));
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const frameOffset = data.offset + frame * bytesPerSample * channelCount;
+    for (let channel = 0; channel < channelCount; channel++) {
+      channels[channel][frame] = readSample(frameOffset + channel * bytesPerSample);
+    }
+  }
+
+  return { sampleRate, channels };
+}
+
+function getSampleReader(view, audioFormat, bitsPerSample) {
+  if (audioFormat === 3) {
+    if (bitsPerSample === 32) return offset => view.getFloat32(offset, true);
+    if (bitsPerSample === 64) return offset => view.getFloat64(offset, true);
+    return null;
+  }
+  if (audioFormat !== 1) return null;
+
+  switch (bitsPerSample) {
+    case 8:
+      return offset => (view.getUint8(offset) - 128) / 128;
+    case 16:
+      return offset => view.getInt16(offset, true) / 32768;
+    case 24:
+      return (offset) => {
+        const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16);
+        return value / 8388608;
+      };
+    case 32:
+      return offset => view.getInt32(offset, true) / 2147483648;
+    default:
+      return null;
+  }
+}
+
+// Biquad coefficients of the two K-weighting stages for any sample rate
+// (the BS.1770 tables only list 48 kHz)
+export function getKWeightingCoefficients(sampleRate) {
+  // Stage 1: high shelf modelling the acoustic effect of the head
+  let f0 = 1681.974450955533;
+  const gainDb = 3.999843853973347;
+  let q = 0.7071752369554196;
+  let k = Math.tan(Math.PI * f0 / sampleRate);
+  const vh = Math.pow(10, gainDb / 20);
+  const vb = Math.pow(vh, 0.4996667741545416);
+  let a0 = 1 + k / q + k * k;
+
+  const shelf = {
+    b: [(vh + vb * k / q + k * k) / a0, 2 * (k * k - vh) / a0, (vh - vb * k / q + k * k) / a0],
+    a: [1, 2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0]
+  };
+
+  // Stage 2: high-pass (the "RLB" curve)
+  f0 = 38.13547087602444;
+  q = 0.5003270373238773;
+  k = Math.tan(Math.PI * f0 / sampleRate);
+  a0 = 1 + k / q + k * k;
+
+  const highPass = {
+    b: [1, -2, 1],
+    a: [1, 2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0]
+  };
+
+  return [shelf, highPass];
+}
+
+function applyBiquad(samples, { b, a }) {
+  const output = new Float32Array(samples.length);
+  let x1 = 0;
+  let x2 = 0;
+  let y1 = 0;
+  let y2 = 0;
+
+  for (let i = 0; i < samples.length; i++) {
+    const x = samples[i];
+    const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[1] * y1 - a[2] * y2;
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+    output[i] = y;
+  }
+
+  return output;
+}
+
+// Mean-square energy of each 400 ms block, summed over channels after
+// K-weighting. Blocks from several tracks can be pooled for album gain.
+export function getBlockEnergies(channels, sampleRate) {
+  const stages = getKWeightingCoefficients(sampleRate);
+  const weighted = channels.map(samples => stages.reduce(applyBiquad, samples));
+
+  const blockLength = Math.round(BLOCK_SECONDS * sampleRate);
+  const step = Math.round(STEP_SECONDS * sampleRate);
+  const frameCount = channels.length > 0 ? channels[0].length : 0;
+  const energies = [];
+
+  for (let start = 0; start + blockLength <= frameCount; start += step) {
+    let energy = 0;
+    weighted.forEach((samples) => {
+      let sum = 0;
+      for (let i = start; i < start + blockLength; i++) {
+        sum += samples[i] * samples[i];
+      }
+      energy += sum / blockLength;
+    });
+    energies.push(energy);
+  }
+
+  return energies;
+}
+
+function energyToLoudness(energy) {
+  return -0.691 + 10 * Math.log10(energy);
+}
+
+function meanEnergy(energies) {
+  return energies.reduce((sum, energy) => sum + energy, 0) / energies.length;
+}
+
+// Integrated loudness in LUFS, or -Infinity for silence
+export function getGatedLoudness(energies) {
+  const aboveAbsolute = energies.filter(energy => energyToLoudness(energy) > ABSOLUTE_GATE);
+  if (aboveAbsolute.length === 0) return -Infinity;
+
+  const relativeGate = energyToLoudness(meanEnergy(aboveAbsolute)) + RELATIVE_GATE;
+  const aboveRelative = aboveAbsolute.filter(energy => energyToLoudness(energy) > relativeGate);
+
+  return energyToLoudness(meanEnergy(aboveRelative));
+}
+
+// Gain in dB (rounded to hundredths) that brings `loudness` to the reference
+export function toReplayGain(loudness) {
+  if (!Number.isFinite(loudness)) return 0;
+  return Math.round((REFERENCE_LOUDNESS - loudness) * 100) / 100;
+}
+
+// Writes trackGain/albumGain into the song objects of data.js, matched by
+// a `file` path or a `src` in their sources (which must each sit on one
+// line). Existing values are replaced; other lines are kept.
+export function updateSongGains(source, gainsByFile) {
+  const lines = source.split('\n');
+  const output = [];
+  let currentFile = null;
+
+  lines.forEach((line) => {
+    const fileMatch = line.match(/\b(?:file|src): '([^']*)'/);
+    if (fileMatch && gainsByFile[fileMatch[1]]) {
+      currentFile = fileMatch[1];
+    }
+
+    // Drop old values; they are re-added before the object closes
+    if (currentFile && gainsByFile[currentFile] && /^\s*(trackGain|albumGain):/.test(line)) {
+      return;
+    }
+
+    const closeMatch = line.match(/^(\s*)}/);
+    if (closeMatch && currentFile && gainsByFile[currentFile]) {
+      const indent = `${closeMatch[1]}  `;
+      const { trackGain, albumGain } = gainsByFile[currentFile];
+      // The previous property needs a trailing comma now
+      const last = output.length - 1;
+      if (!output[last].trimEnd().endsWith(',')) {
+        output[last] = `${output[last].trimEnd()},`;
+      }
+      output.push(`${indent}trackGain: ${trackGain},`);
+      output.push(`${indent}albumGain: ${albumGain}`);
+      currentFile = null;
+    } else if (closeMatch) {
+      currentFile = null;
+    }
+
+    output.push(line);
+  });
+
+  return output.join('\n');
+}
+
+// The same for a songs.json catalogue: returns a copy of `catalogue` with
+// trackGain/albumGain set on each song, on any album, that has a path in
+// `gainsByFile`
+export function updateCatalogueGains(catalogue, gainsByFile) {
+  const albums = catalogue.albums.map((album) => {
+    const songs = album.songs.map((song) => {
+      const paths = Array.isArray(song.sources) ? song.sources.map(source => source.src) : [song.file];
+      const file = paths.find(path => gainsByFile[path]);
+      return file ? { ...song, ...gainsByFile[file] } : song;
+    });
+    return { ...album, songs };
+  });
+  return { ...catalogue, albums };
+}
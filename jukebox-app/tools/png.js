@@ -0,0 +1,64 @@
+// PNG encoding module (Node)
+//
+// Just enough of the format for generated icons: 8-bit RGBA, no
+// interlacing, every scanline stored unfiltered.
+import { deflateSync } from 'node:zlib';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+export function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function createChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, 'ascii');
+  data.copy(chunk, 8);
+  // The CRC covers the type and the data, not the length
+  chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+}
+
+// `rgba` holds width * height * 4 bytes, row by row
+export function encodePng(width, height, rgba) {
+  if (rgba.length !== width * height * 4) {
+    throw new Error(`Expected ${width * height * 4} bytes of RGBA data, got ${rgba.length}`);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bits per channel
+  header[9] = 6; // colour type: RGBA
+  header[10] = 0; // deflate
+  header[11] = 0; // adaptive filtering
+  header[12] = 0; // no interlace
+
+  // Each scanline starts with its filter type (0 = none)
+  const rowLength = width * 4;
+  const scanlines = Buffer.alloc((rowLength + 1) * height);
+  for (let y = 0; y < height; y++) {
+    scanlines[y * (rowLength + 1)] = 0;
+    Buffer.from(rgba.buffer, rgba.byteOffset + y * rowLength, rowLength).copy(scanlines, y * (rowLength + 1) + 1);
+  }
+
+  return Buffer.concat([
+    SIGNATURE,
+    createChunk('IHDR', header),
+    createChunk('IDAT', deflateSync(scanlines, { level: 9 })),
+    createChunk('IEND', Buffer.alloc(0))
+  ]);
+}
@@ -0,0 +1,97 @@
+// Computes ReplayGain 2.0 track and album gains for every song in
+// songs.json, each album measured on its own, and writes them back into it
+// and into the built-in library in scripts/data.js for songs it shares with
+// the manifest.
+//
+// Usage: npm run replaygain [-- --dry-run]
+import { readFile, writeFile } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { getSongSources } from '../scripts/sources.js';
+import {
+  parseWav,
+  getBlockEnergies,
+  getGatedLoudness,
+  toReplayGain,
+  updateSongGains,
+  updateCatalogueGains
+} from './loudness.js';
+
+const appRoot = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const cataloguePath = resolve(appRoot, 'songs.json');
+const dataPath = resolve(appRoot, 'scripts/data.js');
+const dryRun = process.argv.includes('--dry-run');
+
+// Only WAV can be decoded here; every format of a song shares its gain
+function getWavSource(song) {
+  const source = getSongSources(song).find(({ type }) => type === 'audio/wav');
+  return source ? source.src : null;
+}
+
+// Measures every song on `album`, adding { trackGain, albumGain } for each
+// of its WAV files to `gainsByFile`. Returns false if a file is missing.
+async function measureAlbum(album, gainsByFile) {
+  const { songs } = album;
+  const albumEnergies = [];
+  const trackGains = {};
+
+  const wavFiles = songs.map(song => getWavSource(song));
+  const missing = songs.find((song, index) => !wavFiles[index]);
+  if (missing) {
+    console.error(`No WAV source for "${missing.title}" on "${album.title}"`);
+    return false;
+  }
+
+  console.log(`${album.title}:`);
+
+  // One file at a time, so only a single decoded track is held in memory
+  for (const [index, song] of songs.entries()) {
+    const file = wavFiles[index];
+    let audio;
+    try {
+      audio = parseWav(await readFile(resolve(appRoot, file)));
+    } catch (error) {
+      console.error(`Failed to read "${file}":`, error.message);
+      return false;
+    }
+
+    const energies = getBlockEnergies(audio.channels, audio.sampleRate);
+    const loudness = getGatedLoudness(energies);
+    energies.forEach(energy => albumEnergies.push(energy));
+    trackGains[file] = toReplayGain(loudness);
+
+    console.log(`  ${song.title}: ${loudness.toFixed(2)} LUFS, track gain ${trackGains[file]} dB`);
+  }
+
+  const albumGain = toReplayGain(getGatedLoudness(albumEnergies));
+  console.log(`  Album gain: ${albumGain} dB`);
+
+  wavFiles.forEach((file) => {
+    gainsByFile[file] = { trackGain: trackGains[file], albumGain };
+  });
+  return true;
+}
+
+async function main() {
+  const catalogue = JSON.parse(await readFile(cataloguePath, 'utf8'));
+  const gainsByFile = {};
+
+  for (const album of catalogue.albums) {
+    if (!(await measureAlbum(album, gainsByFile))) {
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  if (dryRun) return;
+
+  const updated = updateCatalogueGains(catalogue, gainsByFile);
+  await writeFile(cataloguePath, `${JSON.stringify(updated, null, 2)}\n`);
+  console.log(`Updated ${cataloguePath}`);
+
+  const source = await readFile(dataPath, 'utf8');
+  await writeFile(dataPath, updateSongGains(source, gainsByFile));
+  console.log(`Updated ${dataPath}`);
+}
+
+main();